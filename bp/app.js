@@ -5,23 +5,51 @@
 'use strict';
 
 // ── PWA Service Worker ────────────────────────────────────────
+// Nouveau worker installé et en attente → bandeau « recharger » ;
+// il ne prend la main que sur demande (voir sw.js)
 if ('serviceWorker' in navigator) {
-  window.addEventListener('load', () => {
-    navigator.serviceWorker.register('./sw.js').catch(() => {});
+  window.addEventListener('load', async () => {
+    let reg;
+    try {
+      reg = await navigator.serviceWorker.register('./sw.js');
+    } catch { return; } // http simple, navigation privée…
+    if (reg.waiting && navigator.serviceWorker.controller) showUpdateBar(reg.waiting);
+    reg.addEventListener('updatefound', () => {
+      const sw = reg.installing;
+      sw?.addEventListener('statechange', () => {
+        if (sw.state === 'installed' && navigator.serviceWorker.controller) showUpdateBar(sw);
+      });
+    });
+    // App gardée ouverte des jours : vérifier à chaque retour au premier plan
+    document.addEventListener('visibilitychange', () => {
+      if (document.visibilityState === 'visible') reg.update().catch(() => {});
+    });
+  });
+
+  let updateAsked = false; // sans cela, la 1re installation rechargerait la page
+  navigator.serviceWorker.addEventListener('controllerchange', () => {
+    if (updateAsked) location.reload();
   });
+
+  function showUpdateBar(worker) {
+    const bar = document.getElementById('update-bar');
+    bar.classList.add('show');
+    bar.querySelector('button').onclick = () => {
+      updateAsked = true;
+      worker.postMessage({ type: 'SKIP_WAITING' });
+    };
+  }
 }
 
 // ── État global ───────────────────────────────────────────────
 let currentUser = null;
 let chart       = null;
 let chartType   = 'bar_h';
+let editingId   = null;   // id de l'opération chargée dans le formulaire
+let editingKind = 'expense'; // 'expense' | 'income'
 
-const COLORS = {
-  Alimentation: '#EF4444',
-  Transport:    '#3B82F6',
-  Loisirs:      '#8B5CF6',
-  Santé:        '#10B981',
-};
+let categories  = [];     // catégories de l'utilisateur (archivées incluses)
+let money       = { base: DEFAULT_CURRENCY, rates: {} }; // devise de base et taux (DB.getCurrency)
 
 // ── Démarrage ─────────────────────────────────────────────────
 document.addEventListener('DOMContentLoaded', async () => {
@@ -34,14 +62,22 @@ document.addEventListener('DOMContentLoaded', async () => {
   window.addEventListener('online',  updateOffline);
   window.addEventListener('offline', updateOffline);
 
-  // Session en cours ?
-  const saved = sessionStorage.getItem('bp_user');
+  // Session en cours ? Le jeton est vérifié auprès du store users
+  sessionStorage.removeItem('bp_user'); // ancien format, jamais vérifié
+  const saved = sessionStorage.getItem('bp_session');
   if (saved) {
     try {
-      currentUser = JSON.parse(saved);
-      await showApp();
-      return;
-    } catch { sessionStorage.removeItem('bp_user'); }
+      const { id, token } = JSON.parse(saved);
+      const user = await DB.resumeSession(id, token);
+      if (user) {
+        currentUser = user;
+        // Données chiffrées : la clé n'a pas survécu au rechargement → PIN
+        if (await DB.isLocked(user.id)) return lockApp();
+        await showApp();
+        return;
+      }
+    } catch (err) { console.error(err); }
+    sessionStorage.removeItem('bp_session');
   }
 
   // Afficher écran auth
@@ -63,8 +99,7 @@ function toggleTheme() {
   const current = document.documentElement.getAttribute('data-theme') || 'light';
   setTheme(current === 'dark' ? 'light' : 'dark');
   // Re-dessiner le graphique avec les nouvelles couleurs
-  const period = document.getElementById('filter-period')?.value || 'month';
-  renderChart(period);
+  renderChart(currentPeriod());
 }
 
 /* ═══════════════════════════════════════════════════════════════
@@ -74,8 +109,35 @@ function showAuth(tab = 'login') {
   document.getElementById('auth-screen').style.display = 'flex';
   document.getElementById('app-screen').classList.remove('show');
   switchTab(tab);
+  renderProfiles();
+}
+
+// Profils de l'appareil : plus de nom à taper. Aucun profil → champ nom.
+async function renderProfiles() {
+  const users = await DB.listUsers();
+  const list  = document.getElementById('profile-list');
+  const name  = document.querySelector('#form-login input[name="username"]');
+  list.classList.toggle('hidden', !users.length);
+  document.getElementById('login-name-field').classList.toggle('hidden', users.length > 0);
+  list.innerHTML = users.map(u => `
+    <button type="button" class="profile-btn" data-name="${esc(u.username)}">
+      <span class="avatar">${esc(u.username.charAt(0).toUpperCase())}</span>
+      ${esc(u.username)}${u.encrypted ? ' 🔒' : ''}
+    </button>`).join('');
+  // Un seul profil : choisi d'office
+  name.value = users.length === 1 ? users[0].username : '';
+  list.querySelector('.profile-btn')?.classList.toggle('selected', users.length === 1);
 }
 
+document.getElementById('profile-list').addEventListener('click', e => {
+  const btn = e.target.closest('.profile-btn');
+  if (!btn) return;
+  document.querySelectorAll('.profile-btn').forEach(b => b.classList.toggle('selected', b === btn));
+  document.querySelector('#form-login input[name="username"]').value = btn.dataset.name;
+  document.querySelector('#form-login input[name="pin"]').focus();
+  clearMsgs();
+});
+
 function switchTab(tab) {
   document.querySelectorAll('.tab-btn').forEach(b => {
     b.classList.toggle('active', b.dataset.tab === tab);
@@ -103,7 +165,7 @@ document.getElementById('form-reg').addEventListener('submit', async e => {
   setBtnLoad('btn-reg', true);
   try {
     currentUser = await DB.createUser(username, pin);
-    sessionStorage.setItem('bp_user', JSON.stringify(currentUser));
+    await startSession();
     await showApp();
   } catch (err) {
     showMsg('reg-msg', 'err', err.message);
@@ -116,10 +178,11 @@ document.getElementById('form-reg').addEventListener('submit', async e => {
 document.getElementById('form-login').addEventListener('submit', async e => {
   e.preventDefault();
   const fd = new FormData(e.target);
+  if (!fd.get('username')?.trim()) return showMsg('login-msg', 'err', 'Choisissez votre profil.');
   setBtnLoad('btn-login', true);
   try {
     currentUser = await DB.verifyUser(fd.get('username'), fd.get('pin'));
-    sessionStorage.setItem('bp_user', JSON.stringify(currentUser));
+    await startSession();
     await showApp();
   } catch (err) {
     showMsg('login-msg', 'err', err.message);
@@ -128,18 +191,147 @@ document.getElementById('form-login').addEventListener('submit', async e => {
   }
 });
 
+// Jeton de session de cet onglet (survit au rechargement, pas à la fermeture)
+async function startSession() {
+  const token = await DB.openSession(currentUser.id);
+  sessionStorage.setItem('bp_session', JSON.stringify({ id: currentUser.id, token }));
+}
+
+async function endSession() {
+  const saved = JSON.parse(sessionStorage.getItem('bp_session') || 'null');
+  sessionStorage.removeItem('bp_session');
+  if (saved) await DB.closeSession(saved.id, saved.token).catch(console.error);
+}
+
 // Déconnexion
-document.getElementById('logout-btn').addEventListener('click', () => {
-  sessionStorage.removeItem('bp_user');
+document.getElementById('logout-btn').addEventListener('click', logout);
+
+function logout() {
+  endSession();
+  DB.lock(currentUser.id);
+  closeReport(); // plein écran, par-dessus l'écran PIN sinon
   currentUser = null;
+  appShown    = false;
+  hideLockScreen();
   if (chart) { chart.destroy(); chart = null; }
+  closeImportPreview();
+  closePhotoViewer();
+  recognition?.abort();
+  cancelEdit();
+  invalidateSuggestions();
+  invalidateInsights();
+  insightsShown = null;
+  document.getElementById('name-suggestions').replaceChildren();
+  categories = [];
+  money      = { base: DEFAULT_CURRENCY, rates: {} };
+  document.getElementById('budget-form').classList.add('hidden');
+  document.getElementById('btn-edit-budgets').textContent = 'Modifier';
+  closeRecForm();
+  closeGroupForm();
+  closeEntryForm();
+  groups  = [];
+  groupId = null;
+  closeTransferForm();
+  accounts = [];
+  closeMomoReview();
+  document.getElementById('momo-text').value = '';
+  document.getElementById('report-month').value = todayStr().slice(0, 7);
+  closePinForm();
+  document.getElementById('delete-form').classList.add('hidden');
+  document.getElementById('storage-list').innerHTML = '';
+  clearTimeout(syncTimer);
+  syncError = null;
+  document.getElementById('sync-status').classList.add('hidden');
+  document.getElementById('sync-form').reset();
+  document.getElementById('sync-msg').classList.remove('show');
+  periodOffset = 0;
+  listFilter   = '';
   DB.hasUsers().then(has => showAuth(has ? 'login' : 'register'));
+}
+
+/* ── Verrouillage : inactivité, arrière-plan, déverrouillage rapide ── */
+// Délai d'inactivité en minutes (0 = jamais), réglage de l'appareil
+const AUTOLOCK_DEFAULT = 5;
+let lastActivity = Date.now();
+let appShown     = false; // showApp() déjà fait pour cet utilisateur
+
+function autoLockMinutes() {
+  const v = localStorage.getItem('bp_autolock');
+  return v === null ? AUTOLOCK_DEFAULT : Number(v) || 0;
+}
+
+['pointerdown', 'keydown', 'scroll', 'touchstart'].forEach(type => {
+  window.addEventListener(type, () => { lastActivity = Date.now(); }, { passive: true, capture: true });
+});
+
+setInterval(() => {
+  const min = autoLockMinutes();
+  if (min && Date.now() - lastActivity > min * 60000) lockApp();
+}, 15000);
+
+// App en arrière-plan (autre appli, écran éteint) → verrouillée
+document.addEventListener('visibilitychange', () => {
+  if (document.visibilityState === 'hidden' && autoLockMinutes()) lockApp();
+});
+
+/**
+ * lockApp — masque l'app derrière l'écran PIN sans toucher à la vue
+ * (filtres, formulaire en cours, défilement). La session et la clé de
+ * chiffrement sont abandonnées : un rechargement redemande le PIN.
+ */
+function lockApp() {
+  if (!currentUser || isLockScreenShown()) return;
+  endSession();
+  DB.lock(currentUser.id);
+  document.getElementById('lock-user').textContent = '👤 ' + currentUser.username;
+  document.getElementById('lock-screen').classList.remove('hidden');
+  document.getElementById('app-screen').setAttribute('aria-hidden', 'true');
+  document.getElementById('lock-msg').classList.remove('show');
+  document.getElementById('lock-form').reset();
+  // Pas de focus automatique : le clavier masquerait l'écran au retour
+}
+
+function hideLockScreen() {
+  document.getElementById('lock-screen').classList.add('hidden');
+  document.getElementById('app-screen').removeAttribute('aria-hidden');
+}
+
+function isLockScreenShown() {
+  return !document.getElementById('lock-screen').classList.contains('hidden');
+}
+
+document.getElementById('lock-form').addEventListener('submit', async e => {
+  e.preventDefault();
+  setBtnLoad('btn-unlock', true);
+  try {
+    await DB.verifyUser(currentUser.username, e.target.elements.pin.value);
+    await startSession();
+    hideLockScreen();
+    lastActivity = Date.now();
+    // Vue conservée : seules les données sont relues
+    if (appShown) await loadData();
+    else          await showApp();
+  } catch (err) {
+    showMsg('lock-msg', 'err', err.message);
+  } finally {
+    setBtnLoad('btn-unlock', false);
+  }
+});
+
+document.getElementById('lock-switch').addEventListener('click', logout);
+
+document.getElementById('autolock').value = autoLockMinutes();
+document.getElementById('autolock').addEventListener('change', e => {
+  localStorage.setItem('bp_autolock', e.target.value);
+  lastActivity = Date.now();
 });
 
 /* ═══════════════════════════════════════════════════════════════
    APP PRINCIPALE
    ═══════════════════════════════════════════════════════════════ */
 async function showApp() {
+  appShown = true;
+  lastActivity = Date.now();
   document.getElementById('auth-screen').style.display = 'none';
   document.getElementById('app-screen').classList.add('show');
 
@@ -149,35 +341,118 @@ async function showApp() {
   const dateInp = document.getElementById('f-date');
   if (dateInp) dateInp.value = todayStr();
 
-  const hourSel = document.getElementById('f-hour');
-  if (hourSel && !hourSel.options.length) {
-    for (let h = 0; h < 24; h++) {
-      hourSel.add(new Option(`${String(h).padStart(2,'0')}h`, h));
+  ['f-hour', 'rec-hour'].forEach(id => {
+    const hourSel = document.getElementById(id);
+    if (hourSel && !hourSel.options.length) {
+      for (let h = 0; h < 24; h++) {
+        hourSel.add(new Option(`${String(h).padStart(2,'0')}h`, h));
+      }
+      hourSel.value = new Date().getHours();
     }
-    hourSel.value = new Date().getHours();
-  }
+  });
+  // Filtres d'heure : option "—" (sans limite) déjà présente
+  ['filter-h1', 'filter-h2'].forEach(id => {
+    const hourSel = document.getElementById(id);
+    if (hourSel.options.length === 1) {
+      for (let h = 0; h < 24; h++) hourSel.add(new Option(`${String(h).padStart(2,'0')}h`, h));
+    }
+  });
 
   // Écouteurs filtres
-  document.getElementById('filter-period').addEventListener('change', loadData);
-  document.getElementById('filter-cat').addEventListener('change', loadData);
+  document.getElementById('filter-period').addEventListener('change', reloadView);
+  document.getElementById('filter-cat').addEventListener('change', reloadView);
+  updatePeriodUI();
+
+  await loadCategories();
+  await loadCurrency();
+  await loadAccounts();
+  await loadGroups();
+  renderEncryption();
+  // Filtres enregistrés dans l'URL (favori, rechargement) : après les
+  // catégories et les comptes, pour que les <select> connaissent la valeur demandée
+  applyFilterHash();
+
+  // Rattrapage des dépenses récurrentes manquées depuis la dernière visite
+  try {
+    const rec = await DB.runRecurring(currentUser.id);
+    if (rec.created) toast(`🔁 ${rec.created} dépense${rec.created !== 1 ? 's' : ''} récurrente${rec.created !== 1 ? 's' : ''} ajoutée${rec.created !== 1 ? 's' : ''}`);
+    // Catégorie ou compte disparu : le modèle est en pause, l'utilisateur doit savoir pourquoi
+    if (rec.paused.length) toast(`⏸ ${rec.paused.map(p => `« ${p.name} »`).join(', ')} en pause : ${rec.paused[0].error}`, true);
+    if (rec.errors.length) console.warn('Récurrences non générées:', rec.errors);
+  } catch (err) {
+    console.error(err);
+  }
 
   await loadData();
+
+  // Changements faits sur les autres appareils
+  renderSyncForm();
+  runSync();
 }
 
 /* ═══════════════════════════════════════════════════════════════
    DONNÉES
    ═══════════════════════════════════════════════════════════════ */
-async function loadData() {
-  const period   = document.getElementById('filter-period').value;
+// Pagination de l'historique : LIST_PAGE lignes de plus par "Afficher plus"
+const LIST_PAGE = 50;
+let listLimit   = LIST_PAGE;
+let listFilter  = '';   // filtres de la page affichée (changement → page 1)
+let listTotals  = null; // { key, totals } : totaux de la période, gardés d'une page à l'autre
+
+// changed : ce qui motive le rechargement
+//   'view'        filtres, période, page : données inchangées
+//   'AAAA-MM-JJ'  une dépense ajoutée à cette date
+//   'all'         toute autre écriture (défaut)
+async function loadData({ changed = 'all' } = {}) {
+  const period   = currentPeriod();
   const category = document.getElementById('filter-cat').value;
 
+  const filter   = listFilterValues();
+
+  const filterKey = JSON.stringify([period, category, filter]);
+  if (filterKey !== listFilter) { listFilter = filterKey; listLimit = LIST_PAGE; }
+  writeFilterHash();
+
   showLoader(true);
+  if (changed !== 'view') {
+    invalidateSuggestions();
+    invalidateInsights(changed);
+    listTotals = null;
+  }
+  // "Afficher plus" : mêmes filtres, mêmes données → mêmes totaux
+  const totalsKey = `${currentUser.id}|${filterKey}`;
+  const keepTotals = listTotals?.key === totalsKey;
   try {
-    const [expenses] = await Promise.all([
-      DB.getExpenses(currentUser.id, period, category),
-      renderChart(period)
+    // Les revenus n'ont pas de catégorie de dépense : affichés avec "Toutes"
+    const withIncomes = category === 'Toutes';
+    // limit + 1 de chaque côté : les listLimit plus récentes de la fusion
+    // y sont forcément, la ligne en trop signale une page suivante
+    const page = { limit: listLimit + 1, filter };
+    // Un compte choisi : ses virements aussi, et son solde ligne par ligne
+    const account = withIncomes ? filterAccount() : null;
+    const [expenses, incomes, transfers, ledger, totals] = await Promise.all([
+      DB.getExpenses(currentUser.id, period, category, page),
+      withIncomes ? DB.getIncomes(currentUser.id, period, page) : [],
+      account ? DB.getTransfers(currentUser.id, period, page) : [],
+      account ? DB.accountLedger(currentUser.id, account.id) : null,
+      keepTotals ? listTotals.totals : DB.periodTotals(currentUser.id, period, category, filter),
+      renderChart(period),
+      renderBudgets(),
+      renderInsights(),
+      renderRecurring(),
+      renderAccounts()
     ]);
-    renderList(expenses);
+    listTotals = { key: totalsKey, totals };
+    const items = expenses.map(e => ({ ...e, kind: 'expense' }))
+      .concat(incomes.map(i => ({ ...i, kind: 'income' })))
+      .concat(transfers.map(t => ({ ...t, kind: 'transfer' })))
+      .sort(byDateDesc);
+    const shown  = items.slice(0, listLimit);
+    const thumbs = await DB.attachmentThumbs(currentUser.id,
+      shown.filter(x => x.kind === 'expense').map(x => x.id));
+    renderList(shown, totals, withIncomes, thumbs, ledger);
+    document.getElementById('btn-more').classList.toggle('hidden', items.length <= listLimit);
+    queueSync();
   } catch (err) {
     toast('Erreur : ' + err.message, true);
     console.error(err);
@@ -186,60 +461,290 @@ async function loadData() {
   }
 }
 
-function renderList(expenses) {
+// Même données, autre vue : l'analyse du mois n'est pas refaite
+function reloadView() {
+  return loadData({ changed: 'view' });
+}
+
+document.getElementById('btn-more').addEventListener('click', () => {
+  listLimit += LIST_PAGE;
+  reloadView();
+});
+
+/* ── Période : navigation semaine/mois et plage personnalisée ── */
+let periodOffset = 0; // 0 = semaine / mois en cours, -1 = précédent…
+
+// Valeur passée à DB : nom de période ou plage { from, to }
+function currentPeriod() {
+  const sel = document.getElementById('filter-period')?.value || 'month';
+  if (sel === 'custom') {
+    let from = document.getElementById('filter-from').value;
+    let to   = document.getElementById('filter-to').value;
+    if (from && to && from > to) [from, to] = [to, from];
+    return { from, to };
+  }
+  if ((sel === 'week' || sel === 'month') && periodOffset !== 0) {
+    return DB.periodRange(sel, periodOffset);
+  }
+  return sel;
+}
+
+function updatePeriodUI() {
+  const sel = document.getElementById('filter-period').value;
+  const nav = sel === 'week' || sel === 'month';
+  document.getElementById('period-nav').classList.toggle('hidden', !nav);
+  document.getElementById('period-range').classList.toggle('hidden', sel !== 'custom');
+  if (!nav) return;
+
+  let label;
+  if (periodOffset === 0) {
+    label = sel === 'week' ? 'Cette semaine' : 'Ce mois';
+  } else if (sel === 'week') {
+    const r = DB.periodRange('week', periodOffset);
+    label = `Du ${fmtDate(r.from).slice(0, 5)} au ${fmtDate(r.to)}`;
+  } else {
+    const r = DB.periodRange('month', periodOffset);
+    label = new Date(r.from + 'T00:00:00').toLocaleDateString('fr-FR', { month: 'long', year: 'numeric' });
+    label = label.charAt(0).toUpperCase() + label.slice(1);
+  }
+  document.getElementById('period-label').textContent = label;
+}
+
+function stepPeriod(delta) {
+  periodOffset += delta;
+  updatePeriodUI();
+  reloadView();
+}
+
+document.getElementById('filter-period').addEventListener('change', () => {
+  periodOffset = 0;
+  const sel = document.getElementById('filter-period').value;
+  if (sel === 'custom' && !document.getElementById('filter-from').value) {
+    // Plage initiale : le mois en cours
+    const r = DB.periodRange('month', 0);
+    document.getElementById('filter-from').value = r.from;
+    document.getElementById('filter-to').value   = r.to;
+  }
+  updatePeriodUI();
+});
+document.getElementById('period-prev').addEventListener('click', () => stepPeriod(-1));
+document.getElementById('period-next').addEventListener('click', () => stepPeriod(1));
+document.getElementById('filter-from').addEventListener('change', reloadView);
+document.getElementById('filter-to').addEventListener('change', reloadView);
+
+/* ── Filtres avancés : recherche, montant, heure ─────────────── */
+// Valeurs passées à DB (options.filter) ; null si aucun filtre actif
+function listFilterValues() {
+  const val = id => document.getElementById(id).value.trim();
+  const filter = {
+    q:        val('filter-q'),
+    min:      val('filter-min'),
+    max:      val('filter-max'),
+    hourFrom: val('filter-h1'),
+    hourTo:   val('filter-h2'),
+    account:  val('filter-account'),
+  };
+  const active = Object.values(filter).some(v => v !== '');
+  document.getElementById('btn-reset-filters').classList.toggle('hidden', !active);
+  return active ? filter : null;
+}
+
+let searchTimer = null;
+document.getElementById('filter-q').addEventListener('input', () => {
+  // Attendre la fin de la frappe avant de relire la base
+  clearTimeout(searchTimer);
+  searchTimer = setTimeout(reloadView, 250);
+});
+['filter-min', 'filter-max', 'filter-h1', 'filter-h2', 'filter-account'].forEach(id => {
+  document.getElementById(id).addEventListener('change', reloadView);
+});
+document.getElementById('btn-reset-filters').addEventListener('click', () => {
+  ['filter-q', 'filter-min', 'filter-max', 'filter-h1', 'filter-h2', 'filter-account'].forEach(id => {
+    document.getElementById(id).value = '';
+  });
+  reloadView();
+});
+
+/* ── Filtres dans l'URL : #periode=week&decalage=-1&q=cafe… ──── */
+// Clé du hash → id du champ (les valeurs par défaut ne sont pas écrites)
+const HASH_FIELDS = {
+  periode: 'filter-period', du: 'filter-from', au: 'filter-to', cat: 'filter-cat',
+  q: 'filter-q', min: 'filter-min', max: 'filter-max', hmin: 'filter-h1', hmax: 'filter-h2',
+  compte: 'filter-account',
+};
+const HASH_DEFAULTS = { periode: 'month', cat: 'Toutes' };
+
+function writeFilterHash() {
+  const params = new URLSearchParams();
+  const sel    = document.getElementById('filter-period').value;
+  Object.entries(HASH_FIELDS).forEach(([key, id]) => {
+    const v = document.getElementById(id).value.trim();
+    if ((key === 'du' || key === 'au') && sel !== 'custom') return;
+    if (v !== '' && v !== HASH_DEFAULTS[key]) params.set(key, v);
+  });
+  if (periodOffset && (sel === 'week' || sel === 'month')) params.set('decalage', periodOffset);
+  const hash = params.toString();
+  // replaceState : pas d'entrée d'historique ni d'événement hashchange
+  history.replaceState(null, '', hash ? '#' + hash : location.pathname + location.search);
+}
+
+function applyFilterHash() {
+  const params = new URLSearchParams(location.hash.slice(1));
+  Object.entries(HASH_FIELDS).forEach(([key, id]) => {
+    const el = document.getElementById(id);
+    const v  = params.get(key) ?? HASH_DEFAULTS[key] ?? '';
+    // Valeur inconnue d'un <select> (catégorie supprimée…) → défaut
+    if (el.tagName === 'SELECT' && ![...el.options].some(o => o.value === v)) {
+      el.value = HASH_DEFAULTS[key] ?? '';
+    } else {
+      el.value = v;
+    }
+  });
+  periodOffset = parseInt(params.get('decalage'), 10) || 0;
+  updatePeriodUI();
+}
+
+// Hash modifié à la main ou favori ouvert dans l'onglet courant
+window.addEventListener('hashchange', () => {
+  if (!currentUser) return;
+  applyFilterHash();
+  reloadView();
+});
+
+// items : page affichée, dépenses, revenus et virements (item.kind)
+// totals : DB.periodTotals de toute la période ; withIncomes → solde affiché
+// thumbs : DB.attachmentThumbs (vignette des dépenses avec photos)
+// ledger : DB.accountLedger du compte filtré (solde après chaque ligne)
+let listPhotoUrls = []; // URLs des vignettes affichées, libérées au rendu suivant
+
+function renderList(items, totals, withIncomes = true, thumbs = new Map(), ledger = null) {
   const list   = document.getElementById('expense-list');
-  const totEl  = document.getElementById('total-val');
   const cntEl  = document.getElementById('exp-count');
   list.innerHTML = '';
+  listPhotoUrls.forEach(URL.revokeObjectURL);
+  listPhotoUrls = [];
 
-  const total = expenses.reduce((s, e) => s + e.amount, 0);
-  totEl.textContent = fmt(total);
-  if (cntEl) cntEl.textContent = `${expenses.length} dépense${expenses.length !== 1 ? 's' : ''}`;
+  renderTotals(totals, withIncomes);
+  if (cntEl) cntEl.textContent = `${totals.count} opération${totals.count !== 1 ? 's' : ''}`;
 
-  if (!expenses.length) {
+  if (!items.length) {
     list.innerHTML = `<div class="empty-state">
       <div class="ei">📭</div>
-      <p class="ep">Aucune dépense pour cette période.</p>
+      <p class="ep">${listFilterValues() ? 'Aucune opération ne correspond aux filtres.' : 'Aucune opération pour cette période.'}</p>
       <p class="ep2">Utilisez le formulaire ci-dessus pour commencer.</p>
     </div>`;
     return;
   }
 
-  expenses.forEach(item => {
+  const account = ledger ? filterAccount() : null;
+  items.forEach(item => {
+    const isTr  = item.kind === 'transfer';
+    // Virement : entrée (+) ou sortie du compte filtré
+    const isInc = item.kind === 'income' || (isTr && item.to_id === account?.id);
+    const color = isTr ? 'var(--blue)' : isInc ? 'var(--green)' : catColor(item.category);
+    const badge = isTr
+      ? `<span class="cat-badge badge-transfer">${esc(accLabel(item.from_id))} → ${esc(accLabel(item.to_id))}</span>`
+      : isInc
+      ? `<span class="cat-badge badge-income">${esc(incomeLabel(item.source))}</span>`
+      : `<span class="cat-badge" style="color:${color};background:${color}1A">${esc(catLabel(item.category))}</span>`;
+    // Compte de l'opération, inutile quand la liste est filtrée dessus
+    const accTag  = !account && item.account_id != null ? ` · ${esc(accLabel(item.account_id))}` : '';
+    const balance = ledger?.get(`${item.kind}:${item.id}`);
+    const photo = item.kind === 'expense' ? thumbs.get(item.id) : null;
+    // Devise étrangère : équivalent en devise de base sous le montant
+    const inBase = item.currency === money.base ? undefined : DB.toBase(item, money);
+    const equiv  = inBase === undefined ? ''
+      : inBase === null ? '<small class="exp-base missing">taux manquant</small>'
+      : `<small class="exp-base">≈ ${fmtMoney(inBase)}</small>`;
+    if (photo) listPhotoUrls.push(photo.url = URL.createObjectURL(photo.thumb));
     const row = document.createElement('div');
-    row.className = 'exp-row';
+    row.className = 'exp-row' + (isTr ? ' transfer' : '') + (isEditing(item) ? ' editing' : '');
+    row.dataset.id   = item.id;
+    row.dataset.kind = item.kind;
     row.innerHTML = `
-      <div class="exp-dot dot-${esc(item.category)}"></div>
+      <div class="exp-dot" style="background:${color}"></div>
       <div class="exp-info">
-        <div class="exp-name">${esc(item.name)}</div>
+        <div class="exp-name">${isTr ? '⇄ Virement' : esc(item.name)}</div>
         <div class="exp-meta">
-          ${fmtDate(item.date)} · ${String(item.hour).padStart(2,'0')}h${String(item.minute).padStart(2,'0')}
-          <span class="cat-badge badge-${esc(item.category)}">${esc(item.category)}</span>
+          ${fmtDate(item.date)} · ${String(item.hour).padStart(2,'0')}h${String(item.minute).padStart(2,'0')}${item.recurring_id ? ' · 🔁' : ''}${accTag}
+          ${badge}
         </div>
+        ${item.notes ? `<div class="exp-note">${esc(item.notes)}</div>` : ''}
       </div>
+      ${photo ? `<button type="button" class="exp-photo" data-id="${item.id}" title="Voir le justificatif">
+        <img src="${photo.url}" alt="Justificatif">${photo.count > 1 ? `<span class="n">${photo.count}</span>` : ''}
+      </button>` : ''}
       <div class="exp-right">
-        <span class="exp-amount">${fmt(item.amount)} F</span>
-        <button class="btn btn-sm btn-del" data-id="${item.id}">🗑</button>
+        <span class="exp-amount${isInc ? ' income' : ''}">${isInc ? '+' : ''}${fmtMoney(item.amount, item.currency)}${equiv}${balance === undefined ? ''
+          : `<small class="exp-base exp-balance">solde ${fmtMoney(balance, account.currency)}</small>`}</span>
+        <button class="btn btn-sm btn-del" data-id="${item.id}" data-kind="${item.kind}">🗑</button>
       </div>`;
+    // Tap sur la ligne → édition (un virement se supprime et se ressaisit)
+    if (!isTr) row.addEventListener('click', () => startEdit(item));
     list.appendChild(row);
   });
 
   list.querySelectorAll('.btn-del').forEach(btn => {
-    btn.addEventListener('click', () => delExpense(+btn.dataset.id));
+    btn.addEventListener('click', e => {
+      e.stopPropagation();
+      delExpense(+btn.dataset.id, btn.dataset.kind);
+    });
+  });
+  list.querySelectorAll('.exp-photo').forEach(btn => {
+    btn.addEventListener('click', async e => {
+      e.stopPropagation();
+      try {
+        const photos = await DB.getAttachments(currentUser.id, +btn.dataset.id);
+        openPhotoViewer(photos.map(p => p.blob));
+      } catch (err) {
+        toast('❌ ' + err.message, true);
+      }
+    });
   });
 }
 
-async function delExpense(id) {
-  if (!confirm('Supprimer cette dépense ?')) return;
+// Solde (revenus − dépenses) ou total des dépenses filtrées par catégorie,
+// en devise de base ; opérations sans taux signalées à part
+function renderTotals({ income, expense, unconverted = 0, missing = [] }, withIncomes) {
+  const box  = document.querySelector('.total-box');
+  const warn = unconverted
+    ? `⚠️ ${unconverted} opération${unconverted !== 1 ? 's' : ''} en ${missing.join(', ')} hors total (taux manquant)`
+    : '';
+  document.getElementById('total-cur').textContent = DB.currencyInfo(money.base).symbol;
+
+  if (withIncomes) {
+    const net = income - expense;
+    document.getElementById('total-lbl').textContent = 'Solde';
+    document.getElementById('total-val').textContent = (net < 0 ? '−' : '') + fmt(Math.abs(net));
+    document.getElementById('total-sub').textContent = [`+${fmt(income)} · −${fmt(expense)}`, warn].filter(Boolean).join(' · ');
+    box.classList.toggle('negative', net < 0);
+  } else {
+    document.getElementById('total-lbl').textContent = 'Dépenses filtrées';
+    document.getElementById('total-val').textContent = fmt(expense);
+    document.getElementById('total-sub').textContent = warn;
+    box.classList.remove('negative');
+  }
+}
+
+async function delExpense(id, kind = 'expense') {
+  if (kind === 'transfer') return delTransfer(id);
+  const isInc = kind === 'income';
+  if (!confirm(isInc ? 'Supprimer ce revenu ?' : 'Supprimer cette dépense (et ses photos) ?')) return;
   try {
-    await DB.deleteExpense(currentUser.id, id);
-    toast('✅ Supprimée');
+    if (isInc) await DB.deleteIncome(currentUser.id, id);
+    else       await DB.deleteExpense(currentUser.id, id);
+    if (isEditing({ id, kind })) cancelEdit();
+    toast('✅ Supprimé' + (isInc ? '' : 'e'));
     await loadData();
   } catch (err) {
     toast('❌ ' + err.message, true);
   }
 }
 
+function isEditing(item) {
+  return item.id === editingId && item.kind === editingKind;
+}
+
 /* ═══════════════════════════════════════════════════════════════
    FORMULAIRE
    ═══════════════════════════════════════════════════════════════ */
@@ -249,24 +754,43 @@ document.getElementById('expense-form').addEventListener('submit', async e => {
   const data = {
     name:     fd.get('name'),
     amount:   fd.get('amount'),
+    currency: fd.get('currency'),
     category: fd.get('category'),
+    account_id: fd.get('account_id') || null,
     date:     fd.get('date'),
     hour:     fd.get('hour'),
     minute:   fd.get('minute'),
+    notes:    fd.get('notes'),
   };
 
   if (!data.name?.trim() || !data.amount || !data.date) {
     return toast('⚠️ Remplissez tous les champs.', true);
   }
 
+  // Nouvelle dépense : les mois passés de l'analyse restent valables
+  const changed = !editingId && formKind() === 'expense' ? data.date : 'all';
   setBtnLoad('btn-add', true);
   try {
-    await DB.addExpense(currentUser.id, data);
-    toast('✅ Dépense enregistrée !');
-    e.target.reset();
-    document.getElementById('f-date').value = todayStr();
-    document.getElementById('f-hour').value = new Date().getHours();
-    await loadData();
+    if (formKind() === 'income') {
+      // Le <select> "category" porte l'origine du revenu
+      const income = { ...data, source: data.category };
+      if (editingId) await DB.updateIncome(currentUser.id, editingId, income);
+      else           await DB.addIncome(currentUser.id, income);
+      toast(editingId ? '✅ Revenu modifié !' : '✅ Revenu enregistré !');
+    } else if (editingId) {
+      await DB.updateExpense(currentUser.id, editingId, data);
+      const photoErr = await savePhotos(editingId);
+      toast(photoErr ? '⚠️ Dépense modifiée, ' + photoErr : '✅ Dépense modifiée !', !!photoErr);
+    } else {
+      const id       = await DB.addExpense(currentUser.id, data);
+      const photoErr = await savePhotos(id);
+      const alerts   = await DB.budgetAlerts(currentUser.id, data);
+      if (photoErr)           toast('⚠️ Dépense enregistrée, ' + photoErr, true);
+      else if (alerts.length) budgetToast(alerts);
+      else toast('✅ Dépense enregistrée !');
+    }
+    resetExpenseForm();
+    await loadData({ changed });
   } catch (err) {
     toast('❌ ' + err.message, true);
   } finally {
@@ -274,170 +798,2484 @@ document.getElementById('expense-form').addEventListener('submit', async e => {
   }
 });
 
-/* ═══════════════════════════════════════════════════════════════
-   GRAPHIQUES — tooltips FCFA corrects
-   ═══════════════════════════════════════════════════════════════ */
-async function renderChart(period) {
-  const canvas = document.getElementById('main-chart');
-  if (!canvas) return;
-  const ctx = canvas.getContext('2d');
+document.getElementById('btn-cancel-edit').addEventListener('click', () => {
+  cancelEdit();
+});
 
-  if (chart) { chart.destroy(); chart = null; }
+// Bascule Dépense / Revenu : le <select> catégorie devient "Origine"
+document.querySelectorAll('#expense-form input[name="kind"]').forEach(r => {
+  r.addEventListener('change', () => { fillFormCategory(); setEditMode(!!editingId); });
+});
 
-  const isDark = document.documentElement.getAttribute('data-theme') === 'dark';
-  const gridColor  = isDark ? 'rgba(255,255,255,0.05)' : 'rgba(0,0,0,0.05)';
-  const tickColor  = isDark ? '#7D8590' : '#94A3B8';
-  const legendColor = isDark ? '#E6EDF3' : '#0F172A';
+function formKind() {
+  return document.querySelector('#expense-form input[name="kind"]:checked')?.value || 'expense';
+}
 
-  // Tooltip commun FCFA
-  const ttFCFA = val => `  ${fmt(val)} FCFA`;
+// Options du <select> de saisie selon le type (catégories actives ou origines)
+function fillFormCategory() {
+  const sel  = document.getElementById('f-cat');
+  const keep = sel.value;
+  const inc  = formKind() === 'income';
+  sel.innerHTML = '';
+  if (inc) INCOME_SOURCES.forEach(src => sel.add(new Option(`${src.icon} ${src.name}`, src.name)));
+  else     categories.filter(c => !c.archived).forEach(c => sel.add(new Option(catLabel(c.name), c.name)));
+  if ([...sel.options].some(o => o.value === keep)) sel.value = keep;
+  document.getElementById('f-cat-lbl').textContent = inc ? 'Origine' : 'Catégorie';
+}
 
-  const noData = () => {
-    const el = canvas.parentElement;
-    let nd = el.querySelector('.chart-no-data');
-    if (!nd) { nd = document.createElement('div'); nd.className = 'chart-no-data'; el.appendChild(nd); }
-    nd.textContent = 'Aucune donnée pour ce graphique';
-  };
-  canvas.parentElement.querySelector('.chart-no-data')?.remove();
+// Charge une dépense ou un revenu dans le formulaire (mode édition)
+function startEdit(item) {
+  const form = document.getElementById('expense-form');
+  editingId   = item.id;
+  editingKind = item.kind || 'expense';
 
-  let cfg;
+  form.elements.kind.value = editingKind;
+  fillFormCategory();
+  form.elements.name.value     = item.name;
+  form.elements.amount.value   = item.amount;
+  fillCurrencySelect(form.elements.currency, item.currency);
+  // Catégorie archivée → option ajoutée à la volée
+  const value  = editingKind === 'income' ? item.source : item.category;
+  const catSel = form.elements.category;
+  if (![...catSel.options].some(o => o.value === value)) {
+    catSel.add(new Option(catLabel(value), value));
+  }
+  catSel.value = value;
+  setAccountSelect(form.elements.account_id, item.account_id);
+  form.elements.date.value     = item.date;
+  form.elements.hour.value     = item.hour;
+  setFormMinute(item.minute);
+  form.elements.notes.value = item.notes || '';
+  hideNameHint();
+  clearFormPhotos();
+  if (editingKind === 'expense') loadFormPhotos(item.id);
 
-  switch (chartType) {
+  setEditMode(true);
+  document.querySelectorAll('.exp-row').forEach(r => {
+    r.classList.toggle('editing', +r.dataset.id === item.id && r.dataset.kind === editingKind);
+  });
+  form.closest('.card').scrollIntoView({ behavior: 'smooth', block: 'start' });
+  document.getElementById('f-name')?.focus();
+}
 
-    case 'bar_h': {
-      const stats = await DB.statsByCategory(currentUser.id, period);
-      if (!Object.keys(stats).length) { noData(); return; }
-      const labels = Object.keys(stats);
-      const data   = Object.values(stats);
-      const clrs   = labels.map(l => COLORS[l] || '#64748B');
-      cfg = {
-        type: 'bar',
-        data: { labels, datasets: [{ data, backgroundColor: clrs.map(c => c+'bb'), borderColor: clrs, borderWidth: 2, borderRadius: 6 }] },
-        options: {
-          indexAxis: 'y',
-          responsive: true, maintainAspectRatio: false,
-          plugins: {
-            legend: { display: false },
-            tooltip: { callbacks: { label: ctx => ttFCFA(ctx.parsed.x) } }
-          },
-          scales: {
-            x: { ticks: { color: tickColor, callback: v => fmt(v) + ' F' }, grid: { color: gridColor } },
-            y: { ticks: { color: tickColor }, grid: { display: false } }
-          }
-        }
-      };
-      break;
-    }
+// Minute hors des quarts d'heure (import, saisie rapide) → option ajoutée à la volée
+function setFormMinute(minute) {
+  const minSel = document.getElementById('expense-form').elements.minute;
+  if (![...minSel.options].some(o => +o.value === +minute)) {
+    minSel.add(new Option(`${String(minute).padStart(2,'0')} min`, minute));
+  }
+  minSel.value = minute;
+}
 
-    case 'pie':
-    case 'doughnut': {
-      const stats = await DB.statsByCategory(currentUser.id, period);
-      if (!Object.keys(stats).length) { noData(); return; }
-      const labels = Object.keys(stats);
-      const data   = Object.values(stats);
-      const total  = data.reduce((s,v) => s+v, 0);
-      const clrs   = labels.map(l => COLORS[l] || '#64748B');
-      cfg = {
-        type: chartType,
-        data: { labels, datasets: [{ data, backgroundColor: clrs, borderColor: isDark ? '#1C2331' : '#fff', borderWidth: 3, hoverOffset: 10 }] },
-        options: {
-          responsive: true, maintainAspectRatio: false,
-          cutout: chartType === 'doughnut' ? '60%' : 0,
-          plugins: {
-            legend: { position:'bottom', labels: { color: legendColor, padding: 14, usePointStyle: true, font: { size: 12 } } },
-            tooltip: {
-              callbacks: {
-                // Pour pie/doughnut : ctx.parsed est un nombre direct
-                label: ctx => {
-                  const v = ctx.parsed;
-                  const pct = total > 0 ? ((v/total)*100).toFixed(1) : 0;
-                  return `  ${fmt(v)} FCFA (${pct}%)`;
-                }
-              }
-            }
-          }
-        }
-      };
-      break;
-    }
+function cancelEdit() {
+  resetExpenseForm();
+  document.querySelectorAll('.exp-row.editing').forEach(r => r.classList.remove('editing'));
+}
 
-    case 'line': {
-      const stats = await DB.statsByDay(currentUser.id, period);
-      if (!stats.data.length) { noData(); return; }
-      cfg = {
-        type: 'line',
-        data: { labels: stats.labels, datasets: [{ data: stats.data, fill: true, backgroundColor: isDark ? 'rgba(68,147,248,0.10)' : 'rgba(37,99,235,0.08)', borderColor: isDark ? '#4493F8' : '#2563EB', borderWidth: 2.5, pointRadius: 4, pointHoverRadius: 7, tension: 0.4 }] },
-        options: {
-          responsive: true, maintainAspectRatio: false,
-          plugins: {
-            legend: { display: false },
-            tooltip: { callbacks: { label: ctx => ttFCFA(ctx.parsed.y) } }
-          },
-          scales: {
-            y: { ticks: { color: tickColor, callback: v => fmt(v) + ' F' }, grid: { color: gridColor } },
-            x: { ticks: { color: tickColor }, grid: { display: false } }
-          }
-        }
-      };
-      break;
-    }
+function resetExpenseForm() {
+  editingId   = null;
+  editingKind = 'expense';
+  document.getElementById('expense-form').reset();
+  document.getElementById('f-date').value = todayStr();
+  document.getElementById('f-hour').value = new Date().getHours();
+  document.getElementById('quick-input').value = '';
+  catTouched = false;
+  hideNameHint();
+  clearFormPhotos();
+  fillFormCategory();
+  setEditMode(false);
+}
 
-    case 'bar_month': {
-      const stats = await DB.statsByMonth(currentUser.id);
-      if (!stats.data.some(v => v > 0)) { noData(); return; }
-      cfg = {
-        type: 'bar',
-        data: { labels: stats.labels, datasets: [{ data: stats.data, backgroundColor: isDark ? 'rgba(63,185,80,0.7)' : 'rgba(5,150,105,0.75)', borderColor: isDark ? '#3FB950' : '#059669', borderWidth: 2, borderRadius: 5 }] },
-        options: {
-          responsive: true, maintainAspectRatio: false,
-          plugins: {
-            legend: { display: false },
-            tooltip: { callbacks: { label: ctx => ttFCFA(ctx.parsed.y) } }
-          },
-          scales: {
-            y: { ticks: { color: tickColor, callback: v => fmt(v) + ' F' }, grid: { color: gridColor } },
-            x: { ticks: { color: tickColor, maxRotation: 45 }, grid: { display: false } }
-          }
-        }
-      };
-      break;
-    }
+function setEditMode(on) {
+  const form = document.getElementById('expense-form');
+  const inc  = formKind() === 'income';
+  form.closest('.card').classList.toggle('editing', on);
+  document.getElementById('form-title').textContent = on
+    ? (inc ? '✏️ Modifier le revenu' : '✏️ Modifier la dépense')
+    : (inc ? '➕ Nouveau revenu'      : '➕ Nouvelle dépense');
+  document.querySelector('#btn-add .btxt').textContent = on
+    ? '💾 Enregistrer'
+    : (inc ? '💾 Enregistrer le revenu' : '💾 Enregistrer la dépense');
+  document.getElementById('btn-cancel-edit').classList.toggle('hidden', !on);
+  // Une dépense ne devient pas un revenu : type figé en édition
+  form.querySelectorAll('input[name="kind"]').forEach(r => { r.disabled = on; });
+  document.getElementById('photo-field').classList.toggle('hidden', inc);
+  if (inc) hideNameHint();
+}
 
-    default: return;
+/* ── Saisie rapide : phrase tapée ou dictée ──────────────────── */
+// QuickAdd (quickadd.js) découpe la phrase ; le formulaire est seulement
+// pré-rempli : rien n'est écrit avant « Enregistrer ».
+document.getElementById('quick-form').addEventListener('submit', e => {
+  e.preventDefault();
+  const text = document.getElementById('quick-input').value;
+  if (text.trim()) applyQuickAdd(text);
+});
+
+function applyQuickAdd(text) {
+  const form = document.getElementById('expense-form');
+  const q    = QuickAdd.parse(text, { categories: categories.filter(c => !c.archived).map(c => c.name) });
+
+  // Toujours une nouvelle dépense (les photos déjà prises restent)
+  if (editingId) cancelEdit();
+  if (formKind() !== 'expense') {
+    form.elements.kind.value = 'expense';
+    fillFormCategory();
+    setEditMode(false);
   }
+  if (q.name)            form.elements.name.value     = q.name;
+  if (q.amount)          form.elements.amount.value   = q.amount;
+  if (q.currency)        fillCurrencySelect(form.elements.currency, q.currency);
+  if (q.category)        form.elements.category.value = q.category;
+  if (q.date)            form.elements.date.value     = q.date;
+  if (q.hour !== null)   form.elements.hour.value     = q.hour;
+  if (q.minute !== null) setFormMinute(q.minute);
+  catTouched = !!q.category;
+  suggestForName();
 
-  chart = new Chart(ctx, cfg);
+  const missing = !q.name ? 'name' : !q.amount ? 'amount' : null;
+  if (missing) {
+    form.elements[missing].focus();
+    toast(`⚠️ ${missing === 'name' ? 'Désignation' : 'Montant'} non reconnu : complétez le formulaire.`, true);
+  } else {
+    document.getElementById('btn-add').focus();
+    toast('✅ Vérifiez puis enregistrez.');
+  }
 }
 
-function setChartType(type) {
-  chartType = type;
-  document.querySelectorAll('.ctype-btn').forEach(b => b.classList.toggle('active', b.dataset.type === type));
-  const period = document.getElementById('filter-period')?.value || 'month';
-  renderChart(period);
-}
+// Dictée (Web Speech API, Chrome/Android et Safari) : bouton 🎤 caché
+// si le navigateur ne la propose pas
+const SpeechRec = window.SpeechRecognition || window.webkitSpeechRecognition;
+let recognition = null;
+const SPEECH_ERRORS = {
+  'not-allowed':   'Micro refusé : autorisez-le dans les réglages du navigateur.',
+  'no-speech':     'Rien entendu, réessayez.',
+  'network':       'Dictée indisponible hors ligne.',
+  'audio-capture': 'Aucun micro détecté.',
+};
 
-// FAB → scroll formulaire
-document.querySelector('.fab').addEventListener('click', () => {
-  document.getElementById('expense-form')
-    .closest('.card')
-    .scrollIntoView({ behavior: 'smooth', block: 'start' });
-  document.getElementById('f-name')?.focus();
+if (SpeechRec) document.getElementById('btn-voice').classList.remove('hidden');
+
+document.getElementById('btn-voice').addEventListener('click', () => {
+  if (recognition) return recognition.stop();
+  const btn = document.getElementById('btn-voice');
+  recognition = new SpeechRec();
+  recognition.lang = 'fr-FR';
+  recognition.interimResults = false;
+  recognition.maxAlternatives = 1;
+  recognition.onresult = e => {
+    const text = e.results[0]?.[0]?.transcript || '';
+    document.getElementById('quick-input').value = text;
+    if (text.trim()) applyQuickAdd(text);
+  };
+  recognition.onerror = e => {
+    if (e.error !== 'aborted') toast('🎤 ' + (SPEECH_ERRORS[e.error] || 'Dictée interrompue.'), true);
+  };
+  recognition.onend = () => {
+    recognition = null;
+    btn.classList.remove('listening');
+  };
+  try {
+    recognition.start();
+    btn.classList.add('listening');
+  } catch (err) {
+    recognition = null;
+    toast('🎤 ' + err.message, true);
+  }
 });
 
-/* ═══════════════════════════════════════════════════════════════
-   UTILITAIRES
-   ═══════════════════════════════════════════════════════════════ */
-function todayStr() {
-  const d = new Date();
-  return `${d.getFullYear()}-${String(d.getMonth()+1).padStart(2,'0')}-${String(d.getDate()).padStart(2,'0')}`;
+/* ── Suggestions : catégorie, montant et désignations habituels ── */
+// Index (suggest.js) construit à la demande sur tout l'historique ;
+// périmé quand les données changent (ajout, modification, import,
+// synchro… : loadData hors 'view') et reconstruit à la saisie suivante.
+// Filtres, recherche et pages le laissent intact.
+const AMOUNT_PLACEHOLDER = document.getElementById('f-amount').placeholder;
+let suggestIndex = null;
+let suggestGen   = 0;     // incrémenté à chaque invalidation
+let suggestTimer = null;
+let catTouched   = false; // catégorie choisie à la main : on n'y touche plus
+
+function invalidateSuggestions() {
+  suggestIndex = null;
+  suggestGen++;
 }
-function fmt(n)      { return Math.round(+n).toLocaleString('fr-FR'); }
-function fmtDate(s)  { if (!s) return ''; const [y,m,d] = s.split('-'); return `${d}/${m}/${y}`; }
-function esc(s)      { const d = document.createElement('div'); d.textContent = s; return d.innerHTML; }
-function updateOffline() { document.querySelector('.offline-bar').classList.toggle('show', !navigator.onLine); }
-function showLoader(on)  {
-  document.getElementById('list-loader')?.classList.toggle('hidden', !on);
-  document.getElementById('expense-list')?.classList.toggle('hidden', on);
+
+async function ensureSuggestions() {
+  if (suggestIndex) return suggestIndex;
+  const gen  = suggestGen;
+  const uid  = currentUser.id;
+  const list = await DB.getExpenses(uid, 'all');
+  // Invalidé ou déconnecté pendant la lecture : résultat non gardé
+  if (gen !== suggestGen || currentUser?.id !== uid) return null;
+  return (suggestIndex = Suggest.build(list));
+}
+
+document.getElementById('f-name').addEventListener('focus', () => {
+  if (currentUser) ensureSuggestions().catch(console.error); // prêt avant la frappe
+});
+document.getElementById('f-name').addEventListener('input', () => {
+  clearTimeout(suggestTimer);
+  suggestTimer = setTimeout(suggestForName, 150);
+});
+document.getElementById('f-cat').addEventListener('change', () => { catTouched = true; });
+document.getElementById('name-hint').addEventListener('click', e => {
+  const btn = e.target.closest('button[data-amount]');
+  if (!btn) return;
+  document.getElementById('f-amount').value = btn.dataset.amount;
+  if (btn.dataset.currency) fillCurrencySelect(document.getElementById('f-currency'), btn.dataset.currency);
+  btn.remove();
+});
+
+// Autocomplétion de la désignation ; pour une nouvelle dépense, catégorie
+// habituelle pré-choisie et montant habituel proposé
+async function suggestForName() {
+  const form = document.getElementById('expense-form');
+  const name = form.elements.name.value;
+  if (!currentUser || formKind() !== 'expense') return hideNameHint();
+
+  let index;
+  try { index = await ensureSuggestions(); }
+  catch (err) { console.error(err); return; }
+  if (!index || form.elements.name.value !== name) return; // frappe plus récente en cours
+
+  document.getElementById('name-suggestions').replaceChildren(
+    ...Suggest.complete(index, name).map(n => new Option(n, n)));
+  if (editingId) return hideNameHint();
+
+  const active = categories.filter(c => !c.archived).map(c => c.name);
+  const s      = Suggest.forName(index, name, active);
+  if (!s) return hideNameHint();
+  if (s.category && !catTouched) form.elements.category.value = s.category;
+
+  const amount = document.getElementById('f-amount');
+  const hint   = document.getElementById('name-hint');
+  amount.placeholder = fmt(s.amount, s.currency || money.base);
+  hint.innerHTML = `💡 D'habitude : ${s.category ? esc(catLabel(s.category)) + ' · ' : ''}${fmtMoney(s.amount, s.currency || money.base)}`
+    + (amount.value ? '' : ` <button type="button" class="btn btn-ghost btn-sm" data-amount="${s.amount}" data-currency="${esc(s.currency || '')}">Reprendre ce montant</button>`);
+  hint.classList.remove('hidden');
+}
+
+function hideNameHint() {
+  document.getElementById('name-hint').classList.add('hidden');
+  document.getElementById('f-amount').placeholder = AMOUNT_PLACEHOLDER;
+}
+
+/* ── Photos du justificatif ──────────────────────────────────── */
+// Compressées ici (JPEG) avant d'être gardées par db.js : une photo
+// de téléphone (3 à 8 Mo) passe à quelques centaines de Ko.
+const PHOTO_MAX_SIDE   = 1600;
+const PHOTO_THUMB_SIDE = 160;
+const PHOTO_QUALITY    = 0.72;
+
+// Photos du formulaire : { id?, blob, thumb, width, height, url }
+// (id : déjà enregistrée). Écrites ou supprimées à l'enregistrement.
+let formPhotos    = [];
+let removedPhotos = []; // ids supprimés depuis l'ouverture du formulaire
+
+async function loadFormPhotos(expenseId) {
+  try {
+    const list = await DB.getAttachments(currentUser.id, expenseId);
+    if (editingId !== expenseId || editingKind !== 'expense') return; // autre ligne entre-temps
+    formPhotos = list.map(a => ({ ...a, url: URL.createObjectURL(a.thumb) }));
+    renderFormPhotos();
+  } catch (err) {
+    toast('❌ ' + err.message, true);
+  }
+}
+
+function clearFormPhotos() {
+  formPhotos.forEach(p => URL.revokeObjectURL(p.url));
+  formPhotos    = [];
+  removedPhotos = [];
+  renderFormPhotos();
+}
+
+function renderFormPhotos() {
+  const strip = document.getElementById('photo-strip');
+  strip.innerHTML = formPhotos.map((p, i) => `
+    <div class="photo-thumb" data-i="${i}">
+      <img src="${p.url}" alt="Justificatif ${i + 1}">
+      <button type="button" class="rm" data-i="${i}" aria-label="Retirer la photo">✕</button>
+    </div>`).join('');
+}
+
+document.getElementById('photo-strip').addEventListener('click', e => {
+  const rm = e.target.closest('.rm');
+  if (rm) {
+    const [p] = formPhotos.splice(+rm.dataset.i, 1);
+    if (p.id) removedPhotos.push(p.id);
+    URL.revokeObjectURL(p.url);
+    renderFormPhotos();
+    return;
+  }
+  const thumb = e.target.closest('.photo-thumb');
+  if (thumb) openPhotoViewer(formPhotos.map(p => p.blob), +thumb.dataset.i);
+});
+
+['photo-camera', 'photo-file'].forEach(id => {
+  document.getElementById(id).addEventListener('change', async e => {
+    const files = [...e.target.files];
+    e.target.value = ''; // même fichier re-choisissable
+    for (const file of files) {
+      if (formPhotos.length >= ATTACHMENT_MAX) {
+        toast(`⚠️ ${ATTACHMENT_MAX} photos au maximum par dépense.`, true);
+        break;
+      }
+      try {
+        const photo = await compressPhoto(file);
+        formPhotos.push({ ...photo, url: URL.createObjectURL(photo.thumb) });
+      } catch (err) {
+        toast('❌ ' + err.message, true);
+      }
+    }
+    renderFormPhotos();
+  });
+});
+
+// Après l'enregistrement de la dépense : suppressions puis ajouts.
+// → message d'erreur (la dépense, elle, est enregistrée) ou null
+async function savePhotos(expenseId) {
+  try {
+    for (const id of removedPhotos) await DB.deleteAttachment(currentUser.id, id);
+    for (const p of formPhotos.filter(p => !p.id)) {
+      await DB.addAttachment(currentUser.id, expenseId, p);
+    }
+    return null;
+  } catch (err) {
+    return 'photo non enregistrée : ' + err.message;
+  }
+}
+
+// Fichier image → { blob, thumb, width, height } (JPEG, orientation EXIF appliquée)
+async function compressPhoto(file) {
+  if (!/^image\//.test(file.type)) throw new Error(`${file.name} n'est pas une image.`);
+  const img = await decodeImage(file);
+  try {
+    const full  = await drawScaled(img, PHOTO_MAX_SIDE, PHOTO_QUALITY);
+    const thumb = await drawScaled(img, PHOTO_THUMB_SIDE, 0.7);
+    return { blob: full.blob, thumb: thumb.blob, width: full.width, height: full.height };
+  } finally {
+    img.close?.();
+  }
+}
+
+// createImageBitmap si disponible, sinon <img> (anciens Safari)
+async function decodeImage(file) {
+  if (typeof createImageBitmap === 'function') {
+    try { return await createImageBitmap(file, { imageOrientation: 'from-image' }); }
+    catch { /* format ou option non géré : essai avec <img> */ }
+  }
+  const url = URL.createObjectURL(file);
+  try {
+    const img = new Image();
+    img.src = url;
+    await img.decode();
+    return img;
+  } catch {
+    throw new Error(`Image illisible : ${file.name}`);
+  } finally {
+    URL.revokeObjectURL(url);
+  }
+}
+
+function drawScaled(img, maxSide, quality) {
+  const w0    = img.naturalWidth || img.width;
+  const h0    = img.naturalHeight || img.height;
+  const scale = Math.min(1, maxSide / Math.max(w0, h0));
+  const canvas = document.createElement('canvas');
+  canvas.width  = Math.max(1, Math.round(w0 * scale));
+  canvas.height = Math.max(1, Math.round(h0 * scale));
+  canvas.getContext('2d').drawImage(img, 0, 0, canvas.width, canvas.height);
+  return new Promise((resolve, reject) => {
+    canvas.toBlob(blob => (blob
+      ? resolve({ blob, width: canvas.width, height: canvas.height })
+      : reject(new Error('Compression de la photo impossible.'))), 'image/jpeg', quality);
+  });
+}
+
+/* ── Visionneuse plein écran ─────────────────────────────────── */
+let viewerUrls  = [];
+let viewerIndex = 0;
+
+function openPhotoViewer(blobs, start = 0) {
+  if (!blobs.length) return;
+  closePhotoViewer();
+  viewerUrls  = blobs.map(b => URL.createObjectURL(b));
+  viewerIndex = Math.min(start, viewerUrls.length - 1);
+  document.getElementById('photo-viewer').classList.remove('hidden');
+  showViewerPhoto();
+}
+
+function showViewerPhoto() {
+  const n = viewerUrls.length;
+  document.getElementById('pv-img').src = viewerUrls[viewerIndex];
+  document.getElementById('pv-count').textContent = n > 1 ? `${viewerIndex + 1} / ${n}` : '';
+  document.getElementById('pv-prev').classList.toggle('hidden', n < 2);
+  document.getElementById('pv-next').classList.toggle('hidden', n < 2);
+}
+
+function stepViewer(delta) {
+  const n = viewerUrls.length;
+  if (n < 2) return;
+  viewerIndex = (viewerIndex + delta + n) % n;
+  showViewerPhoto();
+}
+
+function closePhotoViewer() {
+  document.getElementById('photo-viewer').classList.add('hidden');
+  document.getElementById('pv-img').removeAttribute('src');
+  viewerUrls.forEach(URL.revokeObjectURL);
+  viewerUrls = [];
+}
+
+document.getElementById('pv-close').addEventListener('click', closePhotoViewer);
+document.getElementById('pv-prev').addEventListener('click', () => stepViewer(-1));
+document.getElementById('pv-next').addEventListener('click', () => stepViewer(1));
+// Tap à côté de la photo → fermer
+document.getElementById('photo-viewer').addEventListener('click', e => {
+  if (e.target.id === 'photo-viewer') closePhotoViewer();
+});
+document.addEventListener('keydown', e => {
+  if (!viewerUrls.length) return;
+  if (e.key === 'Escape')     closePhotoViewer();
+  if (e.key === 'ArrowLeft')  stepViewer(-1);
+  if (e.key === 'ArrowRight') stepViewer(1);
+});
+
+/* ═══════════════════════════════════════════════════════════════
+   BUDGETS — progression du mois et alertes 80 % / 100 %
+   ═══════════════════════════════════════════════════════════════ */
+async function renderBudgets() {
+  const box  = document.getElementById('budget-list');
+  const prog = await DB.budgetProgress(currentUser.id);
+  const rows = (prog.overall ? [{ ...prog.overall, label: '💰 Budget global' }] : [])
+    .concat(prog.categories.map(c => ({ ...c, label: `${c.icon} ${c.name}` })));
+
+  if (!rows.length) {
+    box.innerHTML = '<p class="bud-empty">Aucun budget défini. Touchez « Modifier » pour fixer vos limites mensuelles.</p>';
+    return;
+  }
+  box.innerHTML = rows.map(r => {
+    const pct   = Math.round(r.ratio * 100);
+    const state = r.ratio >= 1 ? 'over' : r.ratio >= 0.8 ? 'warn' : '';
+    return `<div class="bud-row ${state}">
+      <div class="bud-head">
+        <span>${esc(r.label)}</span>
+        <span class="bud-val">${fmt(r.spent)} / ${fmtMoney(r.limit)} · ${pct}%</span>
+      </div>
+      <div class="bud-bar"><span style="width:${Math.min(pct, 100)}%"></span></div>
+    </div>`;
+  }).join('');
+}
+
+async function renderBudgetForm() {
+  const budgets = await DB.getBudgets(currentUser.id);
+  const value   = cid => budgets.find(b => b.category_id === cid)?.limit ?? '';
+  const field   = (cid, label) => `
+    <div class="f-field">
+      <label class="lbl">${esc(label)}</label>
+      <input class="inp" type="number" min="0" inputmode="decimal" placeholder="Aucun"
+             data-cid="${cid ?? ''}" value="${value(cid)}">
+    </div>`;
+
+  document.getElementById('budget-inputs').innerHTML =
+    field(null, '💰 Global') +
+    categories.filter(c => !c.archived).map(c => field(c.id, `${c.icon} ${c.name}`)).join('');
+}
+
+document.getElementById('btn-edit-budgets').addEventListener('click', async e => {
+  const form = document.getElementById('budget-form');
+  const open = form.classList.contains('hidden');
+  if (open) await renderBudgetForm();
+  form.classList.toggle('hidden', !open);
+  e.target.textContent = open ? 'Fermer' : 'Modifier';
+});
+
+document.getElementById('budget-form').addEventListener('submit', async e => {
+  e.preventDefault();
+  try {
+    for (const inp of e.target.querySelectorAll('input[data-cid]')) {
+      await DB.setBudget(currentUser.id, inp.dataset.cid || null, inp.value);
+    }
+    e.target.classList.add('hidden');
+    document.getElementById('btn-edit-budgets').textContent = 'Modifier';
+    toast('✅ Budgets enregistrés');
+    await renderBudgets();
+  } catch (err) {
+    toast('❌ ' + err.message, true);
+  }
+});
+
+// Alerte la plus grave en premier (100 % avant 80 %)
+function budgetToast(alerts) {
+  const a    = alerts.sort((x, y) => y.level - x.level)[0];
+  const name = a.name ? `« ${a.name} »` : 'global';
+  toast(a.level === 100
+    ? `🚨 Budget ${name} dépassé (${Math.round(a.ratio * 100)}%)`
+    : `⚠️ Budget ${name} utilisé à ${Math.round(a.ratio * 100)}%`, a.level === 100);
+}
+
+/* ═══════════════════════════════════════════════════════════════
+   ANALYSE DU MOIS — tendances, rythme, dépenses inhabituelles
+   ═══════════════════════════════════════════════════════════════ */
+const INSIGHTS_HISTORY_MONTHS = 3; // mois passés servant de référence (montants typiques)
+
+// Indépendante des filtres : refaite seulement si les données changent
+// (ou le jour, pour le rythme), pas à chaque filtre ou frappe de recherche
+let insightsGen     = 0;    // incrémenté à chaque donnée modifiée
+let insightsShown   = null; // utilisateur|jour|génération de l'analyse affichée
+let insightsHistory = null; // { key, list } : dépenses des mois passés
+
+// changed : voir loadData. Une dépense ajoutée dans le mois en cours
+// laisse l'historique des mois passés en cache
+function invalidateInsights(changed = 'all') {
+  insightsGen++;
+  const inMonth = /^\d{4}-\d{2}-\d{2}$/.test(changed) && changed >= DB.periodRange('month', 0).from;
+  if (!inMonth) insightsHistory = null;
+}
+
+async function insightsHistoryFor(uid, hist) {
+  const key = `${uid}|${hist.from}`;
+  if (insightsHistory?.key === key) return insightsHistory.list;
+  const gen  = insightsGen;
+  const list = await DB.getExpenses(uid, hist);
+  // Donnée modifiée pendant la lecture : résultat non gardé
+  if (gen === insightsGen) insightsHistory = { key, list };
+  return list;
+}
+
+// Mois en cours, comparé au mois précédent sur le même nombre de jours
+// (du 1er au même jour) : un mois entamé face à un mois complet
+// paraîtrait toujours en baisse
+async function renderInsights() {
+  const box   = document.getElementById('insights');
+  const uid   = currentUser.id;
+  const today = todayStr();
+  const shown = `${uid}|${today}|${insightsGen}`;
+  if (shown === insightsShown) return;
+
+  const cur   = DB.periodRange('month', 0);
+  const prev  = DB.periodRange('month', -1);
+  const same  = `${prev.from.slice(0, 8)}${today.slice(8)}`;
+  const prevSame = { from: prev.from, to: same < prev.to ? same : prev.to };
+  const hist  = { from: DB.periodRange('month', -INSIGHTS_HISTORY_MONTHS).from, to: prev.to };
+
+  const [current, previous, byDay, expenses, history] = await Promise.all([
+    DB.statsByCategory(uid, cur),
+    DB.statsByCategory(uid, prevSame),
+    DB.statsByDay(uid, cur),
+    DB.getExpenses(uid, cur),
+    insightsHistoryFor(uid, hist),
+  ]);
+  insightsShown = shown;
+  if (!expenses.length) {
+    box.innerHTML = '<p class="bud-empty">Pas encore de dépense ce mois-ci : l\'analyse apparaîtra avec les premières saisies.</p>';
+    return;
+  }
+
+  const value   = e => DB.toBase(e, money);
+  const spent   = byDay.data.reduce((s, v) => s + v, 0);
+  const fixed   = expenses.filter(e => e.recurring_id).reduce((s, e) => s + (value(e) ?? 0), 0);
+  const pace    = Insights.pace({ spent, fixed, from: cur.from, to: cur.to });
+  const before  = Object.values(previous).reduce((s, v) => s + v, 0);
+  const changes = Insights.compare(current, previous, { limit: 4 });
+  const odd     = Insights.unusual(expenses, history, { value });
+  const top     = Insights.topNames(expenses, { value, limit: 4 });
+
+  const pct  = r => `${r > 0 ? '+' : ''}${Math.round(r * 100)} %`;
+  const card = (title, body) => `<div class="ins-card"><div class="ins-title">${title}</div>${body}</div>`;
+  const line = (left, right, cls = '') => `<div class="ins-line${cls}"><span>${left}</span><span>${right}</span></div>`;
+
+  box.innerHTML = [
+    card('📈 Rythme', `
+      <div class="ins-big">${fmtMoney(pace.average)}<small> / jour</small></div>
+      ${line('Dépensé', `${fmtMoney(spent)} en ${pace.elapsed} j`)}
+      ${line('Fin de mois estimée', `≈ ${fmtMoney(pace.projected)}`)}
+      ${before > 0 ? line('Même période, mois dernier', `${fmtMoney(before)} · ${pct((spent - before) / before)}`,
+        spent > before ? ' up' : ' down') : ''}`),
+
+    changes.length ? card('🔀 Par rapport au mois dernier', changes.map(c => line(
+      esc(catLabel(c.category)),
+      c.change === null ? `${fmtMoney(c.current)} · nouveau` : `${c.delta > 0 ? '▲' : '▼'} ${pct(c.change)} (${c.delta > 0 ? '+' : '−'}${fmtMoney(Math.abs(c.delta))})`,
+      c.delta > 0 ? ' up' : ' down')).join('')) : '',
+
+    odd.length ? card('⚠️ Dépenses inhabituelles', odd.map(o => `
+      <button type="button" class="ins-line ins-odd" data-id="${o.expense.id}">
+        <span>${esc(o.expense.name)}<small>${fmtDate(o.expense.date)} · ${esc(catLabel(o.expense.category))}</small></span>
+        <span>${fmtMoney(o.amount)}<small>× ${o.ratio.toLocaleString('fr-FR', { maximumFractionDigits: 1 })} l'habitude (${fmtMoney(o.typical)})</small></span>
+      </button>`).join('')) : '',
+
+    card('🏪 Où part l\'argent', top.map(t => line(
+      `${esc(t.name)}${t.count > 1 ? `<small>${t.count} fois</small>` : ''}`,
+      fmtMoney(t.total))).join('')),
+  ].join('');
+  // Lignes inhabituelles → ouvertes dans le formulaire pour vérification
+  box.querySelectorAll('.ins-odd').forEach(btn => {
+    const o = odd.find(x => x.expense.id === +btn.dataset.id);
+    btn.addEventListener('click', () => startEdit({ ...o.expense, kind: 'expense' }));
+  });
+}
+
+/* ═══════════════════════════════════════════════════════════════
+   DÉPENSES RÉCURRENTES — modèles, pause, édition, suppression
+   ═══════════════════════════════════════════════════════════════ */
+let recEditId = null;
+
+const FREQ_LABELS = {
+  daily:   () => 'chaque jour',
+  weekly:  () => 'chaque semaine',
+  monthly: () => 'chaque mois',
+  custom:  t  => `tous les ${t.interval} jours`,
+};
+
+async function renderRecurring() {
+  const list      = document.getElementById('rec-list');
+  const templates = await DB.getRecurring(currentUser.id);
+
+  if (!templates.length) {
+    list.innerHTML = '<p class="bud-empty">Aucune dépense récurrente (loyer, abonnements, tontine…).</p>';
+    return;
+  }
+  list.innerHTML = templates.map(t => {
+    const next   = DB.nextOccurrence(t);
+    const status = t.paused ? `⏸ En pause${t.paused_reason ? ` (${esc(t.paused_reason)})` : ''}`
+                 : next     ? `Prochaine : ${fmtDate(next)}`
+                 :            '✔️ Terminée';
+    return `<div class="rec-row${t.paused ? ' paused' : ''}" data-id="${t.id}">
+      <div class="exp-dot" style="background:${catColor(t.category)}"></div>
+      <div class="exp-info">
+        <div class="exp-name">${esc(t.name)} · ${fmtMoney(t.amount, t.currency)}</div>
+        <div class="exp-meta">${esc(catLabel(t.category))}${t.account_id != null ? ` · ${esc(accLabel(t.account_id))}` : ''} · ${FREQ_LABELS[t.freq](t)} · ${status}</div>
+      </div>
+      <div class="rec-btns">
+        <button type="button" class="btn btn-ghost btn-sm" data-act="pause" title="${t.paused ? 'Reprendre' : 'Mettre en pause'}">${t.paused ? '▶' : '⏸'}</button>
+        <button type="button" class="btn btn-ghost btn-sm" data-act="edit" title="Modifier">✏️</button>
+        <button type="button" class="btn btn-sm btn-del" data-act="del" title="Supprimer">🗑</button>
+      </div>
+    </div>`;
+  }).join('');
+}
+
+function openRecForm(t = null) {
+  const form = document.getElementById('rec-form');
+  form.reset();
+  recEditId = t?.id ?? null;
+  const el = form.elements;
+  if (t) {
+    el.name.value     = t.name;
+    el.amount.value   = t.amount;
+    fillCurrencySelect(el.currency, t.currency);
+    if (![...el.category.options].some(o => o.value === t.category)) {
+      el.category.add(new Option(catLabel(t.category), t.category));
+    }
+    el.category.value = t.category;
+    setAccountSelect(el.account_id, t.account_id);
+    el.freq.value     = t.freq;
+    el.interval.value = t.interval;
+    el.start.value    = t.start;
+    el.end.value      = t.end || '';
+    el.hour.value     = t.hour;
+    el.minute.value   = t.minute;
+  } else {
+    el.start.value = todayStr();
+    el.hour.value  = new Date().getHours();
+  }
+  el.interval.disabled = el.freq.value !== 'custom';
+  form.classList.remove('hidden');
+  el.name.focus();
+}
+
+function closeRecForm() {
+  recEditId = null;
+  document.getElementById('rec-form').classList.add('hidden');
+}
+
+document.getElementById('btn-new-rec').addEventListener('click', () => openRecForm());
+document.getElementById('btn-cancel-rec').addEventListener('click', closeRecForm);
+document.getElementById('rec-freq').addEventListener('change', e => {
+  document.getElementById('rec-interval').disabled = e.target.value !== 'custom';
+});
+
+document.getElementById('rec-form').addEventListener('submit', async e => {
+  e.preventDefault();
+  const fd   = new FormData(e.target);
+  const data = {
+    name:     fd.get('name'),
+    amount:   fd.get('amount'),
+    currency: fd.get('currency'),
+    category: fd.get('category'),
+    account_id: fd.get('account_id') || null,
+    freq:     fd.get('freq'),
+    interval: fd.get('interval') || 1,
+    start:    fd.get('start'),
+    end:      fd.get('end') || null,
+    hour:     fd.get('hour'),
+    minute:   fd.get('minute'),
+  };
+  try {
+    if (recEditId) await DB.updateRecurring(currentUser.id, recEditId, data);
+    else           await DB.addRecurring(currentUser.id, data);
+    closeRecForm();
+    const rec = await DB.runRecurring(currentUser.id);
+    toast(rec.created
+      ? `✅ Enregistrée — ${rec.created} occurrence${rec.created !== 1 ? 's' : ''} ajoutée${rec.created !== 1 ? 's' : ''}`
+      : '✅ Récurrence enregistrée');
+    await loadData();
+  } catch (err) {
+    toast('❌ ' + err.message, true);
+  }
+});
+
+document.getElementById('rec-list').addEventListener('click', async e => {
+  const btn = e.target.closest('button[data-act]');
+  if (!btn) return;
+  const id        = +btn.closest('.rec-row').dataset.id;
+  const templates = await DB.getRecurring(currentUser.id);
+  const t         = templates.find(x => x.id === id);
+  if (!t) return;
+
+  try {
+    if (btn.dataset.act === 'edit') return openRecForm(t);
+
+    if (btn.dataset.act === 'pause') {
+      await DB.pauseRecurring(currentUser.id, id, !t.paused);
+      toast(t.paused ? '▶ Récurrence reprise' : '⏸ Récurrence en pause');
+    } else {
+      if (!confirm(`Supprimer la récurrence « ${t.name} » ?`)) return;
+      const removeGenerated = confirm(
+        'Supprimer aussi les dépenses déjà générées par cette récurrence ?\n' +
+        'OK = les supprimer · Annuler = les conserver'
+      );
+      await DB.deleteRecurring(currentUser.id, id, { keepGenerated: !removeGenerated });
+      if (recEditId === id) closeRecForm();
+      toast('✅ Récurrence supprimée');
+    }
+    await loadData();
+  } catch (err) {
+    toast('❌ ' + err.message, true);
+  }
+});
+
+/* ═══════════════════════════════════════════════════════════════
+   CATÉGORIES — personnalisées par utilisateur
+   ═══════════════════════════════════════════════════════════════ */
+async function loadCategories() {
+  categories = await DB.getCategories(currentUser.id, { includeArchived: true });
+  renderCategoryOptions();
+  renderCategoryManager();
+  if (!document.getElementById('budget-form').classList.contains('hidden')) await renderBudgetForm();
+}
+
+// Remplit les <select> de saisie (actives) et le filtre (toutes)
+function renderCategoryOptions() {
+  const filterSel  = document.getElementById('filter-cat');
+  const keepFilter = filterSel.value;
+
+  fillFormCategory();
+
+  const recSel  = document.getElementById('rec-cat');
+  const keepRec = recSel.value;
+  recSel.innerHTML = '';
+  categories.filter(c => !c.archived).forEach(c => recSel.add(new Option(catLabel(c.name), c.name)));
+  if ([...recSel.options].some(o => o.value === keepRec)) recSel.value = keepRec;
+
+  filterSel.innerHTML = '';
+  filterSel.add(new Option('Toutes', 'Toutes'));
+  categories.forEach(c => {
+    filterSel.add(new Option(catLabel(c.name) + (c.archived ? ' (archivée)' : ''), c.name));
+  });
+  filterSel.value = [...filterSel.options].some(o => o.value === keepFilter) ? keepFilter : 'Toutes';
+}
+
+function renderCategoryManager() {
+  const list = document.getElementById('cat-list');
+  list.innerHTML = '';
+  categories.forEach(c => {
+    const others = categories.filter(o => o.id !== c.id)
+      .map(o => `<option value="${o.id}">${esc(catLabel(o.name))}</option>`).join('');
+    const row = document.createElement('div');
+    row.className = 'cat-row' + (c.archived ? ' archived' : '');
+    row.dataset.id = c.id;
+    row.innerHTML = `
+      <input class="cat-color" type="color" value="${c.color}" title="Couleur">
+      <input class="inp cat-icon" type="text" value="${esc(c.icon)}" maxlength="8" title="Emoji">
+      <input class="inp cat-name" type="text" value="${esc(c.name)}" maxlength="30">
+      <button type="button" class="btn btn-ghost btn-sm" data-act="save" title="Enregistrer">💾</button>
+      <button type="button" class="btn btn-ghost btn-sm" data-act="archive">${c.archived ? '♻️ Réactiver' : '📦 Archiver'}</button>
+      <select data-act="merge" title="Fusionner">
+        <option value="">🔀 Fusionner dans…</option>${others}
+      </select>`;
+    list.appendChild(row);
+  });
+}
+
+document.getElementById('btn-toggle-cats').addEventListener('click', e => {
+  const box = document.getElementById('cat-manager');
+  box.classList.toggle('hidden');
+  e.target.textContent = box.classList.contains('hidden') ? 'Gérer' : 'Fermer';
+});
+
+document.getElementById('cat-form').addEventListener('submit', async e => {
+  e.preventDefault();
+  const fd = new FormData(e.target);
+  try {
+    await DB.addCategory(currentUser.id, {
+      name: fd.get('name'), color: fd.get('color'), icon: fd.get('icon')
+    });
+    e.target.reset();
+    toast('✅ Catégorie ajoutée');
+    await loadCategories();
+  } catch (err) {
+    toast('❌ ' + err.message, true);
+  }
+});
+
+document.getElementById('cat-list').addEventListener('click', async e => {
+  const btn = e.target.closest('button[data-act]');
+  if (!btn) return;
+  const row = btn.closest('.cat-row');
+  const id  = +row.dataset.id;
+  const cat = categories.find(c => c.id === id);
+
+  try {
+    if (btn.dataset.act === 'save') {
+      await DB.updateCategory(currentUser.id, id, {
+        name:  row.querySelector('.cat-name').value,
+        color: row.querySelector('.cat-color').value,
+        icon:  row.querySelector('.cat-icon').value,
+      });
+      toast('✅ Catégorie enregistrée');
+    } else {
+      await DB.archiveCategory(currentUser.id, id, !cat.archived);
+      toast(cat.archived ? '✅ Catégorie réactivée' : '📦 Catégorie archivée');
+    }
+    await loadCategories();
+    await loadData();
+  } catch (err) {
+    toast('❌ ' + err.message, true);
+  }
+});
+
+document.getElementById('cat-list').addEventListener('change', async e => {
+  if (e.target.dataset.act !== 'merge' || !e.target.value) return;
+  const from = categories.find(c => c.id === +e.target.closest('.cat-row').dataset.id);
+  const to   = categories.find(c => c.id === +e.target.value);
+  if (!confirm(`Fusionner « ${from.name} » dans « ${to.name} » ? Ses dépenses y seront déplacées.`)) {
+    e.target.value = '';
+    return;
+  }
+  try {
+    const n = await DB.mergeCategories(currentUser.id, from.id, to.id);
+    toast(`✅ ${n} dépense${n !== 1 ? 's' : ''} déplacée${n !== 1 ? 's' : ''}`);
+    await loadCategories();
+    await loadData();
+  } catch (err) {
+    toast('❌ ' + err.message, true);
+  }
+});
+
+function incomeLabel(source) {
+  const src = INCOME_SOURCES.find(s => s.name === source);
+  return src ? `${src.icon} ${src.name}` : source;
+}
+function catOf(name)    { return categories.find(c => c.name === name); }
+function catColor(name) { return catOf(name)?.color || '#64748B'; }
+function catLabel(name) { const c = catOf(name); return c ? `${c.icon} ${c.name}` : name; }
+
+/* ═══════════════════════════════════════════════════════════════
+   DEVISES — devise de base, devise de chaque opération, taux
+   ═══════════════════════════════════════════════════════════════ */
+async function loadCurrency() {
+  money = await DB.getCurrency(currentUser.id);
+  renderCurrencyOptions();
+  renderCurrencyManager();
+  renderAccountManager(); // devises proposées aux comptes
+}
+
+// Après un changement de taux ou de devise de base
+async function reloadCurrency() {
+  await loadCurrency();
+  if (!document.getElementById('budget-form').classList.contains('hidden')) await renderBudgetForm();
+  await loadData();
+}
+
+// Devises de saisie : base, celles qui ont un taux, puis les autres
+// connues (« sans taux » : l'opération restera hors des totaux)
+function fillCurrencySelect(sel, value = money.base) {
+  const codes = new Set([money.base, ...Object.keys(money.rates).sort(), ...CURRENCIES.map(c => c.code)]);
+  if (value) codes.add(value);
+  sel.replaceChildren(...[...codes].map(c =>
+    new Option(c === money.base || money.rates[c] ? c : `${c} (sans taux)`, c)));
+  sel.value = value || money.base;
+}
+
+// Formulaires en cours d'édition : devise gardée ; sinon devise de base
+function renderCurrencyOptions() {
+  const f = document.getElementById('f-currency');
+  const r = document.getElementById('rec-currency');
+  fillCurrencySelect(f, editingId ? f.value : money.base);
+  fillCurrencySelect(r, recEditId ? r.value : money.base);
+  document.getElementById('total-cur').textContent = DB.currencyInfo(money.base).symbol;
+}
+
+function renderCurrencyManager() {
+  const codes = new Set([money.base, ...CURRENCIES.map(c => c.code), ...Object.keys(money.rates).sort()]);
+  const base  = document.getElementById('fx-base');
+  base.replaceChildren(...[...codes].map(c => new Option(`${c} — ${DB.currencyInfo(c).name}`, c)));
+  base.value = money.base;
+  document.querySelector('#fx-form .fx-base-sym').textContent = money.base;
+  document.getElementById('fx-codes').replaceChildren(...CURRENCIES
+    .filter(c => c.code !== money.base && !money.rates[c.code])
+    .map(c => new Option(c.name, c.code)));
+
+  const rates = Object.entries(money.rates).sort(([a], [b]) => a.localeCompare(b));
+  document.getElementById('fx-list').innerHTML = rates.length
+    ? rates.map(([code, rate]) => `<div class="cat-row fx-row" data-code="${code}">
+        <span>1 ${code} =</span>
+        <input class="inp fx-rate" type="number" min="0" step="any" inputmode="decimal" value="${rate}">
+        <span class="fx-base-sym">${money.base}</span>
+        <button type="button" class="btn btn-ghost btn-sm" data-act="save" title="Enregistrer">💾</button>
+        <button type="button" class="btn btn-sm btn-del" data-act="del" title="Supprimer">🗑</button>
+      </div>`).join('')
+    : `<p class="bud-empty">Aucun taux : seules les opérations en ${money.base} entrent dans les totaux.</p>`;
+}
+
+document.getElementById('btn-toggle-fx').addEventListener('click', e => {
+  const box = document.getElementById('fx-manager');
+  box.classList.toggle('hidden');
+  e.target.textContent = box.classList.contains('hidden') ? 'Gérer' : 'Fermer';
+});
+
+document.getElementById('fx-form').addEventListener('submit', async e => {
+  e.preventDefault();
+  const fd = new FormData(e.target);
+  if (!fd.get('code').trim() || !(+fd.get('rate') > 0)) return toast('⚠️ Indiquez la devise et son taux.', true);
+  try {
+    await DB.setRate(currentUser.id, fd.get('code'), fd.get('rate'));
+    e.target.reset();
+    toast('✅ Taux enregistré');
+    await reloadCurrency();
+  } catch (err) {
+    toast('❌ ' + err.message, true);
+  }
+});
+
+document.getElementById('fx-list').addEventListener('click', async e => {
+  const btn = e.target.closest('button[data-act]');
+  if (!btn) return;
+  const row  = btn.closest('.fx-row');
+  const code = row.dataset.code;
+  const del  = btn.dataset.act === 'del';
+  const rate = row.querySelector('.fx-rate').value;
+  if (!del && !(+rate > 0)) return toast('⚠️ Taux invalide.', true);
+  if (del && !confirm(`Supprimer le taux ${code} ? Les opérations en ${code} sortiront des totaux.`)) return;
+  try {
+    await DB.setRate(currentUser.id, code, del ? '' : rate);
+    toast(del ? '🗑 Taux supprimé' : '✅ Taux enregistré');
+    await reloadCurrency();
+  } catch (err) {
+    toast('❌ ' + err.message, true);
+  }
+});
+
+// Nouvelle devise de base : taux et budgets convertis par DB.setBaseCurrency
+document.getElementById('fx-base').addEventListener('change', async e => {
+  const code = e.target.value;
+  if (!confirm(`Passer la devise de base à ${code} ? Les taux et les budgets seront convertis.`)) {
+    e.target.value = money.base;
+    return;
+  }
+  try {
+    await DB.setBaseCurrency(currentUser.id, code);
+    toast(`✅ Devise de base : ${code}`);
+    await reloadCurrency();
+  } catch (err) {
+    e.target.value = money.base;
+    toast('❌ ' + err.message, true);
+  }
+});
+
+/* ═══════════════════════════════════════════════════════════════
+   GROUPES — dépenses partagées, soldes et remboursements
+   ═══════════════════════════════════════════════════════════════ */
+let groups       = [];    // groupes dont l'utilisateur est membre
+let groupId      = null;  // groupe affiché
+let grpEditId    = null;  // groupe chargé dans le formulaire
+let gentryEditId = null;  // opération de groupe chargée dans le formulaire
+let grpTransfers = [];    // remboursements proposés (boutons « Réglé »)
+let deviceUsers  = [];    // profils de l'appareil, membres possibles
+
+async function loadGroups() {
+  groups = await DB.getGroups(currentUser.id);
+  if (!groups.some(g => g.id === groupId)) groupId = groups[0]?.id ?? null;
+  const sel = document.getElementById('grp-select');
+  sel.replaceChildren(...groups.map(g => new Option(g.name, g.id)));
+  sel.value = groupId ?? '';
+  document.getElementById('grp-view').classList.toggle('hidden', !groupId);
+  document.getElementById('grp-empty').classList.toggle('hidden', !!groupId);
+  await renderGroup();
+}
+
+function currentGroup() { return groups.find(g => g.id === groupId) || null; }
+function memberName(g, id) { return g.members.find(m => m.id === id)?.name ?? '?'; }
+
+async function renderGroup() {
+  const g = currentGroup();
+  if (!g) return;
+  const [bal, entries] = await Promise.all([
+    DB.groupBalances(currentUser.id, g.id),
+    DB.getGroupEntries(currentUser.id, g.id),
+  ]);
+  const amt = n => fmtMoney(n, g.currency);
+
+  document.getElementById('grp-balances').innerHTML = bal.members.map(m => {
+    const state = m.balance > 0 ? ' plus' : m.balance < 0 ? ' minus' : '';
+    const label = m.balance > 0 ? `reçoit ${amt(m.balance)}`
+                : m.balance < 0 ? `doit ${amt(-m.balance)}`
+                :                 'à jour';
+    return `<div class="grp-bal${state}${m.user_id === currentUser.id ? ' mine' : ''}">
+      <div>${m.user_id !== null ? '👤' : '🙂'} ${esc(m.name)}
+        <div class="sub">a payé ${amt(m.paid)} · sa part ${amt(m.share)}</div>
+      </div>
+      <span>${label}</span>
+    </div>`;
+  }).join('');
+
+  grpTransfers = bal.transfers;
+  document.getElementById('grp-transfers').innerHTML = bal.transfers.length
+    ? '<span class="lbl">Pour tout solder</span>' + bal.transfers.map((t, i) => `<div class="grp-transfer" data-i="${i}">
+        <span>${esc(memberName(g, t.from))} → ${esc(memberName(g, t.to))} : <strong>${amt(t.amount)}</strong></span>
+        <button type="button" class="btn btn-ghost btn-sm" data-act="settle" title="Enregistrer ce remboursement">🤝 Réglé</button>
+      </div>`).join('')
+    : entries.length ? '<p class="bud-empty">✅ Tout le monde est quitte.</p>' : '';
+
+  document.getElementById('grp-entries').innerHTML = entries.length
+    ? entries.map(e => `<div class="rec-row" data-id="${e.id}">
+        <div class="exp-info">
+          <div class="exp-name">${e.kind === 'settlement' ? '🤝 ' : ''}${esc(e.name)} · ${amt(e.amount)}</div>
+          <div class="exp-meta">${fmtDate(e.date)} · ${esc(entryDetail(g, e))}</div>
+        </div>
+        <div class="rec-btns">
+          <button type="button" class="btn btn-ghost btn-sm" data-act="edit" title="Modifier">✏️</button>
+          <button type="button" class="btn btn-sm btn-del" data-act="del" title="Supprimer">🗑</button>
+        </div>
+      </div>`).join('')
+    : '<p class="bud-empty mt">Aucune opération : ajoutez la première dépense partagée.</p>';
+}
+
+// "payé par Awa · Awa, Bakary" / "Awa 50 %, Bakary 50 %" / "Dédé → Awa"
+function entryDetail(g, e) {
+  const name = id => memberName(g, id);
+  if (e.kind === 'settlement') return `${name(e.paid_by)} → ${name(Object.keys(e.shares)[0])}`;
+  const ids   = Object.keys(e.values);
+  const parts = e.split === 'equal'
+    ? (ids.length === g.members.length ? 'parts égales entre tous' : `parts égales : ${ids.map(name).join(', ')}`)
+    : ids.map(id => `${name(id)} ${e.split === 'percent' ? `${e.values[id]} %` : fmt(e.values[id], g.currency)}`).join(', ');
+  return `payé par ${name(e.paid_by)} · ${parts}`;
+}
+
+document.getElementById('grp-select').addEventListener('change', e => {
+  groupId = +e.target.value;
+  closeEntryForm();
+  renderGroup().catch(err => toast('❌ ' + err.message, true));
+});
+
+/* ── Groupe : création, membres, suppression ─────────────────── */
+async function openGroupForm(g = null) {
+  deviceUsers = await DB.listUsers();
+  const form = document.getElementById('grp-form');
+  form.reset();
+  grpEditId = g?.id ?? null;
+  form.elements.name.value = g?.name ?? '';
+
+  const codes = new Set([g?.currency ?? money.base, money.base, ...CURRENCIES.map(c => c.code)]);
+  form.elements.currency.replaceChildren(...[...codes].map(c => new Option(`${c} — ${DB.currencyInfo(c).name}`, c)));
+  form.elements.currency.value = g?.currency ?? money.base;
+
+  const members = g ? g.members : [{ name: currentUser.username, user_id: currentUser.id }, {}];
+  document.getElementById('grp-members').replaceChildren(...members.map(memberRow));
+  form.classList.remove('hidden');
+  form.elements.name.focus();
+}
+
+function closeGroupForm() {
+  grpEditId = null;
+  document.getElementById('grp-form').classList.add('hidden');
+  document.getElementById('grp-members').replaceChildren();
+}
+
+// Ligne de membre : nom + profil de l'appareil (vide = contact).
+// L'utilisateur ne peut pas se retirer ni changer de profil.
+function memberRow(m = {}) {
+  const me  = m.user_id === currentUser.id;
+  const row = document.createElement('div');
+  row.className  = 'cat-row grp-member';
+  row.dataset.id = m.id ?? '';
+  row.innerHTML  = `
+    <input class="inp" type="text" maxlength="30" placeholder="Nom" value="${esc(m.name ?? '')}">
+    <select class="inp" title="Profil de l'appareil"${me ? ' disabled' : ''}>
+      <option value="">🙂 Contact</option>
+      ${deviceUsers.map(u => `<option value="${u.id}">👤 ${esc(u.username)}</option>`).join('')}
+    </select>
+    <button type="button" class="btn btn-sm btn-del" data-act="del" title="Retirer"${me ? ' disabled' : ''}>✕</button>`;
+  row.querySelector('select').value = m.user_id ?? '';
+  return row;
+}
+
+document.getElementById('btn-new-group').addEventListener('click', () => openGroupForm());
+document.getElementById('btn-cancel-group').addEventListener('click', closeGroupForm);
+document.getElementById('btn-add-member').addEventListener('click', () => {
+  const row = memberRow();
+  document.getElementById('grp-members').appendChild(row);
+  row.querySelector('input').focus();
+});
+
+document.getElementById('grp-members').addEventListener('click', e => {
+  if (e.target.closest('button[data-act="del"]')) e.target.closest('.grp-member').remove();
+});
+
+// Profil choisi : son nom proposé si la ligne n'en a pas
+document.getElementById('grp-members').addEventListener('change', e => {
+  if (e.target.tagName !== 'SELECT' || !e.target.value) return;
+  const name = e.target.closest('.grp-member').querySelector('input');
+  if (!name.value.trim()) name.value = deviceUsers.find(u => u.id === +e.target.value)?.username ?? '';
+});
+
+document.getElementById('grp-form').addEventListener('submit', async e => {
+  e.preventDefault();
+  const data = {
+    name:     e.target.elements.name.value,
+    currency: e.target.elements.currency.value,
+    members:  [...document.querySelectorAll('#grp-members .grp-member')].map(row => ({
+      id:      row.dataset.id || undefined,
+      name:    row.querySelector('input').value,
+      user_id: row.querySelector('select').value || null,
+    })),
+  };
+  try {
+    const g = grpEditId
+      ? await DB.updateGroup(currentUser.id, grpEditId, data)
+      : await DB.addGroup(currentUser.id, data);
+    toast(grpEditId ? '✅ Groupe enregistré' : '✅ Groupe créé');
+    closeGroupForm();
+    groupId = g.id;
+    await loadGroups();
+  } catch (err) {
+    toast('❌ ' + err.message, true);
+  }
+});
+
+document.getElementById('btn-edit-group').addEventListener('click', () => {
+  const g = currentGroup();
+  if (g) openGroupForm(g);
+});
+
+document.getElementById('btn-del-group').addEventListener('click', async () => {
+  const g = currentGroup();
+  if (!g || !confirm(`Supprimer le groupe « ${g.name} » et toutes ses opérations ? Il disparaîtra aussi pour les autres membres.`)) return;
+  try {
+    await DB.deleteGroup(currentUser.id, g.id);
+    closeGroupForm();
+    closeEntryForm();
+    toast('🗑 Groupe supprimé');
+    await loadGroups();
+  } catch (err) {
+    toast('❌ ' + err.message, true);
+  }
+});
+
+/* ── Opérations du groupe : dépense partagée, remboursement ──── */
+function openEntryForm(e = null) {
+  const g    = currentGroup();
+  const form = document.getElementById('gentry-form');
+  form.reset();
+  gentryEditId = e?.id ?? null;
+  const el = form.elements;
+  const me = g.members.find(m => m.user_id === currentUser.id);
+  form.querySelectorAll('.grp-member-sel').forEach(sel =>
+    sel.replaceChildren(...g.members.map(m => new Option(m.name, m.id))));
+  form.querySelector('.grp-cur').textContent = DB.currencyInfo(g.currency).symbol;
+
+  el.kind.value    = e?.kind ?? 'expense';
+  el.name.value    = e?.kind === 'expense' ? e.name : '';
+  el.amount.value  = e?.amount ?? '';
+  el.date.value    = e?.date ?? todayStr();
+  el.paid_by.value = e?.paid_by ?? me.id;
+  el.to.value      = e?.kind === 'settlement' ? Object.keys(e.shares)[0]
+                   : g.members.find(m => m.id !== el.paid_by.value).id;
+  el.split.value   = e?.split ?? 'equal';
+  renderSplitInputs(e?.kind === 'expense' ? e.values : null);
+  showEntryKind();
+  form.classList.remove('hidden');
+  el.amount.focus();
+}
+
+function closeEntryForm() {
+  gentryEditId = null;
+  document.getElementById('gentry-form').classList.add('hidden');
+}
+
+// Champs propres à une dépense ([data-for="expense"]) ou à un remboursement
+function showEntryKind() {
+  const form = document.getElementById('gentry-form');
+  const kind = form.elements.kind.value;
+  form.querySelectorAll('[data-for]').forEach(x => x.classList.toggle('hidden', x.dataset.for !== kind));
+}
+
+// Une ligne par membre : case (parts égales) ou valeur (%, montant).
+// values absent : tout le monde participe, valeurs à saisir
+function renderSplitInputs(values = null) {
+  const g     = currentGroup();
+  const split = document.getElementById('gentry-form').elements.split.value;
+  const unit  = split === 'percent' ? '%' : DB.currencyInfo(g.currency).symbol;
+  document.getElementById('gentry-split').innerHTML = g.members.map(m => split === 'equal'
+    ? `<label class="grp-split-row"><input type="checkbox" data-mid="${m.id}"${!values || values[m.id] ? ' checked' : ''}> <span>${esc(m.name)}</span></label>`
+    : `<label class="grp-split-row"><span>${esc(m.name)}</span>
+        <input class="inp" type="number" min="0" step="any" inputmode="decimal" data-mid="${m.id}" value="${values?.[m.id] ?? ''}">
+        <span>${esc(unit)}</span></label>`
+  ).join('') + (split === 'equal' ? '' : '<p class="grp-split-sum"></p>');
+  updateSplitSum();
+}
+
+// Total saisi, en rouge tant qu'il ne tombe pas juste
+function updateSplitSum() {
+  const form = document.getElementById('gentry-form');
+  const out  = form.querySelector('.grp-split-sum');
+  if (!out) return;
+  const g      = currentGroup();
+  const split  = form.elements.split.value;
+  const total  = [...form.querySelectorAll('#gentry-split input[data-mid]')].reduce((s, i) => s + (+i.value || 0), 0);
+  const target = split === 'percent' ? 100 : +form.elements.amount.value || 0;
+  out.textContent = split === 'percent'
+    ? `Total : ${+total.toFixed(2)} % sur 100 %`
+    : `Total : ${fmtMoney(total, g.currency)} sur ${fmtMoney(target, g.currency)}`;
+  out.classList.toggle('bad', Math.abs(total - target) > 0.005);
+}
+
+document.getElementById('btn-new-gentry').addEventListener('click', () => openEntryForm());
+document.getElementById('btn-cancel-gentry').addEventListener('click', closeEntryForm);
+document.getElementById('gentry-form').addEventListener('change', e => {
+  if (e.target.name === 'kind')  showEntryKind();
+  if (e.target.name === 'split') renderSplitInputs();
+});
+document.getElementById('gentry-form').addEventListener('input', e => {
+  if (e.target.dataset.mid || e.target.name === 'amount') updateSplitSum();
+});
+
+document.getElementById('gentry-form').addEventListener('submit', async e => {
+  e.preventDefault();
+  const fd     = new FormData(e.target);
+  const values = {};
+  e.target.querySelectorAll('#gentry-split input[data-mid]').forEach(inp => {
+    values[inp.dataset.mid] = inp.type === 'checkbox' ? (inp.checked ? 1 : 0) : inp.value;
+  });
+  const data = fd.get('kind') === 'settlement'
+    ? { kind: 'settlement', name: '', from: fd.get('paid_by'), to: fd.get('to'),
+        amount: fd.get('amount'), date: fd.get('date') }
+    : { kind: 'expense', name: fd.get('name'), amount: fd.get('amount'), date: fd.get('date'),
+        paid_by: fd.get('paid_by'), split: fd.get('split'), values };
+  try {
+    if (gentryEditId) await DB.updateGroupEntry(currentUser.id, gentryEditId, data);
+    else              await DB.addGroupEntry(currentUser.id, groupId, data);
+    toast(data.kind === 'settlement' ? '🤝 Remboursement enregistré' : '✅ Dépense partagée enregistrée');
+    closeEntryForm();
+    await renderGroup();
+  } catch (err) {
+    toast('❌ ' + err.message, true);
+  }
+});
+
+document.getElementById('grp-entries').addEventListener('click', async e => {
+  const btn = e.target.closest('button[data-act]');
+  if (!btn) return;
+  const id    = +btn.closest('.rec-row').dataset.id;
+  const entry = (await DB.getGroupEntries(currentUser.id, groupId)).find(x => x.id === id);
+  if (!entry) return;
+  if (btn.dataset.act === 'edit') return openEntryForm(entry);
+  if (!confirm(`Supprimer « ${entry.name} » (${fmtMoney(entry.amount, currentGroup().currency)}) ?`)) return;
+  try {
+    await DB.deleteGroupEntry(currentUser.id, id);
+    if (gentryEditId === id) closeEntryForm();
+    toast('🗑 Opération supprimée');
+    await renderGroup();
+  } catch (err) {
+    toast('❌ ' + err.message, true);
+  }
+});
+
+// Remboursement proposé effectué : enregistré à la date du jour
+document.getElementById('grp-transfers').addEventListener('click', async e => {
+  const btn = e.target.closest('button[data-act="settle"]');
+  if (!btn) return;
+  const g = currentGroup();
+  const t = grpTransfers[+btn.closest('.grp-transfer').dataset.i];
+  if (!t || !confirm(`${memberName(g, t.from)} a versé ${fmtMoney(t.amount, g.currency)} à ${memberName(g, t.to)} ?`)) return;
+  try {
+    await DB.addGroupEntry(currentUser.id, g.id, { kind: 'settlement', from: t.from, to: t.to, amount: t.amount, date: todayStr() });
+    toast('🤝 Remboursement enregistré');
+    await renderGroup();
+  } catch (err) {
+    toast('❌ ' + err.message, true);
+  }
+});
+
+/* ═══════════════════════════════════════════════════════════════
+   COMPTES — espèces, Mobile Money, banque ; soldes et virements
+   ═══════════════════════════════════════════════════════════════ */
+const TRANSFERS_SHOWN = 5; // derniers virements listés dans la carte
+
+let accounts = [];   // comptes de l'utilisateur (archivés inclus)
+
+async function loadAccounts() {
+  accounts = await DB.getAccounts(currentUser.id, { includeArchived: true });
+  renderAccountOptions();
+  renderAccountManager();
+}
+
+function accOf(id)    { return accounts.find(a => a.id === id); }
+function accLabel(id) { const a = accOf(id); return a ? `${a.icon} ${a.name}` : '❔ Compte inconnu'; }
+
+// Compte choisi dans le filtre de l'historique (null : tous ou « sans compte »)
+function filterAccount() {
+  return accOf(+document.getElementById('filter-account').value) || null;
+}
+
+// Remplit les <select> de saisie (actifs), le filtre (tous) et le
+// formulaire de virement ; sans compte, les champs restent masqués
+function renderAccountOptions() {
+  const active = accounts.filter(a => !a.archived);
+  ['f-account', 'rec-account', 'momo-account'].forEach(id => {
+    const sel  = document.getElementById(id);
+    const keep = sel.value;
+    sel.replaceChildren(new Option('— Aucun —', ''), ...active.map(a => new Option(accLabel(a.id), a.id)));
+    if ([...sel.options].some(o => o.value === keep)) sel.value = keep;
+  });
+
+  ['filter-account', 'report-account'].forEach(id => {
+    const sel  = document.getElementById(id);
+    const keep = sel.value;
+    sel.replaceChildren(new Option('Tous', ''), new Option('Sans compte', 'none'),
+      ...accounts.map(a => new Option(accLabel(a.id) + (a.archived ? ' (archivé)' : ''), a.id)));
+    sel.value = [...sel.options].some(o => o.value === keep) ? keep : '';
+  });
+
+  document.querySelectorAll('#transfer-form .acc-sel').forEach(sel => {
+    const keep = sel.value;
+    sel.replaceChildren(...active.map(a => new Option(`${accLabel(a.id)} (${a.currency})`, a.id)));
+    if ([...sel.options].some(o => o.value === keep)) sel.value = keep;
+  });
+
+  document.querySelectorAll('.acc-field').forEach(el => el.classList.toggle('hidden', !accounts.length));
+  document.getElementById('acc-empty').classList.toggle('hidden', accounts.length > 0);
+  document.getElementById('btn-new-transfer').classList.toggle('hidden', active.length < 2);
+  if (active.length < 2) closeTransferForm();
+}
+
+// Compte archivé (édition) → option ajoutée à la volée
+function setAccountSelect(sel, id) {
+  const value = id == null ? '' : String(id);
+  if (![...sel.options].some(o => o.value === value)) sel.add(new Option(accLabel(id), value));
+  sel.value = value;
+}
+
+function renderAccountManager() {
+  const kinds = ACCOUNT_KINDS.map(k => `<option value="${k.kind}">${k.icon} ${k.name}</option>`).join('');
+  const form  = document.getElementById('acc-form');
+  form.elements.kind.innerHTML = kinds;
+  fillCurrencySelect(form.elements.currency);
+
+  const list = document.getElementById('acc-list');
+  list.innerHTML = '';
+  accounts.forEach(a => {
+    const row = document.createElement('div');
+    row.className = 'cat-row acc-row' + (a.archived ? ' archived' : '');
+    row.dataset.id = a.id;
+    row.innerHTML = `
+      <select class="acc-kind" title="Type">${kinds}</select>
+      <input class="inp acc-name" type="text" value="${esc(a.name)}" maxlength="30">
+      <select class="acc-cur" title="Devise"></select>
+      <input class="inp acc-opening" type="number" step="any" inputmode="decimal" value="${a.opening}" title="Solde d'ouverture">
+      <button type="button" class="btn btn-ghost btn-sm" data-act="save" title="Enregistrer">💾</button>
+      <button type="button" class="btn btn-ghost btn-sm" data-act="archive">${a.archived ? '♻️ Réactiver' : '📦 Archiver'}</button>
+      <button type="button" class="btn btn-sm btn-del" data-act="del" title="Supprimer">🗑</button>`;
+    row.querySelector('.acc-kind').value = a.kind;
+    fillCurrencySelect(row.querySelector('.acc-cur'), a.currency);
+    list.appendChild(row);
+  });
+}
+
+// Soldes actuels (devise de chaque compte, total en devise de base)
+// et derniers virements ; relu à chaque loadData
+async function renderAccounts() {
+  const balBox = document.getElementById('acc-balances');
+  const trList = document.getElementById('transfer-list');
+  if (!accounts.length) {
+    balBox.innerHTML = trList.innerHTML = '';
+    return;
+  }
+  const [balances, transfers] = await Promise.all([
+    DB.accountBalances(currentUser.id),
+    DB.getTransfers(currentUser.id, 'all', { limit: TRANSFERS_SHOWN }),
+  ]);
+  // Archivé et vide : plus rien à suivre
+  const shown = balances.filter(a => !a.archived || a.balance);
+  let total = 0, missing = 0;
+  shown.forEach(a => {
+    const v = DB.toBase({ amount: a.balance, currency: a.currency }, money);
+    if (v === null) missing++;
+    else total += v;
+  });
+  const selected = filterAccount()?.id;
+
+  balBox.innerHTML = shown.map(a => `<div class="acc-bal${a.balance < 0 ? ' minus' : ''}${a.id === selected ? ' mine' : ''}" data-id="${a.id}"
+      title="Voir l'historique de ce compte">
+      <div>${esc(accLabel(a.id))}
+        <div class="sub">${ACCOUNT_KINDS.find(k => k.kind === a.kind)?.name ?? ''}${a.archived ? ' · archivé' : ''}${a.unconverted
+          ? ` · ⚠️ ${a.unconverted} opération${a.unconverted !== 1 ? 's' : ''} sans taux hors solde` : ''}</div>
+      </div>
+      <span>${a.balance < 0 ? '−' : ''}${fmtMoney(Math.abs(a.balance), a.currency)}</span>
+    </div>`).join('') + (shown.length > 1 ? `<div class="acc-bal total">
+      <div>Total${missing ? `<div class="sub">⚠️ ${missing} compte${missing !== 1 ? 's' : ''} sans taux hors total</div>` : ''}</div>
+      <span>${total < 0 ? '−' : ''}${fmtMoney(Math.abs(total))}</span>
+    </div>` : '');
+
+  trList.innerHTML = transfers.length
+    ? '<span class="lbl mt">Derniers virements</span>' + transfers.map(t => `<div class="rec-row" data-id="${t.id}">
+        <div class="exp-info">
+          <div class="exp-name">⇄ ${esc(accLabel(t.from_id))} → ${esc(accLabel(t.to_id))} · ${fmtMoney(t.amount, t.currency)}</div>
+          <div class="exp-meta">${fmtDate(t.date)}${t.notes ? ' · ' + esc(t.notes) : ''}</div>
+        </div>
+        <div class="rec-btns">
+          <button type="button" class="btn btn-sm btn-del" data-act="del" title="Supprimer">🗑</button>
+        </div>
+      </div>`).join('')
+    : '';
+}
+
+// Tap sur un solde → historique filtré sur ce compte (solde ligne par ligne)
+document.getElementById('acc-balances').addEventListener('click', async e => {
+  const row = e.target.closest('.acc-bal[data-id]');
+  if (!row) return;
+  document.getElementById('filter-cat').value     = 'Toutes';
+  document.getElementById('filter-account').value = row.dataset.id;
+  await reloadView();
+  document.getElementById('expense-list').closest('.card').scrollIntoView({ behavior: 'smooth', block: 'start' });
+});
+
+document.getElementById('btn-toggle-accounts').addEventListener('click', e => {
+  const box = document.getElementById('acc-manager');
+  box.classList.toggle('hidden');
+  e.target.textContent = box.classList.contains('hidden') ? 'Gérer' : 'Fermer';
+});
+
+document.getElementById('acc-form').addEventListener('submit', async e => {
+  e.preventDefault();
+  const fd = new FormData(e.target);
+  try {
+    await DB.addAccount(currentUser.id, {
+      name: fd.get('name'), kind: fd.get('kind'), currency: fd.get('currency'), opening: fd.get('opening'),
+    });
+    e.target.reset();
+    toast('✅ Compte ajouté');
+    await loadAccounts();
+    await loadData();
+  } catch (err) {
+    toast('❌ ' + err.message, true);
+  }
+});
+
+document.getElementById('acc-list').addEventListener('click', async e => {
+  const btn = e.target.closest('button[data-act]');
+  if (!btn) return;
+  const row = btn.closest('.acc-row');
+  const id  = +row.dataset.id;
+  const acc = accOf(id);
+
+  try {
+    if (btn.dataset.act === 'save') {
+      await DB.updateAccount(currentUser.id, id, {
+        name:     row.querySelector('.acc-name').value,
+        kind:     row.querySelector('.acc-kind').value,
+        currency: row.querySelector('.acc-cur').value,
+        opening:  row.querySelector('.acc-opening').value,
+      });
+      toast('✅ Compte enregistré');
+    } else if (btn.dataset.act === 'archive') {
+      await DB.archiveAccount(currentUser.id, id, !acc.archived);
+      toast(acc.archived ? '✅ Compte réactivé' : '📦 Compte archivé');
+    } else {
+      if (!confirm(`Supprimer le compte « ${acc.name} » ?`)) return;
+      await DB.deleteAccount(currentUser.id, id);
+      toast('🗑 Compte supprimé');
+    }
+    await loadAccounts();
+    await loadData();
+  } catch (err) {
+    toast('❌ ' + err.message, true);
+  }
+});
+
+// Compte choisi dans le formulaire : sa devise est proposée
+document.getElementById('f-account').addEventListener('change', e => {
+  const acc = accOf(+e.target.value);
+  if (acc) fillCurrencySelect(document.getElementById('f-currency'), acc.currency);
+});
+document.getElementById('rec-account').addEventListener('change', e => {
+  const acc = accOf(+e.target.value);
+  if (acc) fillCurrencySelect(document.getElementById('rec-currency'), acc.currency);
+});
+
+/* ── Virements entre comptes ─────────────────────────────────── */
+function openTransferForm() {
+  const form   = document.getElementById('transfer-form');
+  const active = accounts.filter(a => !a.archived);
+  form.reset();
+  // Deux comptes différents proposés d'emblée
+  form.elements.from_id.value = active[0]?.id ?? '';
+  form.elements.to_id.value   = active[1]?.id ?? '';
+  form.elements.date.value    = todayStr();
+  updateTransferCurrency();
+  form.classList.remove('hidden');
+  form.elements.amount.focus();
+}
+
+function closeTransferForm() {
+  document.getElementById('transfer-form').classList.add('hidden');
+}
+
+function updateTransferCurrency() {
+  const form = document.getElementById('transfer-form');
+  form.querySelector('.grp-cur').textContent = accOf(+form.elements.from_id.value)?.currency ?? '';
+}
+
+document.getElementById('btn-new-transfer').addEventListener('click', openTransferForm);
+document.getElementById('btn-cancel-transfer').addEventListener('click', closeTransferForm);
+document.getElementById('transfer-form').addEventListener('change', e => {
+  if (e.target.name === 'from_id') updateTransferCurrency();
+});
+
+document.getElementById('transfer-form').addEventListener('submit', async e => {
+  e.preventDefault();
+  const fd  = new FormData(e.target);
+  // Heure de la saisie : le virement se range après les opérations du jour
+  const now = new Date();
+  try {
+    await DB.addTransfer(currentUser.id, {
+      from_id: fd.get('from_id'), to_id: fd.get('to_id'), amount: fd.get('amount'),
+      date: fd.get('date'), hour: now.getHours(), minute: now.getMinutes(), notes: fd.get('notes'),
+    });
+    closeTransferForm();
+    toast('⇄ Virement enregistré');
+    await loadData();
+  } catch (err) {
+    toast('❌ ' + err.message, true);
+  }
+});
+
+document.getElementById('transfer-list').addEventListener('click', e => {
+  const btn = e.target.closest('button[data-act="del"]');
+  if (btn) delTransfer(+btn.closest('.rec-row').dataset.id);
+});
+
+async function delTransfer(id) {
+  if (!confirm('Supprimer ce virement ? Les soldes des deux comptes seront recalculés.')) return;
+  try {
+    await DB.deleteTransfer(currentUser.id, id);
+    toast('🗑 Virement supprimé');
+    await loadData();
+  } catch (err) {
+    toast('❌ ' + err.message, true);
+  }
+}
+
+/* ═══════════════════════════════════════════════════════════════
+   IMPORT MOBILE MONEY — SMS collés ou relevé CSV, revue, import en lot
+   ═══════════════════════════════════════════════════════════════ */
+let momoRows = []; // lignes analysées par momo.js, corrigées dans la revue
+
+document.getElementById('btn-toggle-momo').addEventListener('click', e => {
+  const box = document.getElementById('momo-box');
+  box.classList.toggle('hidden');
+  e.target.textContent = box.classList.contains('hidden') ? 'Ouvrir' : 'Fermer';
+});
+
+document.getElementById('btn-momo-parse').addEventListener('click', () => {
+  const text = document.getElementById('momo-text').value;
+  if (!text.trim()) return toast('⚠️ Collez d\'abord un ou plusieurs SMS.', true);
+  showMomoReview(MoMo.parseText(text)).catch(err => toast('❌ ' + err.message, true));
+});
+
+document.getElementById('momo-file').addEventListener('change', async e => {
+  const file = e.target.files[0];
+  e.target.value = ''; // Permet de re-choisir le même fichier
+  if (!file) return;
+  try {
+    await showMomoReview(MoMo.parseCSV(await file.text()));
+  } catch (err) {
+    closeMomoReview();
+    toast('❌ ' + err.message, true);
+  }
+});
+
+// Doublons cherchés parmi les opérations des mêmes dates ; catégorie
+// habituelle de la désignation (suggest.js) pré-choisie
+async function showMomoReview({ rows, unknown }) {
+  if (!rows.length) {
+    closeMomoReview();
+    return toast('⚠️ Aucune opération reconnue dans ce texte.', true);
+  }
+  // Les dépenses prennent une catégorie active : sans elle, rien à proposer
+  const active = categories.filter(c => !c.archived).map(c => c.name);
+  if (!active.length && rows.some(r => r.kind === 'expense')) {
+    closeMomoReview();
+    return toast('⚠️ Aucune catégorie active : créez-en ou réactivez-en une avant l\'import.', true);
+  }
+  const dates = rows.map(r => r.date).sort();
+  const range = { from: dates[0], to: dates[dates.length - 1] };
+  const [expenses, incomes, index] = await Promise.all([
+    DB.getExpenses(currentUser.id, range),
+    DB.getIncomes(currentUser.id, range),
+    ensureSuggestions(),
+  ]);
+  MoMo.markDuplicates(rows, expenses.map(x => ({ ...x, kind: 'expense' }))
+    .concat(incomes.map(x => ({ ...x, kind: 'income' }))));
+
+  momoRows = rows.map(r => ({
+    ...r,
+    on: !r.duplicate && r.type !== 'withdrawal' && r.type !== 'deposit',
+    category: r.kind === 'income'
+      ? (r.type === 'received' ? 'Transfert reçu' : 'Autre')
+      : Suggest.forName(index, r.name, active)?.category || active[0],
+  }));
+
+  // Compte au nom de l'opérateur ("Orange Money", "Wave"…) proposé
+  const acc = momoRows.every(r => r.operator === momoRows[0].operator)
+    && MoMo.accountFor(momoRows[0].operator, accounts.filter(a => !a.archived));
+  document.getElementById('momo-account').value = acc ? acc.id : '';
+
+  renderMomoRows();
+  document.getElementById('momo-unknown').textContent = unknown.length
+    ? `⚠️ ${unknown.length} message${unknown.length !== 1 ? 's' : ''} non reconnu${unknown.length !== 1 ? 's' : ''} : ` +
+      unknown.slice(0, 3).map(u => `« ${u.slice(0, 60)}${u.length > 60 ? '…' : ''} »`).join(', ') +
+      (unknown.length > 3 ? '…' : '')
+    : '';
+  document.getElementById('momo-review').classList.remove('hidden');
+}
+
+// F CFA sans code : devise du compte choisi, sinon devise de base
+function momoCurrency(r) {
+  return r.currency || accOf(+document.getElementById('momo-account').value)?.currency || money.base;
+}
+
+function renderMomoRows() {
+  const withFees = document.getElementById('momo-fees').checked;
+  const options  = kind => (kind === 'income'
+    ? INCOME_SOURCES.map(s => `<option value="${s.name}">${s.icon} ${s.name}</option>`)
+    : categories.filter(c => !c.archived).map(c => `<option value="${esc(c.name)}">${esc(catLabel(c.name))}</option>`)).join('');
+  const box = document.getElementById('momo-rows');
+
+  box.innerHTML = momoRows.map((r, i) => {
+    const cur  = momoCurrency(r);
+    const warn = r.duplicate === 'existing' ? '⚠️ déjà enregistrée'
+               : r.duplicate === 'batch'    ? '⚠️ en double dans le texte'
+               : r.type === 'withdrawal' || r.type === 'deposit' ? 'ℹ️ plutôt un virement entre comptes'
+               : '';
+    const amount = r.kind === 'expense' && withFees ? r.amount + r.fee : r.amount;
+    return `<div class="momo-row${r.on ? '' : ' off'}" data-i="${i}">
+      <input type="checkbox" data-f="on"${r.on ? ' checked' : ''} title="Importer cette ligne">
+      <div class="momo-main">
+        <input class="inp" type="text" data-f="name" maxlength="100">
+        <div class="exp-meta">${esc(r.operator)} · ${MOMO_TYPE_LABELS[r.type]}${r.hour !== null
+          ? ` · ${String(r.hour).padStart(2, '0')}h${String(r.minute).padStart(2, '0')}` : ''}${r.fee
+          ? ` · frais ${fmtMoney(r.fee, cur)}` : ''}${r.ref ? ` · réf. ${esc(r.ref)}` : ''}${warn
+          ? ` · <span class="momo-warn">${warn}</span>` : ''}</div>
+      </div>
+      <input class="inp${r.guessedDate ? ' momo-guess' : ''}" type="date" data-f="date" value="${r.date}"
+             title="${r.guessedDate ? 'Date absente du message : à vérifier' : 'Date'}">
+      <select class="inp" data-f="category" title="${r.kind === 'income' ? 'Origine' : 'Catégorie'}">${options(r.kind)}</select>
+      <span class="exp-amount${r.kind === 'income' ? ' income' : ''}">${r.kind === 'income' ? '+' : ''}${fmtMoney(amount, cur)}</span>
+    </div>`;
+  }).join('');
+  // Valeurs posées après coup : désignations et catégories venues du SMS
+  box.querySelectorAll('.momo-row').forEach(row => {
+    const r = momoRows[+row.dataset.i];
+    row.querySelector('[data-f="name"]').value = r.name;
+    row.querySelector('[data-f="category"]').value = r.category;
+  });
+  updateMomoCount();
+}
+
+function updateMomoCount() {
+  const n = momoRows.filter(r => r.on).length;
+  document.getElementById('btn-momo-import').textContent = `Importer ${n} opération${n !== 1 ? 's' : ''}`;
+}
+
+function closeMomoReview() {
+  momoRows = [];
+  document.getElementById('momo-review').classList.add('hidden');
+  document.getElementById('momo-rows').innerHTML = '';
+}
+
+document.getElementById('momo-rows').addEventListener('change', e => {
+  const f = e.target.dataset.f;
+  const r = momoRows[+e.target.closest('.momo-row')?.dataset.i];
+  if (!f || !r) return;
+  if (f === 'on') {
+    r.on = e.target.checked;
+    e.target.closest('.momo-row').classList.toggle('off', !r.on);
+    updateMomoCount();
+  } else {
+    r[f] = e.target.value;
+  }
+});
+document.getElementById('momo-fees').addEventListener('change', renderMomoRows);
+document.getElementById('momo-account').addEventListener('change', renderMomoRows);
+document.getElementById('btn-momo-cancel').addEventListener('click', closeMomoReview);
+
+// Lignes cochées écrites en une transaction (DB.addOperations). Frais
+// non inclus : dépense « Frais <opérateur> » à part, même catégorie.
+document.getElementById('btn-momo-import').addEventListener('click', async () => {
+  const chosen = momoRows.filter(r => r.on);
+  if (!chosen.length) return toast('⚠️ Aucune ligne cochée.', true);
+  if (chosen.some(r => !String(r.name).trim() || !r.date)) return toast('⚠️ Désignation et date obligatoires.', true);
+  const withFees   = document.getElementById('momo-fees').checked;
+  const account_id = document.getElementById('momo-account').value || null;
+  const base = r => ({
+    name: r.name, currency: momoCurrency(r), date: r.date, hour: r.hour ?? 0, minute: r.minute ?? 0, account_id,
+    notes: [r.operator, r.ref ? `Réf. ${r.ref}` : ''].filter(Boolean).join(' · '),
+  });
+  const expenses = [], incomes = [];
+  chosen.forEach(r => {
+    if (r.kind === 'income') return incomes.push({ ...base(r), amount: r.amount, source: r.category });
+    const fee = r.fee > 0;
+    expenses.push({ ...base(r), amount: withFees && fee ? r.amount + r.fee : r.amount, category: r.category,
+                    notes: base(r).notes + (withFees && fee ? ` · dont frais ${fmt(r.fee, momoCurrency(r))}` : '') });
+    if (fee && !withFees) expenses.push({ ...base(r), name: `Frais ${r.operator}`, amount: r.fee, category: r.category });
+  });
+  setBtnLoad('btn-momo-import', true);
+  try {
+    const n = await DB.addOperations(currentUser.id, { expenses, incomes });
+    closeMomoReview();
+    document.getElementById('momo-text').value = '';
+    toast(`✅ ${n} opération${n !== 1 ? 's' : ''} importée${n !== 1 ? 's' : ''}`);
+    await loadData();
+  } catch (err) {
+    toast('❌ ' + err.message, true);
+  } finally {
+    setBtnLoad('btn-momo-import', false);
+  }
+});
+
+/* ═══════════════════════════════════════════════════════════════
+   SAUVEGARDE — export JSON/CSV, import avec aperçu
+   ═══════════════════════════════════════════════════════════════ */
+let importPreview = null;
+
+document.getElementById('btn-export-json').addEventListener('click', async () => {
+  try {
+    const n = await Backup.exportJSON(currentUser);
+    toast(`✅ ${n} opération${n !== 1 ? 's' : ''} exportée${n !== 1 ? 's' : ''}`);
+  } catch (err) {
+    toast('❌ ' + err.message, true);
+  }
+});
+
+document.getElementById('btn-export-csv').addEventListener('click', async () => {
+  try {
+    const n = await Backup.exportCSV(currentUser);
+    toast(`✅ ${n} opération${n !== 1 ? 's' : ''} exportée${n !== 1 ? 's' : ''}`);
+  } catch (err) {
+    toast('❌ ' + err.message, true);
+  }
+});
+
+document.getElementById('import-file').addEventListener('change', async e => {
+  const file = e.target.files[0];
+  e.target.value = ''; // Permet de re-choisir le même fichier
+  if (!file) return;
+  try {
+    const parsed  = await Backup.readFile(file);
+    importPreview = await Backup.preview(currentUser.id, parsed);
+    renderImportPreview(file.name);
+  } catch (err) {
+    closeImportPreview();
+    toast('❌ ' + err.message, true);
+  }
+});
+
+function renderImportPreview(filename) {
+  const box = document.getElementById('import-preview');
+  const p   = importPreview;
+  const errs = p.invalid.slice(0, 5)
+    .map(x => `<li class="ip-err">Ligne ${x.line} : ${esc(x.error)}</li>`).join('');
+  const more = p.invalid.length > 5 ? `<li class="ip-err">… et ${p.invalid.length - 5} autre(s)</li>` : '';
+
+  box.innerHTML = `
+    <strong>📄 ${esc(filename)}</strong>
+    <ul>
+      <li>✅ ${p.valid.length} nouvelle(s) opération(s)</li>
+      <li>♻️ ${p.duplicates.length} doublon(s) ignoré(s) en fusion</li>
+      <li>⚠️ ${p.invalid.length} ligne(s) invalide(s)</li>
+      ${p.newCategories.length ? `<li>🏷 ${p.newCategories.length} catégorie(s) créée(s)</li>` : ''}
+      ${p.newAccounts.length ? `<li>👛 ${p.newAccounts.length} compte(s) créé(s) : ${esc(p.newAccounts.map(a => a.name).join(', '))}</li>` : ''}
+      ${p.transfers.length ? `<li>⇄ ${p.transfers.length} virement(s) : ajoutés s'ils n'existent pas déjà</li>` : ''}
+      ${p.photos ? `<li>📷 ${p.photos} photo(s) de justificatif dans le fichier</li>` : ''}
+      ${p.groups.length ? `<li>👥 ${p.groups.length} groupe(s) : ajoutés s'ils n'existent pas déjà</li>` : ''}
+      ${errs}${more}
+    </ul>
+    <div class="ip-modes">
+      <label><input type="radio" name="import-mode" value="merge" checked> Fusionner</label>
+      <label><input type="radio" name="import-mode" value="replace"> Remplacer mes ${p.existing} opération(s)</label>
+    </div>
+    <div class="ip-btns">
+      <button type="button" id="btn-import-ok" class="btn btn-primary btn-sm">Importer</button>
+      <button type="button" id="btn-import-cancel" class="btn btn-ghost btn-sm">Annuler</button>
+    </div>`;
+  box.classList.remove('hidden');
+
+  document.getElementById('btn-import-cancel').addEventListener('click', closeImportPreview);
+  document.getElementById('btn-import-ok').addEventListener('click', applyImport);
+}
+
+async function applyImport() {
+  const mode = document.querySelector('input[name="import-mode"]:checked')?.value || 'merge';
+  if (mode === 'replace' && !confirm('Remplacer toutes vos dépenses, revenus et photos par ceux du fichier ?')) return;
+  try {
+    const n = await Backup.apply(currentUser.id, importPreview, mode);
+    closeImportPreview();
+    await loadCategories();
+    await loadAccounts();
+    await loadGroups();
+    setTheme(localStorage.getItem('bp_theme') || 'light');
+    toast(`✅ ${n} opération${n !== 1 ? 's' : ''} importée${n !== 1 ? 's' : ''}`);
+    await loadData();
+  } catch (err) {
+    toast('❌ ' + err.message, true);
+  }
+}
+
+function closeImportPreview() {
+  importPreview = null;
+  const box = document.getElementById('import-preview');
+  box.classList.add('hidden');
+  box.innerHTML = '';
+}
+
+/* ═══════════════════════════════════════════════════════════════
+   SÉCURITÉ — changement de PIN (ancien PIN exigé), chiffrement
+   ═══════════════════════════════════════════════════════════════ */
+document.getElementById('btn-toggle-pin').addEventListener('click', () => {
+  const form = document.getElementById('pin-form');
+  if (form.classList.contains('hidden')) openPinForm();
+  else closePinForm();
+});
+
+function openPinForm() {
+  document.getElementById('pin-form').classList.remove('hidden');
+  document.getElementById('btn-toggle-pin').textContent = 'Annuler';
+  document.querySelector('#pin-form input[name="old"]').focus();
+}
+
+function closePinForm() {
+  const form = document.getElementById('pin-form');
+  form.reset();
+  form.classList.add('hidden');
+  document.getElementById('pin-msg').classList.remove('show');
+  document.getElementById('btn-toggle-pin').textContent = 'Changer le PIN';
+}
+
+document.getElementById('pin-form').addEventListener('submit', async e => {
+  e.preventDefault();
+  const fd  = new FormData(e.target);
+  const pin = fd.get('pin');
+  if (!/^\d{4,6}$/.test(pin))
+    return showMsg('pin-msg', 'err', 'Le PIN doit être 4 à 6 chiffres.');
+  if (pin !== fd.get('pin2'))
+    return showMsg('pin-msg', 'err', 'Les PINs ne correspondent pas.');
+  if (pin === fd.get('old'))
+    return showMsg('pin-msg', 'err', 'Le nouveau PIN doit être différent de l\'actuel.');
+
+  setBtnLoad('btn-pin', true);
+  try {
+    await DB.changePin(currentUser.id, fd.get('old'), pin);
+    closePinForm();
+    toast('✅ PIN modifié');
+  } catch (err) {
+    showMsg('pin-msg', 'err', err.message);
+  } finally {
+    setBtnLoad('btn-pin', false);
+  }
+});
+
+/* ── Suppression du compte (PIN exigé) ─────────────────────── */
+document.getElementById('btn-toggle-delete').addEventListener('click', () => {
+  const form = document.getElementById('delete-form');
+  form.classList.toggle('hidden');
+  form.reset();
+  document.getElementById('delete-msg').classList.remove('show');
+  if (!form.classList.contains('hidden')) form.elements.pin.focus();
+});
+
+document.getElementById('delete-form').addEventListener('submit', async e => {
+  e.preventDefault();
+  if (!confirm(`Supprimer le compte « ${currentUser.username} » et TOUTES ses données ? Cette action est irréversible.`)) return;
+  setBtnLoad('btn-delete-user', true);
+  try {
+    await DB.deleteUser(currentUser.id, e.target.elements.pin.value);
+    const name = currentUser.username;
+    // Session déjà effacée avec le compte : simple retour à l'accueil
+    sessionStorage.removeItem('bp_session');
+    logout();
+    toast(`🗑 Compte « ${name} » supprimé`);
+  } catch (err) {
+    showMsg('delete-msg', 'err', err.message);
+  } finally {
+    setBtnLoad('btn-delete-user', false);
+  }
+});
+
+/* ── Stockage par utilisateur ──────────────────────────────── */
+document.getElementById('btn-storage').addEventListener('click', renderStorage);
+
+async function renderStorage() {
+  const box = document.getElementById('storage-list');
+  try {
+    const [rows, est] = await Promise.all([
+      DB.storageByUser(),
+      navigator.storage?.estimate?.().catch(() => null),
+    ]);
+    box.innerHTML = rows.map(r => {
+      const ops = r.counts.expenses + r.counts.incomes;
+      return `<div class="storage-row${r.id === currentUser.id ? ' mine' : ''}">
+        <div>👤 ${esc(r.username)}
+          <div class="sub">${ops} opération${ops !== 1 ? 's' : ''} · ${r.counts.categories} catégories · ${r.counts.recurring} récurrences · ${r.counts.attachments} photo${r.counts.attachments !== 1 ? 's' : ''}</div>
+        </div>
+        <span>${fmtBytes(r.bytes)}</span>
+      </div>`;
+    }).join('') + (est?.usage != null
+      ? `<p class="backup-hint">Total utilisé par l'app : ${fmtBytes(est.usage)}${est.quota ? ` sur ${fmtBytes(est.quota)} disponibles` : ''}.</p>`
+      : '');
+  } catch (err) {
+    toast('❌ ' + err.message, true);
+  }
+}
+
+/* ── Chiffrement au repos (activé / désactivé avec le PIN) ───── */
+async function renderEncryption() {
+  const on = await DB.isEncrypted(currentUser.id);
+  document.getElementById('enc-status').textContent = on
+    ? '🔒 Données chiffrées sur cet appareil'
+    : '🔓 Données non chiffrées';
+  document.querySelector('#btn-enc .btxt').textContent = on ? 'Désactiver' : 'Chiffrer';
+  document.getElementById('enc-form').dataset.on = on ? '1' : '';
+}
+
+document.getElementById('enc-form').addEventListener('submit', async e => {
+  e.preventDefault();
+  const form = e.target;
+  const on   = !form.dataset.on;
+  if (!on && !confirm('Désactiver le chiffrement ? Vos opérations seront de nouveau lisibles en clair sur cet appareil.')) return;
+
+  setBtnLoad('btn-enc', true);
+  try {
+    const n = await DB.setEncryption(currentUser.id, form.elements.pin.value, on);
+    form.reset();
+    document.getElementById('enc-msg').classList.remove('show');
+    toast(`${on ? '🔒' : '🔓'} ${n} opération${n !== 1 ? 's' : ''} ${on ? 'chiffrée' : 'déchiffrée'}${n !== 1 ? 's' : ''}`);
+    await renderEncryption();
+  } catch (err) {
+    showMsg('enc-msg', 'err', err.message);
+  } finally {
+    setBtnLoad('btn-enc', false);
+  }
+});
+
+/* ═══════════════════════════════════════════════════════════════
+   SYNCHRONISATION — serveur auto-hébergé (voir sync.js)
+   ═══════════════════════════════════════════════════════════════ */
+const SYNC_DELAY = 10 * 1000; // envoi groupé après une saisie
+let syncTimer = null;
+let syncError = null;         // message du dernier échec (null = OK)
+
+// Un passage ; catégories et liste rechargées si le serveur a apporté
+// des changements. quiet = false : résultat affiché (bouton)
+async function runSync(quiet = true) {
+  clearTimeout(syncTimer);
+  if (!currentUser || !appShown || isLockScreenShown()) return;
+  const uid = currentUser.id;
+  renderSyncStatus(true);
+  try {
+    const res = await Sync.run(uid);
+    syncError = null;
+    if (!res) {
+      if (!quiet) toast('Renseignez d\'abord l\'adresse du serveur.', true);
+    } else {
+      if (res.received && currentUser?.id === uid) {
+        await loadCategories();
+        await loadAccounts();
+        await loadData();
+      }
+      if (!quiet) toast(`🔄 ${res.sent} envoyé${res.sent !== 1 ? 's' : ''}, ${res.received} reçu${res.received !== 1 ? 's' : ''}`);
+    }
+  } catch (err) {
+    syncError = err.message;
+    if (!quiet) toast('❌ ' + err.message, true);
+  }
+  renderSyncStatus();
+}
+
+// Après une écriture (loadData) : indicateur à jour, envoi différé
+async function queueSync() {
+  const st = await renderSyncStatus();
+  clearTimeout(syncTimer);
+  if (st?.pending && navigator.onLine) syncTimer = setTimeout(() => runSync(), SYNC_DELAY);
+}
+
+// Pastille de la barre de navigation + ligne d'état de la carte
+async function renderSyncStatus(busy = false) {
+  const pill = document.getElementById('sync-status');
+  const info = document.getElementById('sync-info');
+  if (!currentUser) { pill.classList.add('hidden'); return null; }
+  const st = await Sync.status(currentUser.id).catch(() => null);
+  pill.classList.toggle('hidden', !st?.enabled);
+  if (!st?.enabled) { info.textContent = 'Synchronisation désactivée.'; return st; }
+
+  let cls, text;
+  if (busy || Sync.isRunning())  [cls, text] = ['busy', '🔄 Synchro…'];
+  else if (!navigator.onLine)    [cls, text] = ['pending', `📵 ${st.pending || ''} en attente`];
+  else if (syncError)            [cls, text] = ['error', '⚠️ Synchro'];
+  else if (st.pending)           [cls, text] = ['pending', `⏳ ${st.pending} en attente`];
+  else                           [cls, text] = ['ok', '✅ Synchronisé'];
+  pill.className   = `sync-pill ${cls}`;
+  pill.textContent = text;
+  pill.title       = syncError || 'Synchroniser maintenant';
+
+  const last = st.lastSync
+    ? new Date(st.lastSync).toLocaleString('fr-FR', { dateStyle: 'short', timeStyle: 'short' })
+    : 'jamais';
+  info.textContent = `Compte « ${st.account} » · dernière synchro : ${last} · `
+    + `${st.pending} modification${st.pending !== 1 ? 's' : ''} en attente`
+    + (syncError ? ` · ⚠️ ${syncError}` : '');
+  return st;
+}
+
+async function renderSyncForm() {
+  const cfg  = await DB.syncConfig(currentUser.id);
+  const form = document.getElementById('sync-form');
+  form.elements.url.value     = cfg?.url     || '';
+  form.elements.account.value = cfg?.account || currentUser.username;
+  form.elements.token.value   = cfg?.token   || '';
+}
+
+document.getElementById('sync-form').addEventListener('submit', async e => {
+  e.preventDefault();
+  const fd = new FormData(e.target);
+  setBtnLoad('btn-sync-save', true);
+  try {
+    const cfg = await DB.setSyncConfig(currentUser.id, {
+      url: fd.get('url'), account: fd.get('account'), token: fd.get('token'),
+    });
+    document.getElementById('sync-msg').classList.remove('show');
+    syncError = null;
+    if (cfg) {
+      toast('✅ Serveur enregistré');
+      runSync(false);
+    } else {
+      toast('Synchronisation désactivée');
+      renderSyncStatus();
+    }
+  } catch (err) {
+    showMsg('sync-msg', 'err', err.message);
+  } finally {
+    setBtnLoad('btn-sync-save', false);
+  }
+});
+
+document.getElementById('btn-sync-now').addEventListener('click', () => runSync(false));
+document.getElementById('sync-status').addEventListener('click', () => runSync(false));
+
+/* ═══════════════════════════════════════════════════════════════
+   GRAPHIQUES — montants en devise de base
+   ═══════════════════════════════════════════════════════════════ */
+async function renderChart(period) {
+  const canvas = document.getElementById('main-chart');
+  if (!canvas) return;
+  const ctx = canvas.getContext('2d');
+
+  if (chart) { chart.destroy(); chart = null; }
+
+  const isDark = document.documentElement.getAttribute('data-theme') === 'dark';
+  const gridColor  = isDark ? 'rgba(255,255,255,0.05)' : 'rgba(0,0,0,0.05)';
+  const tickColor  = isDark ? '#7D8590' : '#94A3B8';
+  const legendColor = isDark ? '#E6EDF3' : '#0F172A';
+
+  // Seul le filtre de compte s'applique aux graphiques
+  const account = document.getElementById('filter-account').value;
+  const filter  = account ? { account } : null;
+
+  // Tooltip et graduations : devise de base (statistiques converties par db.js)
+  const ttMoney = val => `  ${fmtMoney(val)}`;
+  const tick    = v => fmtMoney(v, money.base, { short: true });
+
+  const noData = (msg = 'Aucune donnée pour ce graphique') => {
+    const el = canvas.parentElement;
+    let nd = el.querySelector('.chart-no-data');
+    if (!nd) { nd = document.createElement('div'); nd.className = 'chart-no-data'; el.appendChild(nd); }
+    nd.textContent = msg;
+  };
+  canvas.parentElement.querySelector('.chart-no-data')?.remove();
+
+  // Chart.js (CDN) jamais chargé : 1re ouverture sans réseau
+  if (typeof Chart === 'undefined') return noData('Graphiques disponibles au retour du réseau');
+
+  let cfg;
+
+  switch (chartType) {
+
+    case 'bar_h': {
+      const stats = await DB.statsByCategory(currentUser.id, period, filter);
+      if (!Object.keys(stats).length) { noData(); return; }
+      const labels = Object.keys(stats);
+      const data   = Object.values(stats);
+      const clrs   = labels.map(catColor);
+      cfg = {
+        type: 'bar',
+        data: { labels, datasets: [{ data, backgroundColor: clrs.map(c => c+'bb'), borderColor: clrs, borderWidth: 2, borderRadius: 6 }] },
+        options: {
+          indexAxis: 'y',
+          responsive: true, maintainAspectRatio: false,
+          plugins: {
+            legend: { display: false },
+            tooltip: { callbacks: { label: ctx => ttMoney(ctx.parsed.x) } }
+          },
+          scales: {
+            x: { ticks: { color: tickColor, callback: tick }, grid: { color: gridColor } },
+            y: { ticks: { color: tickColor }, grid: { display: false } }
+          }
+        }
+      };
+      break;
+    }
+
+    case 'pie':
+    case 'doughnut': {
+      const stats = await DB.statsByCategory(currentUser.id, period, filter);
+      if (!Object.keys(stats).length) { noData(); return; }
+      const labels = Object.keys(stats);
+      const data   = Object.values(stats);
+      const total  = data.reduce((s,v) => s+v, 0);
+      const clrs   = labels.map(catColor);
+      cfg = {
+        type: chartType,
+        data: { labels, datasets: [{ data, backgroundColor: clrs, borderColor: isDark ? '#1C2331' : '#fff', borderWidth: 3, hoverOffset: 10 }] },
+        options: {
+          responsive: true, maintainAspectRatio: false,
+          cutout: chartType === 'doughnut' ? '60%' : 0,
+          plugins: {
+            legend: { position:'bottom', labels: { color: legendColor, padding: 14, usePointStyle: true, font: { size: 12 } } },
+            tooltip: {
+              callbacks: {
+                // Pour pie/doughnut : ctx.parsed est un nombre direct
+                label: ctx => {
+                  const v = ctx.parsed;
+                  const pct = total > 0 ? ((v/total)*100).toFixed(1) : 0;
+                  return `  ${fmtMoney(v)} (${pct}%)`;
+                }
+              }
+            }
+          }
+        }
+      };
+      break;
+    }
+
+    case 'line': {
+      const stats = await DB.statsByDay(currentUser.id, period, filter);
+      if (!stats.data.length) { noData(); return; }
+      cfg = {
+        type: 'line',
+        data: { labels: stats.labels, datasets: [{ data: stats.data, fill: true, backgroundColor: isDark ? 'rgba(68,147,248,0.10)' : 'rgba(37,99,235,0.08)', borderColor: isDark ? '#4493F8' : '#2563EB', borderWidth: 2.5, pointRadius: 4, pointHoverRadius: 7, tension: 0.4 }] },
+        options: {
+          responsive: true, maintainAspectRatio: false,
+          plugins: {
+            legend: { display: false },
+            tooltip: { callbacks: { label: ctx => ttMoney(ctx.parsed.y) } }
+          },
+          scales: {
+            y: { ticks: { color: tickColor, callback: tick }, grid: { color: gridColor } },
+            x: { ticks: { color: tickColor }, grid: { display: false } }
+          }
+        }
+      };
+      break;
+    }
+
+    case 'bar_month': {
+      // Revenus (vert) face aux dépenses (rouge) sur 12 mois
+      const stats = await DB.statsByMonth(currentUser.id, period, filter);
+      if (!stats.expenses.some(v => v > 0) && !stats.incomes.some(v => v > 0)) { noData(); return; }
+      cfg = {
+        type: 'bar',
+        data: { labels: stats.labels, datasets: [
+          { label: 'Revenus', data: stats.incomes, backgroundColor: isDark ? 'rgba(63,185,80,0.7)' : 'rgba(5,150,105,0.75)', borderColor: isDark ? '#3FB950' : '#059669', borderWidth: 2, borderRadius: 5 },
+          { label: 'Dépenses', data: stats.expenses, backgroundColor: isDark ? 'rgba(248,81,73,0.7)' : 'rgba(220,38,38,0.75)', borderColor: isDark ? '#F85149' : '#DC2626', borderWidth: 2, borderRadius: 5 }
+        ] },
+        options: {
+          responsive: true, maintainAspectRatio: false,
+          plugins: {
+            legend: { position: 'bottom', labels: { color: legendColor, usePointStyle: true, font: { size: 12 } } },
+            tooltip: { callbacks: { label: ctx => `  ${ctx.dataset.label} : ${fmtMoney(ctx.parsed.y)}` } }
+          },
+          scales: {
+            y: { ticks: { color: tickColor, callback: tick }, grid: { color: gridColor } },
+            x: { ticks: { color: tickColor, maxRotation: 45 }, grid: { display: false } }
+          }
+        }
+      };
+      break;
+    }
+
+    default: return;
+  }
+
+  chart = new Chart(ctx, cfg);
+}
+
+function setChartType(type) {
+  chartType = type;
+  document.querySelectorAll('.ctype-btn').forEach(b => b.classList.toggle('active', b.dataset.type === type));
+  renderChart(currentPeriod());
+}
+
+// FAB → scroll formulaire
+document.querySelector('.fab').addEventListener('click', () => {
+  document.getElementById('expense-form')
+    .closest('.card')
+    .scrollIntoView({ behavior: 'smooth', block: 'start' });
+  document.getElementById('f-name')?.focus();
+});
+
+/* ═══════════════════════════════════════════════════════════════
+   RAPPORT MENSUEL — page imprimable (PDF via l'impression)
+   ═══════════════════════════════════════════════════════════════ */
+// Graphiques figés en images : le canvas Chart.js ne s'imprime pas
+// toujours, et une image ne bouge plus une fois le rapport généré
+const REPORT_CHART_W = 640;
+const REPORT_CHART_H = 300;
+let reportTitle = null; // titre de la page, remis à la fermeture
+
+document.getElementById('report-month').value = todayStr().slice(0, 7);
+
+document.getElementById('btn-report').addEventListener('click', async () => {
+  const month = document.getElementById('report-month').value;
+  if (!/^\d{4}-\d{2}$/.test(month)) return toast('❌ Choisissez un mois.', true);
+  setBtnLoad('btn-report', true);
+  try {
+    await buildReport(month, document.getElementById('report-account').value);
+    openReport(month);
+  } catch (err) {
+    toast('❌ ' + err.message, true);
+    console.error(err);
+  } finally {
+    setBtnLoad('btn-report', false);
+  }
+});
+
+async function buildReport(month, account) {
+  const uid    = currentUser.id;
+  const [y, m] = month.split('-').map(Number);
+  const period = { from: `${month}-01`, to: `${month}-${String(new Date(y, m, 0).getDate()).padStart(2, '0')}` };
+  const filter = account ? { account } : null;
+  const [byCat, byDay, expenses, totals] = await Promise.all([
+    DB.statsByCategory(uid, period, filter),
+    DB.statsByDay(uid, period, filter),
+    DB.getExpenses(uid, period, 'Toutes', { filter }),
+    DB.periodTotals(uid, period, 'Toutes', filter),
+  ]);
+  expenses.sort((a, b) => -byDateDesc(a, b));
+  // Justificatifs : seul leur nombre figure au rapport
+  const photos = await DB.attachmentThumbs(uid, expenses.map(e => e.id));
+
+  const label = new Date(y, m - 1, 1).toLocaleDateString('fr-FR', { month: 'long', year: 'numeric' });
+  const total = Object.values(byCat).reduce((s, v) => s + v, 0);
+  // Mois en cours : moyenne sur les jours écoulés seulement
+  const today = todayStr();
+  const days  = today.startsWith(month) ? +today.slice(8) : today < period.from ? 0 : new Date(y, m, 0).getDate();
+  const top   = expenses.reduce((best, e) => {
+    const v = DB.toBase(e, money);
+    return v !== null && v > (best?.v ?? -1) ? { e, v } : best;
+  }, null);
+  const accName = account === 'none' ? 'Sans compte' : account ? accLabel(+account) : '';
+
+  const counts = {};
+  expenses.forEach(e => { counts[e.category] = (counts[e.category] || 0) + 1; });
+  const cats = Object.entries(byCat).sort((a, b) => b[1] - a[1]);
+
+  const tile = (lbl, val, sub = '') =>
+    `<div class="rp-tile"><span class="rp-lbl">${lbl}</span><strong>${val}</strong>${sub ? `<small>${sub}</small>` : ''}</div>`;
+  const hm = e => `${String(e.hour).padStart(2, '0')}h${String(e.minute).padStart(2, '0')}`;
+
+  const charts = reportCharts(cats, byDay, y, m);
+
+  document.getElementById('report-page').innerHTML = `
+    <header class="rp-head">
+      <div>
+        <h1>Rapport de dépenses — ${esc(label)}</h1>
+        <p>${esc(currentUser.username)}${accName ? ` · Compte : ${esc(accName)}` : ''} · Montants en ${esc(money.base)}</p>
+      </div>
+      <p class="rp-date">Édité le ${fmtDate(today)}</p>
+    </header>
+
+    <section class="rp-tiles">
+      ${tile('Total dépensé', fmtMoney(total), `${expenses.length} dépense${expenses.length !== 1 ? 's' : ''}`)}
+      ${tile('Moyenne par jour', days ? fmtMoney(total / days) : '—', days ? `sur ${days} jour${days !== 1 ? 's' : ''}` : '')}
+      ${tile('Plus grosse dépense', top ? fmtMoney(top.v) : '—', top ? `${esc(top.e.name)} · ${fmtDate(top.e.date)}` : '')}
+      ${totals.income ? tile('Revenus', fmtMoney(totals.income), `solde ${fmtMoney(totals.income - totals.expense)}`) : ''}
+    </section>
+    ${totals.unconverted ? `<p class="rp-warn">⚠️ ${totals.unconverted} opération${totals.unconverted !== 1 ? 's' : ''} en devise étrangère sans taux de change : hors totaux.</p>` : ''}
+
+    <section>
+      <h2>Répartition par catégorie</h2>
+      ${cats.length ? `<table class="rp-table">
+        <thead><tr><th>Catégorie</th><th class="num">Dépenses</th><th class="num">Montant</th><th class="num">Part</th></tr></thead>
+        <tbody>${cats.map(([c, v]) => `<tr>
+          <td><span class="rp-dot" style="background:${catColor(c)}"></span>${esc(catLabel(c))}</td>
+          <td class="num">${counts[c] || 0}</td>
+          <td class="num">${fmtMoney(v)}</td>
+          <td class="num">${total > 0 ? (v / total * 100).toLocaleString('fr-FR', { maximumFractionDigits: 1 }) : 0} %</td>
+        </tr>`).join('')}</tbody>
+        <tfoot><tr><td>Total</td><td class="num">${expenses.length}</td><td class="num">${fmtMoney(total)}</td><td class="num">100 %</td></tr></tfoot>
+      </table>` : '<p class="rp-empty">Aucune dépense ce mois-ci.</p>'}
+    </section>
+
+    ${cats.length ? `<section class="rp-charts">
+      ${charts ? `<figure><img src="${charts.cat}" alt="Dépenses par catégorie"><figcaption>Par catégorie</figcaption></figure>
+      <figure><img src="${charts.day}" alt="Dépenses par jour"><figcaption>Jour par jour</figcaption></figure>`
+      : '<p class="rp-empty">Graphiques indisponibles : Chart.js se charge au retour du réseau.</p>'}
+    </section>` : ''}
+
+    ${expenses.length ? `<section class="rp-break">
+      <h2>Détail des dépenses</h2>
+      <table class="rp-table rp-items">
+        <thead><tr><th>Date</th><th>Désignation</th><th>Catégorie</th>${accounts.length && !account ? '<th>Compte</th>' : ''}<th class="num">Montant</th></tr></thead>
+        <tbody>${expenses.map(e => {
+          const inBase = e.currency === money.base ? undefined : DB.toBase(e, money);
+          const n      = photos.get(e.id)?.count;
+          return `<tr>
+            <td>${fmtDate(e.date)}<small>${hm(e)}</small></td>
+            <td>${esc(e.name)}${n ? ` <span title="Justificatif">📎${n > 1 ? n : ''}</span>` : ''}${e.notes ? `<small>${esc(e.notes)}</small>` : ''}</td>
+            <td>${esc(catLabel(e.category))}</td>
+            ${accounts.length && !account ? `<td>${e.account_id != null ? esc(accLabel(e.account_id)) : ''}</td>` : ''}
+            <td class="num">${fmtMoney(e.amount, e.currency)}${inBase === undefined ? ''
+              : `<small>${inBase === null ? 'taux manquant' : '≈ ' + fmtMoney(inBase)}</small>`}</td>
+          </tr>`;
+        }).join('')}</tbody>
+        <tfoot><tr><td colspan="${accounts.length && !account ? 4 : 3}">Total</td><td class="num">${fmtMoney(total)}</td></tr></tfoot>
+      </table>
+    </section>` : ''}
+
+    <footer class="rp-foot">Budget Pro · rapport généré sur l'appareil</footer>`;
+}
+
+// → { cat, day } en images PNG, ou null sans Chart.js (hors ligne)
+function reportCharts(cats, byDay, y, m) {
+  if (typeof Chart === 'undefined') return null;
+  const tick = v => fmtMoney(v, money.base, { short: true });
+
+  // statsByDay ne donne que les jours avec dépenses : mois complet ici
+  const n      = new Date(y, m, 0).getDate();
+  const perDay = Array(n).fill(0);
+  byDay.labels.forEach((l, i) => { perDay[+l.split('/')[0] - 1] = byDay.data[i]; });
+
+  return {
+    cat: chartImage({
+      type: 'doughnut',
+      data: { labels: cats.map(([c]) => catLabel(c)), datasets: [{
+        data: cats.map(([, v]) => v), backgroundColor: cats.map(([c]) => catColor(c)), borderColor: '#fff', borderWidth: 2,
+      }] },
+      options: { cutout: '55%', plugins: { legend: { position: 'right', labels: { color: '#0F172A', usePointStyle: true } } } },
+    }),
+    day: chartImage({
+      type: 'bar',
+      data: { labels: perDay.map((_, i) => i + 1), datasets: [{
+        data: perDay, backgroundColor: 'rgba(37,99,235,0.75)', borderColor: '#2563EB', borderWidth: 1, borderRadius: 3,
+      }] },
+      options: {
+        plugins: { legend: { display: false } },
+        scales: {
+          y: { ticks: { color: '#475569', callback: tick }, grid: { color: 'rgba(0,0,0,0.06)' } },
+          x: { ticks: { color: '#475569', autoSkip: false, font: { size: 9 } }, grid: { display: false } },
+        },
+      },
+    }),
+  };
+}
+
+// Dessin hors écran, sans animation, en double résolution (impression)
+function chartImage(cfg) {
+  const canvas  = document.createElement('canvas');
+  canvas.width  = REPORT_CHART_W;
+  canvas.height = REPORT_CHART_H;
+  const c = new Chart(canvas.getContext('2d'), {
+    ...cfg,
+    options: { ...cfg.options, responsive: false, animation: false, devicePixelRatio: 2 },
+  });
+  const url = canvas.toDataURL('image/png');
+  c.destroy();
+  return url;
+}
+
+// Titre de la page = nom proposé pour le fichier PDF
+function openReport(month) {
+  reportTitle ??= document.title;
+  document.title = `Budget Pro - rapport ${month}`;
+  document.body.classList.add('report-open');
+  document.getElementById('report-view').classList.remove('hidden');
+  document.getElementById('report-view').scrollTop = 0;
+}
+
+function closeReport() {
+  document.getElementById('report-view').classList.add('hidden');
+  document.body.classList.remove('report-open');
+  document.getElementById('report-page').innerHTML = '';
+  if (reportTitle !== null) document.title = reportTitle;
+  reportTitle = null;
+}
+
+document.getElementById('btn-report-print').addEventListener('click', () => window.print());
+document.getElementById('btn-report-close').addEventListener('click', closeReport);
+document.addEventListener('keydown', e => {
+  if (e.key === 'Escape' && document.body.classList.contains('report-open')) closeReport();
+});
+
+/* ═══════════════════════════════════════════════════════════════
+   UTILITAIRES
+   ═══════════════════════════════════════════════════════════════ */
+function todayStr() {
+  const d = new Date();
+  return `${d.getFullYear()}-${String(d.getMonth()+1).padStart(2,'0')}-${String(d.getDate()).padStart(2,'0')}`;
+}
+// Montant avec les décimales de la devise (FCFA : aucune, EUR : 2) ;
+// short : sans décimales nulles (graduations des graphiques)
+function fmt(n, code = money.base, { short = false } = {}) {
+  const d = DB.currencyInfo(code).decimals;
+  return (+n).toLocaleString('fr-FR', { minimumFractionDigits: short ? 0 : d, maximumFractionDigits: d });
+}
+function fmtMoney(n, code = money.base, opts) { return `${fmt(n, code, opts)} ${DB.currencyInfo(code).symbol}`; }
+function byDateDesc(a, b) {
+  return b.date.localeCompare(a.date) || (b.hour - a.hour) || (b.minute - a.minute) || (b.ts - a.ts);
+}
+function fmtDate(s)  { if (!s) return ''; const [y,m,d] = s.split('-'); return `${d}/${m}/${y}`; }
+function esc(s)      { const d = document.createElement('div'); d.textContent = s; return d.innerHTML; }
+function updateOffline() {
+  document.querySelector('.offline-bar').classList.toggle('show', !navigator.onLine);
+  // Retour du réseau : l'outbox part aussitôt
+  if (navigator.onLine) runSync();
+  else renderSyncStatus();
+}
+function showLoader(on)  {
+  document.getElementById('list-loader')?.classList.toggle('hidden', !on);
+  document.getElementById('expense-list')?.classList.toggle('hidden', on);
 }
 function toast(msg, isErr = false) {
   const el = document.getElementById('toast');
@@ -448,6 +3286,13 @@ function toast(msg, isErr = false) {
   el.classList.add('show');
   setTimeout(() => el.classList.remove('show'), 3000);
 }
+// Octets → "12 Ko", "3,4 Mo"
+function fmtBytes(n) {
+  if (n < 1024) return `${n} o`;
+  if (n < 1024 * 1024) return `${Math.round(n / 1024)} Ko`;
+  return `${(n / 1024 / 1024).toLocaleString('fr-FR', { maximumFractionDigits: 1 })} Mo`;
+}
+
 function showMsg(id, type, msg) {
   const el = document.getElementById(id);
   if (!el) return;
@@ -0,0 +1,455 @@
+/**
+ * backup.js — Sauvegarde / restauration des données (JSON + CSV)
+ *
+ * Export : dépenses (avec leurs photos), revenus, catégories, budgets,
+ *          récurrences, devises, groupes, comptes, virements et
+ *          réglages de l'utilisateur connecté
+ *   - JSON versionné (BACKUP_FORMAT) → restauration complète, photos
+ *     incluses (data URL base64 : le fichier peut être lourd)
+ *   - CSV séparé par ";" (Excel FR)   → lecture dans un tableur
+ * Import : lecture du fichier → aperçu (valides / doublons / erreurs)
+ *   → écriture seulement après confirmation, fusion ou remplacement.
+ * Chaque ligne passe par DB.validateExpense / DB.validateIncome
+ * (mêmes contrôles que DB.addExpense / DB.addIncome).
+ */
+'use strict';
+
+const BACKUP_APP    = 'BudgetPro';
+// 6 : comptes et virements (opérations liées par le nom du compte) ;
+// 5 : groupes et dépenses partagées ; 4 : devise par opération + devise
+// de base et taux ; 3 : photos des dépenses ; 2 : catégories avec
+// couleur/icône (1 : noms seuls)
+const BACKUP_FORMAT = 6;
+// "type" : depense | revenu (absent → depense) ; "categorie" = origine d'un revenu
+// "note" et "devise" facultatives (absentes des anciens exports : FCFA)
+// "compte" facultatif : nom du compte, créé à l'import s'il manque
+// (les virements ne sont pas dans le CSV)
+const CSV_COLUMNS   = ['date', 'heure', 'minute', 'designation', 'categorie', 'montant', 'type', 'note', 'devise',
+                       'compte'];
+
+const Backup = {
+
+  /* ── Export ──────────────────────────────────────────────── */
+  async buildExport(user) {
+    const expenses   = await DB.getExpenses(user.id, 'all', 'Toutes');
+    const categories = await DB.getCategories(user.id, { includeArchived: true });
+    const budgets    = await DB.getBudgets(user.id);
+    const recurring  = await DB.getRecurring(user.id);
+    const incomes    = await DB.getIncomes(user.id, 'all');
+    const photos     = await _exportPhotos(await DB.getAllAttachments(user.id));
+    const currency   = await DB.getCurrency(user.id);
+    const groups     = await _exportGroups(user.id);
+    const accounts   = await DB.getAccounts(user.id, { includeArchived: true });
+    const transfers  = await DB.getTransfers(user.id, 'all');
+    // Comptes référencés par leur nom (les id changent d'un appareil à l'autre)
+    const account    = id => accounts.find(a => a.id === id)?.name ?? null;
+    return {
+      app:        BACKUP_APP,
+      format:     BACKUP_FORMAT,
+      exportedAt: new Date().toISOString(),
+      user:       user.username,
+      settings:   _readSettings(),
+      // Budgets et taux exprimés dans currency.base
+      currency,
+      categories: categories.map(({ name, color, icon, archived }) => ({ name, color, icon, archived })),
+      // category null → budget global
+      budgets:    budgets.map(b => ({
+        category: b.category_id === null ? null : categories.find(c => c.id === b.category_id)?.name,
+        limit:    b.limit,
+      })).filter(b => b.category !== undefined),
+      accounts:   accounts.map(({ name, kind, currency, opening, archived }) => ({ name, kind, currency, opening, archived })),
+      recurring:  recurring.map(t => ({ ..._recurringFields(t), account: account(t.account_id) })),
+      expenses:   expenses.map(e => ({
+        ..._exportFields(e),
+        account: account(e.account_id),
+        ...(photos.has(e.id) && { photos: photos.get(e.id) }),
+      })),
+      incomes:    incomes.map(i => ({ ..._incomeFields(i), account: account(i.account_id) })),
+      transfers:  transfers.map(t => ({ from: account(t.from_id), to: account(t.to_id), amount: t.amount,
+                                        date: t.date, hour: t.hour, minute: t.minute, ts: t.ts, notes: t.notes })),
+      groups,
+    };
+  },
+
+  async exportJSON(user) {
+    const data = await this.buildExport(user);
+    _download(
+      JSON.stringify(data, null, 2),
+      `budget-pro-${user.username}-${_stamp()}.json`,
+      'application/json'
+    );
+    return data.expenses.length + data.incomes.length;
+  },
+
+  async exportCSV(user) {
+    const expenses = await DB.getExpenses(user.id, 'all', 'Toutes');
+    const incomes  = await DB.getIncomes(user.id, 'all');
+    const accounts = await DB.getAccounts(user.id, { includeArchived: true });
+    const row = (x, cat, type) => [
+      x.date, x.hour, x.minute, x.name, cat, String(x.amount).replace('.', ','), type, x.notes, x.currency,
+      accounts.find(a => a.id === x.account_id)?.name ?? '',
+    ].map(_csvCell).join(';');
+    const lines = [CSV_COLUMNS.join(';')]
+      .concat(expenses.map(e => row(e, e.category, 'depense')))
+      .concat(incomes.map(i => row(i, i.source, 'revenu')));
+    // BOM UTF-8 : Excel affiche correctement les accents
+    _download('\uFEFF' + lines.join('\r\n'), `budget-pro-${user.username}-${_stamp()}.csv`, 'text/csv');
+    return expenses.length + incomes.length;
+  },
+
+  /* ── Import ──────────────────────────────────────────────── */
+  // Fichier → { source, expenses: [bruts], incomes: [bruts], settings, categories… }
+  async readFile(file) {
+    const text = (await file.text()).replace(/^\uFEFF/, '');
+    if (/\.json$/i.test(file.name) || /^\s*\{/.test(text)) return _parseJSON(text);
+    return _parseCSV(text);
+  },
+
+  /**
+   * preview — classe chaque ligne sans rien écrire :
+   *   valid      → prêtes à importer (normalisées, _kind expense|income)
+   *   duplicates → déjà présentes (ou répétées dans le fichier)
+   *   invalid    → refusées, avec le message de validation
+   *   newCategories → catégories absentes, créées à l'import
+   *   newAccounts   → comptes absents (même nom), créés à l'import
+   *   photos     → nombre de photos des dépenses du fichier
+   */
+  async preview(userId, parsed) {
+    const existing = await DB.getExpenses(userId, 'all', 'Toutes');
+    const existInc = await DB.getIncomes(userId, 'all');
+    const mineCats = await DB.getCategories(userId, { includeArchived: true });
+    const result   = { valid: [], duplicates: [], invalid: [],
+                       existing: existing.length + existInc.length,
+                       settings: parsed.settings, currency: parsed.currency, budgets: parsed.budgets,
+                       recurring: parsed.recurring, groups: parsed.groups,
+                       transfers: parsed.transfers,
+                       source: parsed.source, newCategories: [], newAccounts: [],
+                       photos: 0 };
+
+    const classify = (rawList, validate, existingList, kind) => {
+      const known = new Set(existingList.map(DB.duplicateKey));
+      const seen  = new Set();
+      rawList.forEach((raw, i) => {
+        let e;
+        try {
+          e = { ...validate(raw), _kind: kind };
+          // Photos gardées telles quelles (data URL), converties par apply
+          if (kind === 'expense' && Array.isArray(raw.photos) && raw.photos.length) e.photos = raw.photos;
+          // Compte : nom, relié à un compte de l'appareil par apply
+          if (String(raw.account ?? '').trim()) e.account = String(raw.account).trim();
+        }
+        catch (err) { result.invalid.push({ line: raw._line ?? i + 1, error: err.message }); return; }
+
+        const key = DB.duplicateKey(e);
+        if (seen.has(key)) { result.duplicates.push(e); return; }
+        seen.add(key);
+        // En mode remplacement les données existantes disparaissent :
+        // le doublon n'est marqué que pour la fusion (voir apply)
+        e._dup = known.has(key);
+        (e._dup ? result.duplicates : result.valid).push(e);
+      });
+    };
+    classify(parsed.expenses, DB.validateExpense, existing, 'expense');
+    classify(parsed.incomes,  DB.validateIncome,  existInc, 'income');
+    result.photos = result.valid.concat(result.duplicates).reduce((n, e) => n + (e.photos?.length || 0), 0);
+
+    // Catégories du fichier (couleur/icône) + celles citées par les lignes.
+    // Les noms des lignes sont alignés sur la casse des catégories connues.
+    const fileCats = parsed.categories.map(c => (typeof c === 'string' ? { name: c } : c))
+      .filter(c => c?.name);
+    result.valid.concat(result.duplicates)
+      .filter(e => e._kind === 'expense')
+      .concat(parsed.recurring).forEach(e => {
+      const match = mineCats.concat(fileCats).find(c => _norm(c.name) === _norm(e.category));
+      if (match) e.category = match.name.trim();
+      else fileCats.push({ name: e.category });
+    });
+    result.newCategories = fileCats.filter(c => !mineCats.some(m => _norm(m.name) === _norm(c.name)));
+
+    // Comptes du fichier + ceux cités par les lignes, modèles et virements
+    const mineAccs = await DB.getAccounts(userId, { includeArchived: true });
+    const fileAccs = parsed.accounts.filter(a => a?.name);
+    result.valid.concat(result.duplicates).concat(parsed.recurring).map(x => x.account)
+      .concat(parsed.transfers.flatMap(t => [t.from, t.to]))
+      .forEach(name => {
+        if (name && !fileAccs.some(a => _norm(a.name) === _norm(name))) fileAccs.push({ name });
+      });
+    result.newAccounts = fileAccs.filter(a => !mineAccs.some(m => _norm(m.name) === _norm(a.name)));
+    return result;
+  },
+
+  // mode 'merge' : ajoute les nouvelles ; 'replace' : remplace tout
+  async apply(userId, preview, mode = 'merge') {
+    const list = mode === 'replace'
+      ? preview.valid.concat(preview.duplicates.filter(e => e._dup))
+      : preview.valid;
+    // Comptes créés actifs, archivés après coup : leurs modèles et
+    // virements du fichier doivent d'abord pouvoir s'y rattacher
+    const accounts  = await DB.ensureAccounts(userId, preview.newAccounts.map(a => ({ ...a, archived: false })));
+    const accountId = name => (name ? accounts.find(a => _norm(a.name) === _norm(name))?.id ?? null : null);
+    const strip = kind => list.filter(e => e._kind === kind)
+      .map(({ _dup, _kind, account, ...e }) => ({ ...e, account_id: accountId(account) }));
+    const expenses = strip('expense').map(({ photos, ...e }) => ({ ...e, photos: _importPhotos(photos) }));
+    await DB.ensureCategories(userId, preview.newCategories);
+    const count = await DB.importRecords(userId, {
+      expenses,
+      incomes:  strip('income'),
+    }, mode);
+    if (preview.settings) _applySettings(preview.settings);
+    if (preview.currency) await _applyRates(userId, preview.currency);
+    if (preview.budgets.length)   await _applyBudgets(userId, preview.budgets, preview.currency);
+    if (preview.recurring.length) await _applyRecurring(userId, preview.recurring, accountId);
+    if (preview.transfers.length) await _applyTransfers(userId, preview.transfers, accountId);
+    if (preview.groups.length)    await _applyGroups(userId, preview.groups);
+    for (const a of preview.newAccounts.filter(x => x.archived)) {
+      const id = accountId(a.name);
+      if (id) await DB.archiveAccount(userId, id);
+    }
+    return count;
+  },
+};
+
+/* ── Utilitaires privés ──────────────────────────────────────── */
+function _exportFields(e) {
+  return { name: e.name, amount: e.amount, currency: e.currency, category: e.category,
+           date: e.date, hour: e.hour, minute: e.minute, ts: e.ts, notes: e.notes };
+}
+
+// Photos → Map expense_id → [{ type, width, height, data, thumb }]
+// (data et thumb : data URL base64)
+async function _exportPhotos(list) {
+  const out = new Map();
+  for (const a of list) {
+    const photo = { type: a.type, width: a.width, height: a.height,
+                    data: await _toDataURL(a.blob), thumb: await _toDataURL(a.thumb) };
+    out.set(a.expense_id, (out.get(a.expense_id) || []).concat(photo));
+  }
+  return out;
+}
+
+// Photos d'une ligne importée → { blob, thumb, width, height } ;
+// les entrées illisibles sont ignorées (la dépense reste importée)
+function _importPhotos(list) {
+  return (list || []).map(p => {
+    const blob  = _fromDataURL(p?.data);
+    const thumb = _fromDataURL(p?.thumb);
+    return blob && thumb ? { blob, thumb, width: p.width, height: p.height } : null;
+  }).filter(Boolean);
+}
+
+async function _toDataURL(blob) {
+  const bytes = new Uint8Array(await blob.arrayBuffer());
+  let bin = '';
+  // Par tranches : fromCharCode(...tout) dépasserait la pile
+  for (let i = 0; i < bytes.length; i += 0x8000) {
+    bin += String.fromCharCode.apply(null, bytes.subarray(i, i + 0x8000));
+  }
+  return `data:${blob.type};base64,${btoa(bin)}`;
+}
+
+function _fromDataURL(url) {
+  const m = /^data:(image\/[\w.+-]+);base64,([A-Za-z0-9+/=]+)$/.exec(String(url ?? ''));
+  if (!m) return null;
+  try {
+    const bin = atob(m[2]);
+    return new Blob([Uint8Array.from(bin, c => c.charCodeAt(0))], { type: m[1] });
+  } catch {
+    return null;
+  }
+}
+
+function _norm(s) {
+  return String(s).trim().toLocaleLowerCase('fr');
+}
+
+function _incomeFields(i) {
+  return { name: i.name, amount: i.amount, currency: i.currency, source: i.source,
+           date: i.date, hour: i.hour, minute: i.minute, ts: i.ts, notes: i.notes };
+}
+
+// last_date exporté : les occurrences passées ne sont pas régénérées
+function _recurringFields(t) {
+  return { name: t.name, amount: t.amount, currency: t.currency, category: t.category,
+           hour: t.hour, minute: t.minute,
+           freq: t.freq, interval: t.interval, start: t.start, end: t.end,
+           paused: t.paused, last_date: t.last_date };
+}
+
+// Groupes dont l'utilisateur est membre ; "me" marque sa place (les
+// autres profils de l'appareil deviennent des contacts à l'import)
+async function _exportGroups(userId) {
+  const uid = Number(userId);
+  const out = [];
+  for (const g of await DB.getGroups(uid)) {
+    const entries = await DB.getGroupEntries(uid, g.id);
+    out.push({
+      name:     g.name,
+      currency: g.currency,
+      members:  g.members.map(m => ({ id: m.id, name: m.name, me: m.user_id === uid })),
+      entries:  entries.map(e => ({ kind: e.kind, name: e.name, amount: e.amount, date: e.date,
+                                    paid_by: e.paid_by, split: e.split, values: e.values,
+                                    shares: e.shares, ts: e.ts })),
+    });
+  }
+  return out;
+}
+
+function _readSettings() {
+  return { theme: localStorage.getItem('bp_theme') || 'light' };
+}
+
+function _applySettings(settings) {
+  if (settings.theme === 'light' || settings.theme === 'dark') {
+    localStorage.setItem('bp_theme', settings.theme);
+  }
+}
+
+// Taux du fichier absents de l'appareil ajoutés, s'ils sont exprimés
+// dans la même devise de base (les taux existants ne sont pas touchés)
+async function _applyRates(userId, { base, rates } = {}) {
+  const mine = await DB.getCurrency(userId);
+  if (base !== mine.base) return;
+  for (const [code, rate] of Object.entries(rates || {})) {
+    if (code in mine.rates || code === mine.base) continue;
+    try { await DB.setRate(userId, code, rate); }
+    catch (err) { console.warn('Taux ignoré:', code, err.message); }
+  }
+}
+
+// Budgets du fichier rattachés aux catégories par leur nom ; ignorés
+// si le fichier a une autre devise de base (avant le format 4 : FCFA)
+async function _applyBudgets(userId, budgets, currency) {
+  const { base } = await DB.getCurrency(userId);
+  if ((currency?.base || DEFAULT_CURRENCY) !== base) return;
+  const cats = await DB.getCategories(userId, { includeArchived: true });
+  for (const b of budgets) {
+    const cat = b.category === null ? null : cats.find(c => _norm(c.name) === _norm(b.category));
+    if (cat !== undefined) await DB.setBudget(userId, cat?.id ?? null, b.limit);
+  }
+}
+
+// Récurrences absentes (même nom, montant, fréquence et début) ajoutées
+// accountId(nom) : compte de l'appareil (voir apply)
+async function _applyRecurring(userId, list, accountId) {
+  const mine = await DB.getRecurring(userId);
+  const key  = t => [_norm(t.name), +t.amount, t.freq, t.start].join('|');
+  const have = new Set(mine.map(key));
+  for (const { account, ...t } of list) {
+    if (have.has(key(t))) continue;
+    try { await DB.addRecurring(userId, { ...t, account_id: accountId(account) }); }
+    catch (err) { console.warn('Récurrence ignorée:', t.name, err.message); }
+  }
+}
+
+// Virements absents (même date, montant et comptes) ajoutés
+async function _applyTransfers(userId, list, accountId) {
+  const key  = t => [t.date, +t.amount, t.from_id, t.to_id].join('|');
+  const have = new Set((await DB.getTransfers(userId)).map(key));
+  for (const { from, to, ...t } of list) {
+    const data = { ...t, from_id: accountId(from), to_id: accountId(to) };
+    if (have.has(key(data))) continue;
+    try { await DB.addTransfer(userId, data); have.add(key(data)); }
+    catch (err) { console.warn('Virement ignoré:', t.date, err.message); }
+  }
+}
+
+// Groupes absents (même nom) ajoutés avec leurs opérations
+async function _applyGroups(userId, list) {
+  const have = new Set((await DB.getGroups(userId)).map(g => _norm(g.name)));
+  for (const g of list) {
+    if (have.has(_norm(g.name))) continue;
+    try { await DB.importGroup(userId, g); }
+    catch (err) { console.warn('Groupe ignoré:', g.name, err.message); }
+  }
+}
+
+function _parseJSON(text) {
+  let data;
+  try { data = JSON.parse(text); }
+  catch { throw new Error('Fichier JSON illisible.'); }
+  if (data?.app !== BACKUP_APP || !Array.isArray(data.expenses)) {
+    throw new Error('Ce fichier n\'est pas une sauvegarde Budget Pro.');
+  }
+  if (data.format > BACKUP_FORMAT) {
+    throw new Error('Sauvegarde créée par une version plus récente de l\'app.');
+  }
+  return { source: 'json', expenses: data.expenses, incomes: data.incomes || [],
+           settings: data.settings || null, currency: data.currency || null,
+           categories: data.categories || [], budgets: data.budgets || [],
+           recurring: data.recurring || [], groups: data.groups || [],
+           accounts: data.accounts || [], transfers: data.transfers || [] };
+}
+
+function _parseCSV(text) {
+  const rows = _csvRows(text).filter(r => r.some(c => c.trim()));
+  if (!rows.length) throw new Error('Fichier CSV vide.');
+
+  const head = rows[0].map(h => h.trim().toLowerCase());
+  const col  = Object.fromEntries(CSV_COLUMNS.map(c => [c, head.indexOf(c)]));
+  if (col.date < 0 || col.designation < 0 || col.montant < 0) {
+    throw new Error('Colonnes attendues : ' + CSV_COLUMNS.join(';'));
+  }
+  const cell = (r, c) => (col[c] >= 0 ? (r[col[c]] ?? '').trim() : '');
+
+  const expenses = [], incomes = [];
+  rows.slice(1).forEach((r, i) => {
+    const base = {
+      _line:    i + 2, // ligne du fichier (en-tête = 1)
+      date:     cell(r, 'date'),
+      hour:     cell(r, 'heure'),
+      minute:   cell(r, 'minute'),
+      name:     cell(r, 'designation'),
+      amount:   cell(r, 'montant').replace(/\s/g, '').replace(',', '.'),
+      notes:    cell(r, 'note'),
+      currency: cell(r, 'devise'),
+      account:  cell(r, 'compte'),
+    };
+    if (/^revenu/i.test(cell(r, 'type'))) incomes.push({ ...base, source: cell(r, 'categorie') });
+    else                                  expenses.push({ ...base, category: cell(r, 'categorie') });
+  });
+  return { source: 'csv', expenses, incomes, settings: null, currency: null,
+           categories: [], budgets: [], recurring: [], groups: [], accounts: [], transfers: [] };
+}
+
+// Découpe CSV (séparateur ";" ou ",", guillemets doublés)
+function _csvRows(text) {
+  const sep  = (text.split('\n')[0].match(/;/g) || []).length ? ';' : ',';
+  const rows = [];
+  let row = [], cell = '', quoted = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const ch = text[i];
+    if (quoted) {
+      if (ch === '"' && text[i + 1] === '"') { cell += '"'; i++; }
+      else if (ch === '"') quoted = false;
+      else cell += ch;
+    } else if (ch === '"') quoted = true;
+    else if (ch === sep)   { row.push(cell); cell = ''; }
+    else if (ch === '\n')  { row.push(cell); rows.push(row); row = []; cell = ''; }
+    else if (ch !== '\r')  cell += ch;
+  }
+  row.push(cell);
+  rows.push(row);
+  return rows;
+}
+
+function _csvCell(v) {
+  const s = String(v ?? '');
+  return /[;"\n\r]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+}
+
+function _download(content, filename, type) {
+  const url = URL.createObjectURL(new Blob([content], { type }));
+  const a   = document.createElement('a');
+  a.href = url;
+  a.download = filename;
+  document.body.appendChild(a);
+  a.click();
+  a.remove();
+  setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
+
+// 'YYYY-MM-DD' du jour pour les noms de fichier
+function _stamp() {
+  return new Date().toISOString().slice(0, 10);
+}
@@ -9,49 +9,507 @@
  * lecture (ex: entier autoIncrement vs entier passé en paramètre).
  * Le résultat : getAll() via l'index retourne [] après la 1ère lecture.
  *
- * Solution : ne plus utiliser d'index pour lire les dépenses.
- * On lit TOUS les enregistrements avec objectStore.getAll() puis
- * on filtre en JavaScript. Fiable à 100%, aucune ambiguïté de type.
- * Pour un budget personnel (quelques milliers d'entrées max), c'est
- * parfaitement performant.
+ * Solution (v5) : lire TOUT le store avec getAll() puis filtrer en JS.
+ * Fiable, mais lent sur plusieurs années de saisies (téléphones
+ * d'entrée de gamme) : chaque lecture parcourt tous les utilisateurs.
+ *
+ * Depuis v11 : index composé ix_user_date = [user_id, date] sur
+ * expenses et incomes, lu par plage (IDBKeyRange.bound).
+ * L'ambiguïté de type est écartée des deux côtés :
+ *   - écriture : user_id toujours Number, date toujours String
+ *     (_expenseRecord / _incomeRecord, migration 11 pour l'existant)
+ *   - lecture  : clé construite par _userRange → Number(userId)
+ * Même règle pour ix_user_currency = [user_id, currency] sur rates (v17).
  */
 'use strict';
 
-const DB_NAME    = 'BudgetProDB';
-const DB_VERSION = 5; // Incrémenté → migration propre garantie
+const DB_NAME      = 'BudgetProDB';
+const DB_VERSION   = 17; // Voir MIGRATIONS — ne jamais décrémenter
+const SNAPSHOT_DB  = 'BudgetProDB_snapshot';
+
+let _db      = null;
+let _opening = null;
+// Clés AES-GCM des utilisateurs connectés (userId → CryptoKey) :
+// dérivées du PIN à la connexion, jamais écrites nulle part
+const _keys  = new Map();
+
+/* ═══════════════════════════════════════════════════════════════
+   MIGRATIONS — une étape par version, exécutées dans l'ordre
+   ─────────────────────────────────────────────────────────────
+   Chaque étape reçoit (db, tx) de la transaction "versionchange"
+   et transforme les enregistrements EN PLACE : plus aucun store
+   n'est supprimé lors d'une montée de version.
+   Pour faire évoluer le schéma : ajouter une étape { version: N+1 }
+   à la fin de la liste puis passer DB_VERSION à N+1.
+   Une erreur dans une étape annule toute la transaction ; la copie
+   prise avant migration (SNAPSHOT_DB) est alors restaurée.
+   ═══════════════════════════════════════════════════════════════ */
+const MIGRATIONS = [
+  {
+    version: 5,
+    // Schéma de base : users + expenses (sans index user_id, voir en-tête)
+    up(db) {
+      if (!db.objectStoreNames.contains('users')) {
+        const users = db.createObjectStore('users', {
+          keyPath: 'id', autoIncrement: true
+        });
+        users.createIndex('ix_username', 'username', { unique: true });
+      }
+      if (!db.objectStoreNames.contains('expenses')) {
+        db.createObjectStore('expenses', {
+          keyPath: 'id', autoIncrement: true
+        });
+      }
+    }
+  },
+  {
+    version: 6,
+    // Normalisation des types des dépenses existantes (user_id en Number…)
+    up(db, tx) {
+      _migrateRecords(tx, 'expenses', e => ({
+        ...e,
+        user_id:  Number(e.user_id),
+        name:     String(e.name ?? '').trim(),
+        amount:   parseFloat((+e.amount || 0).toFixed(2)),
+        category: e.category || 'Alimentation',
+        date:     String(e.date),
+        hour:     Number(e.hour)   || 0,
+        minute:   Number(e.minute) || 0,
+        ts:       Number(e.ts)     || 0,
+      }));
+    }
+  },
+  {
+    version: 7,
+    // Catégories personnalisées par utilisateur (remplies à la 1re lecture)
+    up(db) {
+      if (!db.objectStoreNames.contains('categories')) {
+        db.createObjectStore('categories', { keyPath: 'id', autoIncrement: true });
+      }
+    }
+  },
+  {
+    version: 8,
+    // Budgets mensuels : category_id = null → budget global
+    up(db) {
+      if (!db.objectStoreNames.contains('budgets')) {
+        db.createObjectStore('budgets', { keyPath: 'id', autoIncrement: true });
+      }
+    }
+  },
+  {
+    version: 9,
+    // Modèles de dépenses récurrentes (loyer, abonnements, tontine…)
+    up(db) {
+      if (!db.objectStoreNames.contains('recurring')) {
+        db.createObjectStore('recurring', { keyPath: 'id', autoIncrement: true });
+      }
+    }
+  },
+  {
+    version: 10,
+    // Revenus (salaire, ventes, transferts reçus) — même forme que expenses
+    up(db) {
+      if (!db.objectStoreNames.contains('incomes')) {
+        db.createObjectStore('incomes', { keyPath: 'id', autoIncrement: true });
+      }
+    }
+  },
+  {
+    version: 11,
+    // Index [user_id, date] : lectures par plage au lieu de getAll()
+    // (types normalisés d'abord, sinon l'enregistrement sort de l'index)
+    up(db, tx) {
+      ['expenses', 'incomes'].forEach(name => {
+        _migrateRecords(tx, name, r => ({
+          ...r, user_id: Number(r.user_id), date: String(r.date),
+        }));
+        const store = tx.objectStore(name);
+        if (!store.indexNames.contains('ix_user_date')) {
+          store.createIndex('ix_user_date', ['user_id', 'date']);
+        }
+      });
+    }
+  },
+  {
+    version: 12,
+    // Synchronisation : uuid stable + updated_at sur chaque enregistrement,
+    // index unique [user_id, uuid] et file des changements locaux (outbox).
+    // Liste figée : un store ajouté plus tard aura sa propre étape.
+    up(db, tx) {
+      ['expenses', 'incomes', 'categories', 'budgets', 'recurring'].forEach(name => {
+        _migrateRecords(tx, name, r => ({
+          ...r,
+          user_id:    Number(r.user_id),
+          uuid:       r.uuid || _uuid(),
+          updated_at: Number(r.updated_at) || Number(r.ts || r.createdAt) || 0,
+        }));
+        const store = tx.objectStore(name);
+        if (!store.indexNames.contains('ix_user_uuid')) {
+          store.createIndex('ix_user_uuid', ['user_id', 'uuid'], { unique: true });
+        }
+      });
+      if (!db.objectStoreNames.contains('outbox')) {
+        db.createObjectStore('outbox', { keyPath: 'id', autoIncrement: true });
+      }
+    }
+  },
+  {
+    version: 13,
+    // Photos de justificatifs : Blobs rattachés à une dépense
+    up(db) {
+      if (!db.objectStoreNames.contains('attachments')) {
+        const store = db.createObjectStore('attachments', { keyPath: 'id', autoIncrement: true });
+        store.createIndex('ix_user_expense', ['user_id', 'expense_id']);
+      }
+    }
+  },
+  {
+    version: 14,
+    // Devise sur chaque opération et modèle (les existants étaient en
+    // FCFA) + taux de change saisis à la main, un par devise et par
+    // utilisateur
+    up(db, tx) {
+      ['expenses', 'incomes', 'recurring'].forEach(name => {
+        _migrateRecords(tx, name, r => (r.currency ? r : { ...r, currency: DEFAULT_CURRENCY }));
+      });
+      if (!db.objectStoreNames.contains('rates')) {
+        db.createObjectStore('rates', { keyPath: 'id', autoIncrement: true });
+      }
+    }
+  },
+  {
+    version: 15,
+    // Groupes (foyer, colocation…) partagés entre profils de l'appareil,
+    // et leurs opérations : dépenses partagées et remboursements
+    up(db) {
+      if (!db.objectStoreNames.contains('groups')) {
+        db.createObjectStore('groups', { keyPath: 'id', autoIncrement: true });
+      }
+      if (!db.objectStoreNames.contains('group_entries')) {
+        const store = db.createObjectStore('group_entries', { keyPath: 'id', autoIncrement: true });
+        store.createIndex('ix_group', 'group_id');
+      }
+    }
+  },
+  {
+    version: 16,
+    // Comptes (espèces, Mobile Money, banque…) et virements entre
+    // comptes. Les opérations existantes restent sans compte.
+    up(db) {
+      if (!db.objectStoreNames.contains('accounts')) {
+        const store = db.createObjectStore('accounts', { keyPath: 'id', autoIncrement: true });
+        store.createIndex('ix_user_uuid', ['user_id', 'uuid'], { unique: true });
+      }
+      if (!db.objectStoreNames.contains('transfers')) {
+        const store = db.createObjectStore('transfers', { keyPath: 'id', autoIncrement: true });
+        store.createIndex('ix_user_date', ['user_id', 'date']);
+        store.createIndex('ix_user_uuid', ['user_id', 'uuid'], { unique: true });
+      }
+    }
+  },
+  {
+    version: 17,
+    // Taux de change lus par utilisateur (index) et non plus en
+    // parcourant ceux de tous les profils à chaque total ou graphique
+    up(db, tx) {
+      const store = tx.objectStore('rates');
+      if (!store.indexNames.contains('ix_user_currency')) {
+        store.createIndex('ix_user_currency', ['user_id', 'currency']);
+      }
+      _migrateRecords(tx, 'rates', r => ({ ...r, user_id: Number(r.user_id), currency: String(r.currency) }));
+    }
+  },
+];
+
+// Origines possibles d'un revenu
+const INCOME_SOURCES = [
+  { name: 'Salaire',        icon: '💼' },
+  { name: 'Ventes',         icon: '🛒' },
+  { name: 'Transfert reçu', icon: '📲' },
+  { name: 'Autre',          icon: '💵' },
+];
+
+// Devises proposées : symbole affiché après le montant et décimales.
+// Tout autre code ISO 4217 est accepté (symbole = code, décimales
+// données par Intl). DEFAULT_CURRENCY : devise de base d'un nouveau
+// compte et de toute opération enregistrée avant les devises.
+const CURRENCIES = [
+  { code: 'XOF', name: 'Franc CFA (UEMOA)', symbol: 'F',    decimals: 0 },
+  { code: 'XAF', name: 'Franc CFA (CEMAC)', symbol: 'FCFA', decimals: 0 },
+  { code: 'EUR', name: 'Euro',              symbol: '€',    decimals: 2 },
+  { code: 'USD', name: 'Dollar américain',  symbol: '$',    decimals: 2 },
+  { code: 'NGN', name: 'Naira',             symbol: '₦',    decimals: 2 },
+  { code: 'GHS', name: 'Cedi',              symbol: 'GH₵',  decimals: 2 },
+  { code: 'GBP', name: 'Livre sterling',    symbol: '£',    decimals: 2 },
+];
+const DEFAULT_CURRENCY = 'XOF';
+
+// Dérivation du PIN : PBKDF2-SHA256, sel aléatoire par utilisateur.
+// Les itérations sont stockées avec le hash : les augmenter ici suffit,
+// chaque compte est remis à niveau à sa prochaine connexion.
+const PIN_KDF        = 'pbkdf2-sha256';
+const PIN_ITERATIONS = 310000;
+// Verrouillage progressif : PIN_FREE_TRIES essais, puis attente
+// doublée à chaque nouvel échec (30 s, 1 min, 2 min… 1 h max)
+const PIN_FREE_TRIES = 5;
+const PIN_LOCK_BASE  = 30 * 1000;
+const PIN_LOCK_MAX   = 60 * 60 * 1000;
+
+// Stores dont les enregistrements portent un user_id : parcourus par
+// deleteUser et storageByUser (à compléter pour tout nouveau store).
+// Les groupes, partagés entre profils, sont traités à part.
+const USER_STORES = ['expenses', 'incomes', 'categories', 'budgets', 'recurring', 'attachments', 'rates',
+                     'accounts', 'transfers'];
+
+// Synchronisation (facultative, voir sync.js) : chaque enregistrement
+// de ces stores porte un uuid commun à tous les appareils et updated_at
+// (ms). Toute écriture locale ajoute une entrée à l'outbox, dans la
+// même transaction ; l'entrée est retirée une fois acceptée par le
+// serveur. Ordre d'application : catégories, comptes et modèles avant
+// ce qui les référence. Les photos (attachments) et les taux de change (rates,
+// relatifs à la devise de base de l'appareil) restent sur l'appareil.
+const SYNC_STORES = ['categories', 'accounts', 'recurring', 'budgets', 'expenses', 'incomes', 'transfers'];
+
+// Sessions : jeton aléatoire remis à l'onglet (sessionStorage) ; seule
+// son empreinte SHA-256 est gardée dans users.sessions. Expire après
+// SESSION_TTL sans reprise ; SESSION_MAX onglets ouverts par utilisateur.
+const SESSION_TTL = 12 * 60 * 60 * 1000;
+const SESSION_MAX = 5;
 
-let _db = null;
+// Chiffrement au repos (facultatif, par utilisateur) : champs chiffrés
+// par store. user_id, date, catégorie… restent en clair pour l'index
+// [user_id, date], les tris et les transactions de catégories.
+// (Les modèles récurrents et les comptes, lus à chaque lancement,
+// restent en clair.)
+const SEALED_FIELDS = {
+  expenses:  ['name', 'amount', 'notes'],
+  incomes:   ['name', 'amount', 'notes'],
+  transfers: ['amount', 'notes'],
+};
+const LOCKED_MSG = 'Données chiffrées : reconnectez-vous avec votre PIN.';
+
+// Photos de justificatifs, déjà compressées par l'app (JPEG) :
+// ATTACHMENT_MAX par dépense, ATTACHMENT_MAX_BYTES par image.
+// Chiffrement actif : image et vignette chiffrées comme octets bruts.
+const ATTACHMENT_MAX       = 6;
+const ATTACHMENT_MAX_BYTES = 2 * 1024 * 1024;
+
+// Groupes : membres = profils de cet appareil (user_id) ou simples
+// contacts (nom seul). Visibles de chaque profil membre, donc ni
+// chiffrés ni synchronisés ; hors des totaux personnels.
+// Répartition d'une dépense : parts égales, pourcentages ou montants.
+const GROUP_SPLITS      = ['equal', 'percent', 'exact'];
+const GROUP_MEMBERS_MAX = 20;
+
+// Comptes : où est l'argent. Une dépense ou un revenu rattaché à un
+// compte fait varier son solde (dans la devise du compte) ; un
+// virement entre deux comptes n'est ni une dépense ni un revenu.
+const ACCOUNT_KINDS = [
+  { kind: 'cash',   name: 'Espèces',      icon: '💵' },
+  { kind: 'mobile', name: 'Mobile Money', icon: '📱' },
+  { kind: 'bank',   name: 'Banque',       icon: '🏦' },
+  { kind: 'other',  name: 'Autre',        icon: '👛' },
+];
+
+// Fréquences des dépenses récurrentes ('custom' : tous les N jours)
+const RECURRING_FREQS = ['daily', 'weekly', 'monthly', 'custom'];
+
+// Catégories créées pour chaque nouvel utilisateur
+const DEFAULT_CATEGORIES = [
+  { name: 'Alimentation', color: '#EF4444', icon: '🍽' },
+  { name: 'Transport',    color: '#3B82F6', icon: '🚌' },
+  { name: 'Loisirs',      color: '#8B5CF6', icon: '🎉' },
+  { name: 'Santé',        color: '#10B981', icon: '💊' },
+];
+const CATEGORY_FALLBACK_COLOR = '#64748B';
+
+// Réécrit chaque enregistrement d'un store via fn(record) → record.
+// Toute exception annule la transaction de migration.
+// Plusieurs étapes sur le même store (montée de v5 à v11 : v6 puis v11
+// sur expenses) : un seul parcours applique leurs fn dans l'ordre.
+// Deux curseurs ouverts en parallèle liraient chacun l'état d'origine
+// et le dernier écrit effacerait le travail des autres.
+function _migrateRecords(tx, storeName, fn) {
+  const rewrites = tx._rewrites || (tx._rewrites = {});
+  if (rewrites[storeName]) {
+    rewrites[storeName].push(fn);
+    return;
+  }
+  const fns = rewrites[storeName] = [fn];
+  const req = tx.objectStore(storeName).openCursor();
+  req.onsuccess = () => {
+    const cur = req.result;
+    if (!cur) return;
+    try {
+      cur.update(fns.reduce((r, f) => f(r), cur.value));
+      cur.continue();
+    } catch (err) {
+      console.error(`Migration ${storeName} #${cur.primaryKey}:`, err);
+      tx.abort();
+    }
+  };
+}
 
 /* ── Connexion ───────────────────────────────────────────────── */
 function openDB() {
   if (_db) return Promise.resolve(_db);
+  // Un seul open() à la fois : évite deux migrations concurrentes
+  if (!_opening) {
+    _opening = _openWithMigrations()
+      .then(db => { _db = db; return db; })
+      .finally(() => { _opening = null; });
+  }
+  return _opening;
+}
+
+async function _openWithMigrations() {
+  const from = await _installedVersion();
+  const needsSnapshot = from > 0 && from < DB_VERSION;
+  if (needsSnapshot) await _takeSnapshot(from);
+
+  try {
+    const db = await _openVersioned();
+    if (needsSnapshot) await _deleteSnapshot();
+    return db;
+  } catch (err) {
+    if (needsSnapshot) {
+      await _restoreSnapshot().catch(e => console.error('Restauration échouée:', e));
+      throw new Error('Mise à jour des données échouée — données restaurées. ' + err.message);
+    }
+    throw err;
+  }
+}
+
+function _openVersioned() {
   return new Promise((resolve, reject) => {
     const req = indexedDB.open(DB_NAME, DB_VERSION);
 
     req.onupgradeneeded = e => {
       const db = e.target.result;
-      // Nettoyer les anciens stores (migration propre)
-      [...db.objectStoreNames].forEach(n => db.deleteObjectStore(n));
+      const tx = e.target.transaction;
+      const steps = MIGRATIONS.filter(m => m.version > e.oldVersion && m.version <= DB_VERSION);
+      for (const step of steps) {
+        try {
+          step.up(db, tx);
+        } catch (err) {
+          console.error(`Migration v${step.version} échouée:`, err);
+          tx.abort();
+          return;
+        }
+      }
+    };
 
-      // Table users
-      const users = db.createObjectStore('users', {
-        keyPath: 'id', autoIncrement: true
-      });
-      users.createIndex('ix_username', 'username', { unique: true });
+    req.onsuccess = e => {
+      const db = e.target.result;
+      // Un autre onglet monte de version → libérer la connexion
+      db.onversionchange = () => { db.close(); _db = null; };
+      resolve(db);
+    };
+    req.onerror   = e => reject(new Error('Erreur ouverture DB: ' + e.target.error));
+    req.onblocked = () => console.warn('Migration en attente : fermez les autres onglets Budget Pro.');
+  });
+}
 
-      // Table expenses — PAS d'index sur user_id (on filtre en JS)
-      db.createObjectStore('expenses', {
-        keyPath: 'id', autoIncrement: true
-      });
+// Version actuellement installée (0 = base inexistante).
+// open() sans version crée la base si elle n'existe pas : on annule
+// alors l'upgrade pour ne rien créer.
+function _installedVersion() {
+  return new Promise(resolve => {
+    const req = indexedDB.open(DB_NAME);
+    req.onupgradeneeded = e => e.target.transaction.abort();
+    req.onsuccess = e => { const db = e.target.result; const v = db.version; db.close(); resolve(v); };
+    req.onerror   = e => { e.preventDefault(); resolve(0); };
+  });
+}
+
+/* ── Snapshot pré-migration ──────────────────────────────────── */
+// Copie brute de tous les stores dans une base séparée, prise AVANT
+// d'ouvrir la nouvelle version. Supprimée après une migration réussie.
+function _openSnapshotDB() {
+  return new Promise((resolve, reject) => {
+    const req = indexedDB.open(SNAPSHOT_DB, 1);
+    req.onupgradeneeded = e => e.target.result.createObjectStore('stores', { keyPath: 'name' });
+    req.onsuccess = e => resolve(e.target.result);
+    req.onerror   = e => reject(e.target.error);
+  });
+}
+
+function _takeSnapshot(version) {
+  return new Promise((resolve, reject) => {
+    const req = indexedDB.open(DB_NAME, version);
+    req.onerror   = e => reject(new Error('Snapshot impossible: ' + e.target.error));
+    req.onsuccess = async e => {
+      const db = e.target.result;
+      try {
+        const names = [...db.objectStoreNames];
+        const dump  = await Promise.all(names.map(name => new Promise((res, rej) => {
+          const r = db.transaction(name, 'readonly').objectStore(name).getAll();
+          r.onsuccess = () => res({ name, version, records: r.result, takenAt: Date.now() });
+          r.onerror   = () => rej(r.error);
+        })));
+        db.close();
+
+        const snap = await _openSnapshotDB();
+        const tx   = snap.transaction('stores', 'readwrite');
+        const st   = tx.objectStore('stores');
+        st.clear();
+        dump.forEach(d => st.put(d));
+        tx.oncomplete = () => { snap.close(); resolve(); };
+        tx.onerror    = () => { snap.close(); reject(tx.error); };
+      } catch (err) {
+        db.close();
+        reject(err);
+      }
     };
+  });
+}
 
-    req.onsuccess = e => { _db = e.target.result; resolve(_db); };
-    req.onerror   = e => reject(new Error('Erreur ouverture DB: ' + e.target.error));
+async function _restoreSnapshot() {
+  const snap  = await _openSnapshotDB();
+  const dumps = await new Promise((resolve, reject) => {
+    const r = snap.transaction('stores', 'readonly').objectStore('stores').getAll();
+    r.onsuccess = () => resolve(r.result);
+    r.onerror   = () => reject(r.error);
+  });
+  snap.close();
+  if (!dumps.length) return;
+
+  // La base est restée à l'ancienne version (transaction annulée) :
+  // on remet chaque store exactement dans l'état du snapshot.
+  const db = await new Promise((resolve, reject) => {
+    const req = indexedDB.open(DB_NAME);
+    req.onsuccess = e => resolve(e.target.result);
+    req.onerror   = e => reject(e.target.error);
+  });
+  const names = dumps.map(d => d.name).filter(n => db.objectStoreNames.contains(n));
+  if (!names.length) { db.close(); return; }
+  await new Promise((resolve, reject) => {
+    const tx = db.transaction(names, 'readwrite');
+    dumps.forEach(d => {
+      if (!names.includes(d.name)) return;
+      const st = tx.objectStore(d.name);
+      st.clear();
+      d.records.forEach(r => st.put(r));
+    });
+    tx.oncomplete = () => resolve();
+    tx.onerror    = () => reject(tx.error);
+  });
+  db.close();
+  console.warn('Migration annulée : données restaurées depuis le snapshot.');
+}
+
+function _deleteSnapshot() {
+  return new Promise(resolve => {
+    const req = indexedDB.deleteDatabase(SNAPSHOT_DB);
+    req.onsuccess = req.onerror = req.onblocked = () => resolve();
   });
 }
 
 /* ── Écriture — attend tx.oncomplete (persistance réelle) ────── */
-function _add(storeName, record) {
+async function _add(storeName, record) {
+  const synced = SYNC_STORES.includes(storeName);
+  record = await _seal(storeName, synced ? _touch(record) : record);
   return openDB().then(db => new Promise((resolve, reject) => {
     // Copier l'objet SANS la propriété "id" → autoIncrement génère la clé
     const obj = {};
@@ -59,9 +517,10 @@ function _add(storeName, record) {
       if (k !== 'id') obj[k] = record[k];
     }
 
-    const tx  = db.transaction(storeName, 'readwrite');
+    const tx  = db.transaction(synced ? [storeName, 'outbox'] : storeName, 'readwrite');
     const req = tx.objectStore(storeName).add(obj);
     let   key = null;
+    if (synced) _queue(tx, storeName, obj);
 
     req.onsuccess = () => { key = req.result; };
 
@@ -73,6 +532,23 @@ function _add(storeName, record) {
   }));
 }
 
+/* ── Mise à jour (clé incluse dans l'objet) ──────────────────── */
+async function _put(storeName, record) {
+  const synced = SYNC_STORES.includes(storeName);
+  record = await _seal(storeName, synced ? _touch(record) : record);
+  return openDB().then(db => new Promise((resolve, reject) => {
+    const tx  = db.transaction(synced ? [storeName, 'outbox'] : storeName, 'readwrite');
+    const req = tx.objectStore(storeName).put(record);
+    let   key = null;
+    if (synced) _queue(tx, storeName, record);
+
+    req.onsuccess = () => { key = req.result; };
+    tx.oncomplete = () => resolve(key);
+    tx.onerror    = () => reject(new Error('Écriture échouée: ' + tx.error));
+    tx.onabort    = () => reject(new Error('Transaction annulée: ' + tx.error));
+  }));
+}
+
 /* ── Lecture par clé primaire ────────────────────────────────── */
 function _get(storeName, key) {
   return openDB().then(db => new Promise((resolve, reject) => {
@@ -80,7 +556,7 @@ function _get(storeName, key) {
                   .objectStore(storeName).get(key);
     req.onsuccess = () => resolve(req.result ?? null);
     req.onerror   = () => reject(req.error);
-  }));
+  })).then(r => _unseal(storeName, r));
 }
 
 /* ── Lecture via index unique (pour username) ────────────────── */
@@ -96,8 +572,8 @@ function _findOne(storeName, indexName, value) {
 }
 
 /* ── Lecture de TOUS les enregistrements d'un store ─────────── */
-// FIX : on utilise getAll() SANS index, puis on filtre en JS.
-// C'est la correction principale du bug "dépenses perdues".
+// getAll() SANS index, puis filtre en JS (voir en-tête) : réservé
+// aux petits stores (catégories, budgets, récurrences).
 function _getAllFromStore(storeName) {
   return openDB().then(db => new Promise((resolve, reject) => {
     const req = db.transaction(storeName, 'readonly')
@@ -108,11 +584,114 @@ function _getAllFromStore(storeName) {
   }));
 }
 
+/* ── Lecture par plage de dates (index ix_user_date) ────────── */
+// Enregistrements d'un utilisateur entre bounds.from et bounds.to
+// (bornes incluses), du plus récent au plus ancien.
+// match(r) : filtre supplémentaire (catégorie…)
+// limit    : n'en garder que les N plus récents — le curseur s'arrête
+//            dès qu'il a N résultats et a fini la journée en cours.
+// Données chiffrées + match : le curseur ne peut pas attendre le
+// déchiffrement (transaction refermée) → plage entière, puis filtre.
+async function _readUserRange(storeName, userId, bounds, { match, limit } = {}) {
+  const range = _userRange(userId, bounds);
+  if (!range) return [];
+  const key    = _keys.get(Number(userId));
+  const sealed = !!(key && match);
+  const raw    = await _scanRange(storeName, range, sealed ? {} : { match, limit });
+  const list   = await Promise.all(raw.map(r => _unseal(storeName, r, key)));
+  if (!sealed) return list;
+  const out = list.filter(match);
+  return limit ? out.slice(0, limit) : out;
+}
+
+function _scanRange(storeName, range, { match, limit }) {
+  // Enregistrement chiffré sans clé : gardé, _unseal signalera le verrou
+  if (match) { const m = match; match = r => !!r.enc || m(r); }
+  return openDB().then(db => new Promise((resolve, reject) => {
+    const index = db.transaction(storeName, 'readonly')
+                    .objectStore(storeName).index('ix_user_date');
+
+    if (!limit) {
+      const req = index.getAll(range);
+      req.onsuccess = () => resolve((req.result ?? []).filter(r => !match || match(r)).sort(_byDateDesc));
+      req.onerror   = () => reject(req.error);
+      return;
+    }
+
+    const out = [];
+    const req = index.openCursor(range, 'prev');
+    req.onsuccess = () => {
+      const cur = req.result;
+      // Même jour que le dernier retenu : à garder pour le tri par heure
+      if (cur && (out.length < limit || cur.value.date === out[out.length - 1].date)) {
+        if (!match || match(cur.value)) out.push(cur.value);
+        cur.continue();
+        return;
+      }
+      resolve(out.sort(_byDateDesc).slice(0, limit));
+    };
+    req.onerror = () => reject(req.error);
+  }));
+}
+
+// Total en devise de base (fx) des enregistrements d'une plage qui
+// vérifient match, par curseur : ni liste complète ni tri. Seuls les
+// enregistrements chiffrés sont gardés, puis déchiffrés un à un.
+// → { total, count, unconverted, missing: Set des devises sans taux }
+async function _sumUserRange(storeName, userId, bounds, match, fx) {
+  const out = { total: 0, count: 0, unconverted: 0, missing: new Set() };
+  const range = _userRange(userId, bounds);
+  if (!range) return out;
+  const add = r => {
+    if (match && !match(r)) return;
+    out.count++;
+    const v = _toBase(r, fx);
+    if (v === null) { out.unconverted++; out.missing.add(r.currency); }
+    else out.total += v;
+  };
+  const sealed = await openDB().then(db => new Promise((resolve, reject) => {
+    const list = [];
+    const req  = db.transaction(storeName, 'readonly')
+                   .objectStore(storeName).index('ix_user_date').openCursor(range);
+    req.onsuccess = () => {
+      const cur = req.result;
+      if (!cur) return resolve(list);
+      if (cur.value.enc) list.push(cur.value);
+      else add(cur.value);
+      cur.continue();
+    };
+    req.onerror = () => reject(req.error);
+  }));
+  const key = _keys.get(Number(userId));
+  for (const r of sealed) add(await _unseal(storeName, r, key));
+  return out;
+}
+
+// [Number(userId), from] → [Number(userId), to] ; null si plage vide
+// (NaN n'est pas une clé valide : bound() lèverait DataError)
+function _userRange(userId, { from, to }) {
+  const uid = Number(userId);
+  if (from > to || Number.isNaN(uid)) return null;
+  return IDBKeyRange.bound([uid, from], [uid, to]);
+}
+
 /* ── Suppression ─────────────────────────────────────────────── */
 function _delete(storeName, key) {
+  const synced = SYNC_STORES.includes(storeName);
   return openDB().then(db => new Promise((resolve, reject) => {
-    const tx = db.transaction(storeName, 'readwrite');
-    tx.objectStore(storeName).delete(key);
+    const tx    = db.transaction(synced ? [storeName, 'outbox'] : storeName, 'readwrite');
+    const store = tx.objectStore(storeName);
+    if (synced) {
+      // Relu dans la transaction : son uuid part dans l'outbox
+      const req = store.get(key);
+      req.onsuccess = () => {
+        if (!req.result) return;
+        _queue(tx, storeName, req.result, 'delete');
+        store.delete(key);
+      };
+    } else {
+      store.delete(key);
+    }
     tx.oncomplete = () => resolve(true);
     tx.onerror    = () => reject(tx.error);
   }));
@@ -128,6 +707,44 @@ function _count(storeName) {
   }));
 }
 
+/* ── Transaction multi-stores ────────────────────────────────── */
+// work(tx) programme les requêtes et peut renvoyer un objet qu'il
+// remplit au fil des callbacks : il est résolu à tx.oncomplete.
+// Pour refuser l'opération depuis un callback : _abort(tx, new Error(…)).
+function _transaction(storeNames, work) {
+  return openDB().then(db => new Promise((resolve, reject) => {
+    const tx = db.transaction(storeNames, 'readwrite');
+    let out;
+    try {
+      out = work(tx);
+    } catch (err) {
+      _abort(tx, err);
+    }
+    tx.oncomplete = () => resolve(out);
+    tx.onerror    = () => reject(tx._err || new Error('Écriture échouée: ' + tx.error));
+    tx.onabort    = () => reject(tx._err || new Error('Transaction annulée: ' + tx.error));
+  }));
+}
+
+function _abort(tx, err) {
+  tx._err = err;
+  try { tx.abort(); } catch { /* déjà terminée */ }
+}
+
+/* ── Outbox (synchronisation) ────────────────────────────────── */
+// Identité de synchronisation : uuid conservé (ou créé), updated_at = maintenant
+function _touch(record) {
+  return { ...record, uuid: record.uuid || _uuid(), updated_at: Date.now() };
+}
+
+// Dans une transaction ouverte sur 'outbox' : changement à envoyer.
+// Seuls le store et l'uuid comptent : l'état envoyé est relu au départ.
+function _queue(tx, storeName, record, op = 'put') {
+  tx.objectStore('outbox').add({
+    user_id: Number(record.user_id), store: storeName, uuid: record.uuid, op, at: Date.now(),
+  });
+}
+
 /* ═══════════════════════════════════════════════════════════════
    API MÉTIER — utilisée par app.js
    ═══════════════════════════════════════════════════════════════ */
@@ -141,159 +758,2465 @@ const DB = {
   async createUser(username, pin) {
     const u = username.trim().toLowerCase();
     if (u.length < 2) throw new Error('Nom trop court (2 caractères min).');
+    _assertPin(pin);
     const exists = await _findOne('users', 'ix_username', u);
     if (exists) throw new Error('Ce nom est déjà utilisé.');
-    const hash = await _hash(pin);
-    const id = await _add('users', { username: u, pinHash: hash, createdAt: Date.now() });
+    const id = await _add('users', { username: u, ...(await _pinRecord(pin)), createdAt: Date.now() });
     return { id, username: u };
   },
 
+  // Ancien hash (SHA-256, sel global) ou itérations insuffisantes :
+  // remplacé par un hash PBKDF2 neuf dès que le PIN est reconnu
   async verifyUser(username, pin) {
     const u    = username.trim().toLowerCase();
     const user = await _findOne('users', 'ix_username', u);
-    if (!user)                              throw new Error('Utilisateur introuvable.');
-    if ((await _hash(pin)) !== user.pinHash) throw new Error('Code PIN incorrect.');
+    if (!user) throw new Error('Utilisateur introuvable.');
+    await _checkPin(user, pin);
+    if (user.encrypted) _keys.set(user.id, await _deriveKey(pin, user.encSalt, user.encIterations));
     return { id: user.id, username: user.username };
   },
 
-  /* ── Dépenses ────────────────────────────────────────────── */
-  async addExpense(userId, { name, amount, category, date, hour, minute }) {
-    if (!name?.trim())   throw new Error('Le nom est requis.');
-    if (!(+amount > 0))  throw new Error('Montant invalide (doit être > 0).');
-    if (!date)           throw new Error('La date est requise.');
-
-    const record = {
-      // PAS de propriété "id" → autoIncrement la génère
-      user_id:  Number(userId),           // Toujours stocker comme Number
-      name:     String(name).trim(),
-      amount:   parseFloat((+amount).toFixed(2)),
-      category: category || 'Alimentation',
-      date:     String(date),             // 'YYYY-MM-DD'
-      hour:     Number(hour)   || 0,
-      minute:   Number(minute) || 0,
-      ts:       Date.now(),               // Pour tri secondaire stable
-    };
+  // Changement de PIN : l'ancien est exigé (et compte dans le verrouillage).
+  // Données chiffrées : rechiffrées avec la clé du nouveau PIN.
+  async changePin(userId, oldPin, newPin) {
+    const user = await _get('users', Number(userId));
+    if (!user) throw new Error('Utilisateur introuvable.');
+    _assertPin(newPin);
+    await _checkPin(user, oldPin);
+    const pinFields = await _pinRecord(newPin);
+    if (!user.encrypted) {
+      await _put('users', { ...(await _get('users', user.id)), ...pinFields });
+      return true;
+    }
+    if (!_keys.has(user.id)) throw new Error(LOCKED_MSG);
+    const enc = _encFields();
+    await _rekey(user.id, await _deriveKey(newPin, enc.encSalt, enc.encIterations), { ...pinFields, ...enc });
+    return true;
+  },
 
-    const newId = await _add('expenses', record);
-    if (!newId) throw new Error('Enregistrement échoué, réessayez.');
-    return newId;
+  // Profils de l'appareil pour l'écran de connexion (sans données PIN)
+  async listUsers() {
+    const all = await _getAllFromStore('users');
+    return all
+      .map(u => ({ id: u.id, username: u.username, createdAt: u.createdAt, encrypted: !!u.encrypted }))
+      .sort((a, b) => a.username.localeCompare(b.username, 'fr'));
   },
 
   /**
-   * getExpenses — FIX PRINCIPAL
-   * On lit TOUT le store puis on filtre en JavaScript.
-   * Fini les problèmes d'index IDBKeyRange.
+   * deleteUser — supprime le compte et TOUTES ses données (dépenses,
+   * revenus, catégories, budgets, récurrences, photos, comptes,
+   * virements) en une transaction, après vérification du PIN. Dans
+   * ses groupes, il devient un simple contact (les comptes des autres
+   * restent justes) ; un groupe sans autre profil de l'appareil est
+   * supprimé.
    */
-  async getExpenses(userId, period = 'all', category = 'Toutes') {
-    // 1. Lire TOUTES les dépenses du store
-    const all = await _getAllFromStore('expenses');
+  async deleteUser(userId, pin) {
+    const user = await _get('users', Number(userId));
+    if (!user) throw new Error('Utilisateur introuvable.');
+    await _checkPin(user, pin);
+    const uid = user.id;
+    // Rien n'est mis dans l'outbox : le compte distant n'est pas touché
+    await _transaction(['users', 'outbox', 'groups', 'group_entries', ...USER_STORES], tx => {
+      USER_STORES.forEach(name => _deleteWhere(tx, name, r => Number(r.user_id) === uid, false));
+      _deleteWhere(tx, 'outbox', o => o.user_id === uid, false);
+      _leaveGroups(tx, uid);
+      tx.objectStore('users').delete(uid);
+    });
+    _keys.delete(uid);
+    return true;
+  },
 
-    // 2. Filtrer par utilisateur (comparaison stricte en Number)
-    const uid = Number(userId);
-    let list = all.filter(e => Number(e.user_id) === uid);
-
-    // 3. Filtrer par période
-    const now   = new Date();
-    const today = _ds(now);
-
-    list = list.filter(e => {
-      const d = String(e.date);
-      switch (period) {
-        case 'today':  return d === today;
-        case '3days':  return d >= _ds(new Date(+now - 2 * 864e5));
-        case 'week': {
-          const dow = now.getDay() || 7; // lundi = 1, dimanche = 7
-          const mon = new Date(+now - (dow - 1) * 864e5);
-          return d >= _ds(mon);
-        }
-        case 'month':  return d.slice(0, 7) === today.slice(0, 7);
-        case 'year':   return d.slice(0, 4) === today.slice(0, 4);
-        default:       return true; // 'all'
-      }
+  /**
+   * storageByUser — place occupée par chaque utilisateur :
+   * [{ id, username, counts: { expenses, … }, bytes }] (bytes ≈ taille
+   * des enregistrements sérialisés, blocs chiffrés compris), plus lourds
+   * en premier. Lit les enregistrements bruts : aucune clé nécessaire.
+   */
+  async storageByUser() {
+    const db    = await openDB();
+    const users = await _getAllFromStore('users');
+    const stats = new Map(users.map(u => [u.id, {
+      id: u.id, username: u.username, bytes: _sizeOf(u),
+      counts: Object.fromEntries(USER_STORES.map(n => [n, 0])),
+    }]));
+
+    await new Promise((resolve, reject) => {
+      const tx = db.transaction(USER_STORES, 'readonly');
+      USER_STORES.forEach(name => {
+        const req = tx.objectStore(name).openCursor();
+        req.onsuccess = () => {
+          const cur = req.result;
+          if (!cur) return;
+          const st = stats.get(Number(cur.value.user_id));
+          if (st) { st.counts[name]++; st.bytes += _sizeOf(cur.value); }
+          cur.continue();
+        };
+      });
+      tx.oncomplete = () => resolve();
+      tx.onerror    = () => reject(tx.error);
     });
+    return [...stats.values()].sort((a, b) => b.bytes - a.bytes);
+  },
 
-    // 4. Filtrer par catégorie
-    if (category && category !== 'Toutes') {
-      list = list.filter(e => e.category === category);
-    }
+  /* ── Sessions ────────────────────────────────────────────── */
+  // Après verifyUser / createUser → jeton à conserver dans l'onglet
+  async openSession(userId) {
+    const user = await _get('users', Number(userId));
+    if (!user) throw new Error('Utilisateur introuvable.');
+    const token    = _hex(crypto.getRandomValues(new Uint8Array(32)));
+    const sessions = _liveSessions(user)
+      .concat({ hash: await _sha256(token), expires: Date.now() + SESSION_TTL })
+      .slice(-SESSION_MAX);
+    await _put('users', { ...user, sessions });
+    return token;
+  },
 
-    // 5. Tri décroissant (plus récent en premier)
-    list.sort((a, b) =>
-      String(b.date).localeCompare(String(a.date)) ||
-      (Number(b.hour)   - Number(a.hour))   ||
-      (Number(b.minute) - Number(a.minute)) ||
-      (Number(b.ts)     - Number(a.ts))
-    );
+  // Jeton valide et non expiré → { id, username } (expiration repoussée)
+  // sinon null. Ne fournit PAS la clé de chiffrement : voir isLocked.
+  async resumeSession(userId, token) {
+    const user = await _get('users', Number(userId));
+    if (!user || !token) return null;
+    const hash     = await _sha256(token);
+    const sessions = _liveSessions(user);
+    const session  = sessions.find(x => x.hash === hash);
+    if (!session) return null;
+    session.expires = Date.now() + SESSION_TTL;
+    await _put('users', { ...user, sessions });
+    return { id: user.id, username: user.username };
+  },
 
-    return list;
+  async closeSession(userId, token) {
+    const user = await _get('users', Number(userId));
+    if (!user) return;
+    const hash = token ? await _sha256(token) : null;
+    await _put('users', { ...user, sessions: _liveSessions(user).filter(x => x.hash !== hash) });
   },
 
-  async deleteExpense(userId, id) {
-    const e = await _get('expenses', Number(id));
-    if (!e || Number(e.user_id) !== Number(userId)) {
-      throw new Error('Dépense introuvable.');
+  /* ── Chiffrement au repos ────────────────────────────────── */
+  async isEncrypted(userId) {
+    return !!(await _get('users', Number(userId)))?.encrypted;
+  },
+
+  // Chiffré mais clé absente (session reprise sans PIN) : connexion requise
+  async isLocked(userId) {
+    return !_keys.has(Number(userId)) && this.isEncrypted(userId);
+  },
+
+  // Oublie la clé en mémoire (déconnexion)
+  lock(userId) {
+    _keys.delete(Number(userId));
+  },
+
+  /**
+   * setEncryption — active (on = true) ou désactive le chiffrement.
+   * Le PIN est vérifié ; toutes les dépenses, revenus et virements
+   * existants sont réécrits dans une seule transaction.
+   * → nombre d'opérations réécrites
+   */
+  async setEncryption(userId, pin, on) {
+    const user = await _get('users', Number(userId));
+    if (!user) throw new Error('Utilisateur introuvable.');
+    await _checkPin(user, pin);
+    if (!!user.encrypted === !!on) return 0;
+    if (!on) {
+      _keys.set(user.id, await _deriveKey(pin, user.encSalt, user.encIterations));
+      return _rekey(user.id, null, { encrypted: false, encSalt: null, encIterations: null });
     }
-    return _delete('expenses', Number(id));
+    const enc = _encFields();
+    return _rekey(user.id, await _deriveKey(pin, enc.encSalt, enc.encIterations), { encrypted: true, ...enc });
   },
 
-  /* ── Statistiques ────────────────────────────────────────── */
-  async statsByCategory(userId, period) {
-    const list = await this.getExpenses(userId, period, 'Toutes');
-    return list.reduce((acc, e) => {
-      acc[e.category] = (acc[e.category] || 0) + e.amount;
-      return acc;
-    }, {});
+  /* ── Synchronisation (voir sync.js) ──────────────────────── */
+  // { url, account, token, cursor, lastSync } ou null si désactivée
+  async syncConfig(userId) {
+    return (await _get('users', Number(userId)))?.sync || null;
   },
 
-  async statsByDay(userId, period) {
-    const list = await this.getExpenses(userId, period, 'Toutes');
-    const map  = {};
-    list.forEach(e => { map[e.date] = (map[e.date] || 0) + e.amount; });
-    const dates = Object.keys(map).sort();
-    return {
-      labels: dates.map(d => { const [, m, j] = d.split('-'); return `${j}/${m}`; }),
-      data:   dates.map(d => map[d])
+  /**
+   * setSyncConfig — serveur { url, account, token } ; url vide →
+   * synchronisation désactivée et outbox vidée. Nouveau serveur ou
+   * nouveau compte : toutes les données repartent dans l'outbox et
+   * l'historique distant est relu depuis le début (cursor 0).
+   */
+  async setSyncConfig(userId, { url, account, token } = {}) {
+    const user = await _get('users', Number(userId));
+    if (!user) throw new Error('Utilisateur introuvable.');
+    const u = String(url ?? '').trim().replace(/\/+$/, '');
+    if (!u) {
+      await _transaction(['users', 'outbox'], tx => {
+        tx.objectStore('users').put({ ...user, sync: null });
+        _deleteWhere(tx, 'outbox', o => o.user_id === user.id, false);
+      });
+      return null;
+    }
+    if (!/^https?:\/\/[^\s/]+/i.test(u)) throw new Error('Adresse du serveur invalide (http:// ou https://).');
+    const acc = String(account ?? '').trim().toLowerCase();
+    if (!/^[a-z0-9._-]{2,64}$/.test(acc)) throw new Error('Compte invalide (2 à 64 caractères : lettres, chiffres, . _ -).');
+
+    const prev = user.sync;
+    const same = prev?.url === u && prev?.account === acc;
+    const sync = {
+      url: u, account: acc, token: String(token ?? '').trim(),
+      cursor:   same ? prev.cursor   : 0,
+      lastSync: same ? prev.lastSync : null,
     };
+    await _transaction(['users', 'outbox', ...SYNC_STORES], tx => {
+      tx.objectStore('users').put({ ...user, sync });
+      if (same) return;
+      SYNC_STORES.forEach(name => {
+        const req = tx.objectStore(name).openCursor();
+        req.onsuccess = () => {
+          const cur = req.result;
+          if (!cur) return;
+          if (Number(cur.value.user_id) === user.id) _queue(tx, name, cur.value);
+          cur.continue();
+        };
+      });
+    });
+    return sync;
   },
 
-  async statsByMonth(userId) {
-    const all  = await _getAllFromStore('expenses');
+  // Sync désactivée : l'outbox n'a plus de destinataire
+  async syncDiscard(userId) {
+    const uid = Number(userId);
+    await _transaction(['outbox'], tx => _deleteWhere(tx, 'outbox', o => o.user_id === uid, false));
+  },
+
+  // Nombre d'enregistrements modifiés en attente d'envoi
+  async syncPending(userId) {
     const uid  = Number(userId);
-    const mine = all.filter(e => Number(e.user_id) === uid);
+    const mine = (await _getAllFromStore('outbox')).filter(o => o.user_id === uid);
+    return new Set(mine.map(o => `${o.store}|${o.uuid}`)).size;
+  },
 
-    const now  = new Date();
-    const MN   = ['Jan','Fév','Mar','Avr','Mai','Jun','Jul','Aoû','Sep','Oct','Nov','Déc'];
+  /**
+   * syncOutbox — changements locaux à envoyer :
+   * { ids, changes: [{ store, uuid, op, updated_at, data }] }
+   * Un changement par enregistrement, dans son état actuel (déchiffré) ;
+   * disparu depuis → suppression. ids : entrées à acquitter (syncAck).
+   */
+  async syncOutbox(userId) {
+    const uid     = Number(userId);
+    const entries = (await _getAllFromStore('outbox')).filter(o => o.user_id === uid);
+    if (!entries.length) return { ids: [], changes: [] };
 
-    // Générer les 12 derniers mois
-    const keys = Array.from({ length: 12 }, (_, i) => {
-      const d = new Date(now.getFullYear(), now.getMonth() - 11 + i, 1);
-      return `${d.getFullYear()}-${String(d.getMonth() + 1).padStart(2, '0')}`;
-    });
+    const local = await _syncLocal(uid);
+    const index = Object.fromEntries(SYNC_STORES.map(n => [n, new Map(local[n].map(r => [r.uuid, r]))]));
+    const last  = new Map();
+    entries.forEach(o => last.set(`${o.store}|${o.uuid}`, o));
 
-    const map = Object.fromEntries(keys.map(k => [k, 0]));
-    mine.forEach(e => {
-      const k = String(e.date).slice(0, 7);
-      if (k in map) map[k] += e.amount;
+    const changes = [];
+    last.forEach(o => {
+      const r = index[o.store]?.get(o.uuid);
+      if (!r) {
+        changes.push({ store: o.store, uuid: o.uuid, op: 'delete', updated_at: o.at });
+        return;
+      }
+      const data = _toWire(o.store, r, local);
+      if (data) changes.push({ store: o.store, uuid: o.uuid, op: 'put', updated_at: r.updated_at, data });
     });
+    return { ids: entries.map(o => o.id), changes };
+  },
 
-    return {
-      labels: keys.map(k => { const [y, m] = k.split('-'); return `${MN[+m - 1]} ${y}`; }),
-      data:   keys.map(k => map[k])
+  // Entrées envoyées et acceptées par le serveur
+  async syncAck(userId, ids) {
+    if (!ids.length) return;
+    await _transaction(['outbox'], tx => ids.forEach(id => tx.objectStore('outbox').delete(id)));
+  },
+
+  /**
+   * syncApply — changements reçus du serveur
+   * [{ store, uuid, deleted, updated_at, data }], store par store
+   * (SYNC_STORES). Rien n'est remis dans l'outbox, sauf les doublons
+   * résolus sur place (voir _applyRemote). → nombre de changements appliqués
+   */
+  async syncApply(userId, changes) {
+    const uid = Number(userId);
+    const key = await _keyFor(uid);
+    let applied = 0;
+    for (const name of SYNC_STORES) {
+      const list = changes.filter(c => c.store === name);
+      if (list.length) applied += await _applyRemote(uid, name, list, key);
+    }
+    return applied;
+  },
+
+  // Passage réussi : position dans l'historique du serveur. Ignoré si
+  // le serveur ou le compte a changé entre-temps.
+  async syncDone(userId, { url, account }, cursor) {
+    const user = await _get('users', Number(userId));
+    if (user?.sync?.url !== url || user.sync.account !== account) return;
+    await _put('users', { ...user, sync: { ...user.sync, cursor, lastSync: Date.now() } });
+  },
+
+  /* ── Dépenses ────────────────────────────────────────────── */
+  // data.uuid : identité imposée (occurrences des modèles récurrents)
+  async addExpense(userId, data) {
+    const record = { ..._expenseRecord(userId, data), ...(data.uuid && { uuid: String(data.uuid) }) };
+    await _assertCategory(userId, record.category);
+    await _assertAccount(userId, record.account_id);
+    const newId  = await _add('expenses', record);
+    if (!newId) throw new Error('Enregistrement échoué, réessayez.');
+    return newId;
+  },
+
+  // Mêmes contrôles que addExpense, sans écrire (utilisé par l'import)
+  validateExpense(data) {
+    const { user_id, ...rest } = _expenseRecord(0, data);
+    return rest;
+  },
+
+  // Clé de doublon : même date, heure, minute, montant (et devise) et désignation
+  duplicateKey(e) {
+    return [
+      String(e.date), Number(e.hour) || 0, Number(e.minute) || 0,
+      parseFloat((+e.amount).toFixed(2)), _currencyCode(e.currency), String(e.name).trim().toLowerCase()
+    ].join('|');
+  },
+
+  /**
+   * addOperations — dépenses et revenus saisis en lot (SMS ou relevé
+   * Mobile Money) : comptes vérifiés, puis tout est écrit en une seule
+   * transaction. Une ligne invalide → rien n'est écrit.
+   */
+  async addOperations(userId, { expenses = [], incomes = [] }) {
+    const ids = new Set(expenses.concat(incomes).map(r => _accountId(r.account_id)));
+    for (const id of ids) await _assertAccount(userId, id);
+    return this.importRecords(userId, { expenses, incomes }, 'merge');
+  },
+
+  /**
+   * importRecords — écrit des listes déjà validées en UNE transaction.
+   * mode 'replace' : les dépenses et revenus existants de l'utilisateur
+   * (et leurs photos) sont supprimés dans la même transaction (tout ou rien).
+   * Dépense avec photos : e.photos = [{ blob, thumb, width, height }].
+   */
+  async importRecords(userId, { expenses = [], incomes = [] }, mode = 'merge') {
+    const uid  = Number(userId);
+    const sets = {
+      expenses: expenses.map(e => _touch(_expenseRecord(uid, e))),
+      incomes:  incomes.map(i => _touch(_incomeRecord(uid, i))),
     };
-  }
-};
+    let photos = expenses.map(e => (e.photos || []).slice(0, ATTACHMENT_MAX).map(p => _attachmentRecord(uid, 0, p)));
+    // Chiffrement avant la transaction (elle ne peut pas attendre)
+    const key = await _keyFor(uid);
+    if (key) {
+      for (const name in sets) sets[name] = await Promise.all(sets[name].map(r => _seal(name, r, key)));
+      photos = await Promise.all(photos.map(list => Promise.all(list.map(p => _seal('attachments', p, key)))));
+    }
+    const db = await openDB();
 
-/* ── Utilitaires privés ──────────────────────────────────────── */
-// Date → 'YYYY-MM-DD'
-function _ds(d) {
-  return `${d.getFullYear()}-${String(d.getMonth()+1).padStart(2,'0')}-${String(d.getDate()).padStart(2,'0')}`;
-}
+    return new Promise((resolve, reject) => {
+      const tx = db.transaction([...Object.keys(sets), 'attachments', 'outbox'], 'readwrite');
+      const attachments = tx.objectStore('attachments');
 
-// Hash SHA-256 du PIN
-async function _hash(pin) {
-  const buf = await crypto.subtle.digest(
-    'SHA-256',
-    new TextEncoder().encode('bp_v5_salt_' + String(pin))
-  );
-  return [...new Uint8Array(buf)].map(b => b.toString(16).padStart(2, '0')).join('');
+      const run = () => Object.entries(sets).forEach(([name, records]) => {
+        const store = tx.objectStore(name);
+        const write = () => records.forEach((r, i) => {
+          const req = store.add(r);
+          _queue(tx, name, r);
+          if (name !== 'expenses' || !photos[i].length) return;
+          req.onsuccess = () => photos[i].forEach(p => attachments.add({ ...p, expense_id: req.result }));
+        });
+
+        if (mode === 'replace') {
+          const cur = store.openCursor();
+          cur.onsuccess = () => {
+            const c = cur.result;
+            if (!c) return write();
+            if (Number(c.value.user_id) === uid) { _queue(tx, name, c.value, 'delete'); c.delete(); }
+            c.continue();
+          };
+        } else {
+          write();
+        }
+      });
+      // Remplacement : anciennes photos supprimées AVANT toute écriture.
+      // Les nouvelles (ids de dépense plus grands) tomberaient sinon dans
+      // la plage du curseur de suppression encore ouvert
+      if (mode === 'replace') _deleteAttachments(tx, uid, undefined, run);
+      else run();
+
+      tx.oncomplete = () => resolve(sets.expenses.length + sets.incomes.length);
+      tx.onerror    = () => reject(new Error('Import échoué: ' + tx.error));
+      tx.onabort    = () => reject(new Error('Import annulé: ' + tx.error));
+    });
+  },
+
+  /**
+   * getExpenses — dépenses d'une période, plus récentes en premier.
+   * Lecture par plage sur l'index [user_id, date] (voir en-tête).
+   * options.limit  : seulement les N plus récentes (pagination)
+   * options.filter : { q, min, max, hourFrom, hourTo, account } (voir _listFilter)
+   */
+  async getExpenses(userId, period = 'all', category = 'Toutes', { limit, filter } = {}) {
+    const inFilter = _listFilter(filter);
+    const match = category && category !== 'Toutes'
+      ? e => e.category === category && (!inFilter || inFilter(e))
+      : inFilter;
+    return _readUserRange('expenses', userId, _periodBounds(period), { match, limit });
+  },
+
+  // Ses photos sont supprimées dans la même transaction
+  async deleteExpense(userId, id) {
+    const e = await _get('expenses', Number(id));
+    if (!e || Number(e.user_id) !== Number(userId)) {
+      throw new Error('Dépense introuvable.');
+    }
+    return _transaction(['expenses', 'attachments', 'outbox'], tx => {
+      tx.objectStore('expenses').delete(e.id);
+      _queue(tx, 'expenses', e, 'delete');
+      _deleteAttachments(tx, e.user_id, [e.id]);
+      return true;
+    });
+  },
+
+  // patch : champs modifiés (name, amount, category, date, hour, minute)
+  async updateExpense(userId, id, patch) {
+    const e = await _get('expenses', Number(id));
+    if (!e || Number(e.user_id) !== Number(userId)) {
+      throw new Error('Dépense introuvable.');
+    }
+    // Les champs non modifiables (id, ts…) sont conservés
+    const record = { ...e, ..._expenseRecord(userId, { ...e, ...patch, ts: e.ts }), id: e.id };
+    if (record.category !== e.category) await _assertCategory(userId, record.category);
+    if (record.account_id !== (e.account_id ?? null)) await _assertAccount(userId, record.account_id);
+    await _put('expenses', record);
+    return record;
+  },
+
+  /* ── Photos de justificatifs ─────────────────────────────── */
+  /**
+   * addAttachment — photo déjà compressée rattachée à une dépense :
+   * { blob, thumb, width, height } (blob et thumb : images Blob).
+   * Chiffrement actif : image et vignette chiffrées. → id
+   */
+  async addAttachment(userId, expenseId, photo) {
+    const uid = Number(userId);
+    const e   = await _get('expenses', Number(expenseId));
+    if (!e || Number(e.user_id) !== uid) throw new Error('Dépense introuvable.');
+    const record = _attachmentRecord(uid, e.id, photo);
+    const count  = (await _readAttachments(uid, e.id)).length;
+    if (count >= ATTACHMENT_MAX) throw new Error(`${ATTACHMENT_MAX} photos au maximum par dépense.`);
+    return _add('attachments', record);
+  },
+
+  // Photos d'une dépense, plus anciennes en premier (déchiffrées)
+  async getAttachments(userId, expenseId) {
+    const key = _keys.get(Number(userId));
+    const raw = await _readAttachments(Number(userId), Number(expenseId));
+    return Promise.all(raw.map(a => _unseal('attachments', a, key)));
+  },
+
+  /**
+   * attachmentThumbs — vignettes pour la liste :
+   * Map expense_id → { id, thumb, count } (première photo de chaque dépense)
+   * Par dépense affichée : la première photo seule est lue (count() pour
+   * les autres) et seule sa vignette est déchiffrée.
+   */
+  async attachmentThumbs(userId, expenseIds) {
+    const uid = Number(userId);
+    const out = new Map();
+    const key = _keys.get(uid);
+    for (const [id, { first, count }] of await _readFirstAttachments(uid, expenseIds)) {
+      out.set(id, { id: first.id, thumb: await _unsealThumb(first, key), count });
+    }
+    return out;
+  },
+
+  async deleteAttachment(userId, id) {
+    const a = await _get('attachments', Number(id));
+    if (!a || Number(a.user_id) !== Number(userId)) throw new Error('Photo introuvable.');
+    return _delete('attachments', a.id);
+  },
+
+  // Toutes les photos de l'utilisateur, déchiffrées (sauvegarde)
+  async getAllAttachments(userId) {
+    const key = _keys.get(Number(userId));
+    const raw = await _readAttachments(Number(userId));
+    return Promise.all(raw.map(a => _unseal('attachments', a, key)));
+  },
+
+  /* ── Revenus ─────────────────────────────────────────────── */
+  async addIncome(userId, data) {
+    const record = _incomeRecord(userId, data);
+    await _assertAccount(userId, record.account_id);
+    const newId = await _add('incomes', record);
+    if (!newId) throw new Error('Enregistrement échoué, réessayez.');
+    return newId;
+  },
+
+  validateIncome(data) {
+    const { user_id, ...rest } = _incomeRecord(0, data);
+    return rest;
+  },
+
+  // Même lecture que getExpenses (index [user_id, date])
+  async getIncomes(userId, period = 'all', { limit, filter } = {}) {
+    return _readUserRange('incomes', userId, _periodBounds(period), { match: _listFilter(filter), limit });
+  },
+
+  async updateIncome(userId, id, patch) {
+    const i = await _get('incomes', Number(id));
+    if (!i || Number(i.user_id) !== Number(userId)) {
+      throw new Error('Revenu introuvable.');
+    }
+    const record = { ...i, ..._incomeRecord(userId, { ...i, ...patch, ts: i.ts }), id: i.id };
+    if (record.account_id !== (i.account_id ?? null)) await _assertAccount(userId, record.account_id);
+    await _put('incomes', record);
+    return record;
+  },
+
+  async deleteIncome(userId, id) {
+    const i = await _get('incomes', Number(id));
+    if (!i || Number(i.user_id) !== Number(userId)) {
+      throw new Error('Revenu introuvable.');
+    }
+    return _delete('incomes', Number(id));
+  },
+
+  // Totaux d'une période, en devise de base →
+  // { income, expense, net, count, unconverted, missing: ['EUR', …] }
+  // unconverted : opérations laissées hors des totaux faute de taux
+  // category ≠ 'Toutes' : dépenses de cette catégorie seules (pas de revenus)
+  // filter : mêmes filtres avancés que la liste (getExpenses)
+  async periodTotals(userId, period, category = 'Toutes', filter) {
+    const withIncomes = !category || category === 'Toutes';
+    const bounds   = _periodBounds(period);
+    const inFilter = _listFilter(filter);
+    const match    = category && category !== 'Toutes'
+      ? e => e.category === category && (!inFilter || inFilter(e))
+      : inFilter;
+    const fx = await _fx(Number(userId));
+    // Sommes au fil du curseur : la liste, elle, est paginée
+    const [exp, inc] = await Promise.all([
+      _sumUserRange('expenses', userId, bounds, match, fx),
+      withIncomes ? _sumUserRange('incomes', userId, bounds, inFilter, fx) : null,
+    ]);
+    const missing = new Set([...exp.missing, ...(inc?.missing ?? [])]);
+    const income  = inc?.total ?? 0;
+    return { income, expense: exp.total, net: income - exp.total, count: exp.count + (inc?.count ?? 0),
+             unconverted: exp.unconverted + (inc?.unconverted ?? 0), missing: [...missing].sort() };
+  },
+
+  /* ── Catégories ──────────────────────────────────────────── */
+  /**
+   * getCategories — catégories de l'utilisateur, triées par nom.
+   * À la première lecture : création des catégories par défaut
+   * + celles déjà utilisées par ses dépenses (import, anciennes versions).
+   */
+  async getCategories(userId, { includeArchived = false } = {}) {
+    const uid = Number(userId);
+    const all = await _getAllFromStore('categories');
+    let mine  = all.filter(c => Number(c.user_id) === uid);
+    if (!mine.length) mine = await _seedCategories(uid);
+
+    return mine
+      .filter(c => includeArchived || !c.archived)
+      .sort((a, b) => a.name.localeCompare(b.name, 'fr'));
+  },
+
+  async addCategory(userId, data) {
+    const uid    = Number(userId);
+    const record = _categoryRecord(uid, data);
+    const mine   = await this.getCategories(uid, { includeArchived: true });
+    if (mine.some(c => _sameName(c.name, record.name))) {
+      throw new Error('Cette catégorie existe déjà.');
+    }
+    const id = await _add('categories', record);
+    return { ...record, id };
+  },
+
+  // Crée les catégories manquantes (import) — noms ou objets {name, color, icon}
+  async ensureCategories(userId, list) {
+    const mine  = await this.getCategories(userId, { includeArchived: true });
+    const known = mine.map(c => c.name);
+    for (const item of list) {
+      const data = typeof item === 'string' ? { name: item } : item;
+      if (!data?.name?.trim() || known.some(n => _sameName(n, data.name))) continue;
+      await this.addCategory(userId, data);
+      known.push(data.name.trim());
+    }
+  },
+
+  /**
+   * updateCategory — nom, couleur, icône.
+   * Un renommage réaffecte les dépenses dans la même transaction.
+   */
+  async updateCategory(userId, id, patch) {
+    const uid  = Number(userId);
+    const cat  = await _ownCategory(uid, id);
+    const next = _touch({ ...cat, ..._categoryRecord(uid, { ...cat, ...patch }), id: cat.id,
+                          archived: cat.archived, createdAt: cat.createdAt });
+
+    if (next.name !== cat.name) {
+      const mine = await this.getCategories(uid, { includeArchived: true });
+      if (mine.some(c => c.id !== cat.id && _sameName(c.name, next.name))) {
+        throw new Error('Cette catégorie existe déjà.');
+      }
+    }
+
+    await _transaction(['categories', 'expenses', 'recurring', 'outbox'], tx => {
+      tx.objectStore('categories').put(next);
+      _queue(tx, 'categories', next);
+      if (next.name !== cat.name) {
+        _reassignCategory(tx, uid, cat.name, next.name);
+        _reassignCategory(tx, uid, cat.name, next.name, 'recurring');
+      }
+    });
+    return next;
+  },
+
+  // Une catégorie archivée n'est plus proposée à la saisie
+  // mais reste visible dans l'historique et les filtres.
+  async archiveCategory(userId, id, archived = true) {
+    const cat = await _ownCategory(Number(userId), id);
+    if (archived) {
+      const active = await this.getCategories(userId);
+      if (active.length <= 1) throw new Error('Gardez au moins une catégorie active.');
+    }
+    await _put('categories', { ...cat, archived: !!archived });
+  },
+
+  // Fusion : les dépenses de "fromId" passent dans "toId", puis fromId est supprimée
+  async mergeCategories(userId, fromId, toId) {
+    const uid  = Number(userId);
+    if (Number(fromId) === Number(toId)) throw new Error('Choisissez deux catégories différentes.');
+    const from = await _ownCategory(uid, fromId);
+    const to   = await _ownCategory(uid, toId);
+
+    const moved = await _transaction(['categories', 'expenses', 'budgets', 'recurring', 'outbox'], tx => {
+      tx.objectStore('categories').delete(from.id);
+      _queue(tx, 'categories', from, 'delete');
+      _deleteWhere(tx, 'budgets', b => b.category_id === from.id);
+      _reassignCategory(tx, uid, from.name, to.name, 'recurring');
+      return _reassignCategory(tx, uid, from.name, to.name);
+    });
+    return moved.count;
+  },
+
+  /* ── Budgets mensuels ────────────────────────────────────── */
+  async getBudgets(userId) {
+    const uid = Number(userId);
+    const all = await _getAllFromStore('budgets');
+    return all.filter(b => Number(b.user_id) === uid);
+  },
+
+  // categoryId null → budget global ; limit vide ou 0 → budget supprimé
+  async setBudget(userId, categoryId, limit) {
+    const uid = Number(userId);
+    const cid = categoryId == null || categoryId === '' ? null : Number(categoryId);
+    if (cid !== null) await _ownCategory(uid, cid);
+    if (limit !== '' && limit != null && !(+limit >= 0)) throw new Error('Budget invalide.');
+
+    const current = (await this.getBudgets(uid)).find(b => b.category_id === cid);
+    if (!(+limit > 0)) {
+      if (current) await _delete('budgets', current.id);
+      return null;
+    }
+    const record = { user_id: uid, category_id: cid, limit: parseFloat((+limit).toFixed(2)) };
+    if (current) {
+      await _put('budgets', { ...current, ...record });
+      return { ...current, ...record };
+    }
+    return { ...record, id: await _add('budgets', record) };
+  },
+
+  /**
+   * budgetProgress — consommation du mois en cours.
+   * Mêmes données que statsByCategory(userId, 'month').
+   * → { overall: {limit, spent, ratio} | null, categories: [{…, limit, spent, ratio}] }
+   */
+  async budgetProgress(userId) {
+    const [budgets, stats, cats] = await Promise.all([
+      this.getBudgets(userId),
+      this.statsByCategory(userId, 'month'),
+      this.getCategories(userId, { includeArchived: true }),
+    ]);
+    const total = Object.values(stats).reduce((s, v) => s + v, 0);
+    const line  = (limit, spent) => ({ limit, spent, ratio: limit > 0 ? spent / limit : 0 });
+
+    const global = budgets.find(b => b.category_id === null);
+    return {
+      overall: global ? line(global.limit, total) : null,
+      categories: budgets
+        .filter(b => b.category_id !== null)
+        .map(b => ({ b, c: cats.find(c => c.id === b.category_id) }))
+        .filter(x => x.c)
+        .map(({ b, c }) => ({
+          category_id: c.id, name: c.name, color: c.color, icon: c.icon,
+          ...line(b.limit, stats[c.name] || 0)
+        }))
+        .sort((a, b) => b.ratio - a.ratio),
+    };
+  },
+
+  /**
+   * budgetAlerts — seuils (80 %, 100 %) franchis par une dépense
+   * qui vient d'être ajoutée. Ne concerne que le mois en cours.
+   * → [{ name, level: 80|100, ratio }] (name null = budget global)
+   */
+  async budgetAlerts(userId, expense) {
+    if (String(expense.date).slice(0, 7) !== _ds(new Date()).slice(0, 7)) return [];
+    const prog   = await this.budgetProgress(userId);
+    const amount = _toBase(expense, await _fx(Number(userId))) ?? 0;
+    const lines  = prog.categories
+      .filter(c => c.name === expense.category)
+      .concat(prog.overall ? [{ ...prog.overall, name: null }] : []);
+
+    const alerts = [];
+    lines.forEach(l => {
+      const before = (l.spent - amount) / l.limit;
+      const level  = [100, 80].find(t => before < t / 100 && l.ratio >= t / 100);
+      if (level) alerts.push({ name: l.name, level, ratio: l.ratio });
+    });
+    return alerts;
+  },
+
+  /* ── Dépenses récurrentes ────────────────────────────────── */
+  async getRecurring(userId) {
+    const uid = Number(userId);
+    const all = await _getAllFromStore('recurring');
+    return all
+      .filter(t => Number(t.user_id) === uid)
+      .sort((a, b) => a.name.localeCompare(b.name, 'fr'));
+  },
+
+  async addRecurring(userId, data) {
+    const record = _recurringRecord(userId, data);
+    await _assertCategory(userId, record.category);
+    await _assertAccount(userId, record.account_id);
+    const id = await _add('recurring', record);
+    return { ...record, id };
+  },
+
+  // Les modifications valent pour les occurrences futures uniquement
+  async updateRecurring(userId, id, patch) {
+    const t    = await _ownRecurring(Number(userId), id);
+    const next = { ...t, ..._recurringRecord(userId, { ...t, ...patch }), id: t.id,
+                   last_date: t.last_date, paused: t.paused, paused_reason: null };
+    if (next.category !== t.category) await _assertCategory(userId, next.category);
+    if (next.account_id !== (t.account_id ?? null)) await _assertAccount(userId, next.account_id);
+    await _put('recurring', next);
+    return next;
+  },
+
+  // Reprise : les occurrences manquées pendant la pause ne sont pas créées
+  async pauseRecurring(userId, id, paused = true) {
+    const t    = await _ownRecurring(Number(userId), id);
+    const next = { ...t, paused: !!paused, paused_reason: null };
+    if (!paused) {
+      const yesterday = new Date();
+      yesterday.setDate(yesterday.getDate() - 1);
+      const y = _ds(yesterday);
+      if (!next.last_date || next.last_date < y) next.last_date = y;
+    }
+    await _put('recurring', next);
+    return next;
+  },
+
+  // keepGenerated = false → les dépenses déjà créées par le modèle sont supprimées
+  async deleteRecurring(userId, id, { keepGenerated = true } = {}) {
+    const uid = Number(userId);
+    const t   = await _ownRecurring(uid, id);
+    return _transaction(['recurring', 'expenses', 'attachments', 'outbox'], tx => {
+      tx.objectStore('recurring').delete(t.id);
+      _queue(tx, 'recurring', t, 'delete');
+      if (!keepGenerated) {
+        _deleteWhere(tx, 'expenses', e => Number(e.user_id) === uid && e.recurring_id === t.id, true,
+          gone => _deleteAttachments(tx, uid, gone.map(e => e.id)));
+      }
+      return true;
+    });
+  },
+
+  // Prochaine date due (ou null si terminé)
+  nextOccurrence(t) {
+    return _recurringDates(t, t.last_date, t.end || '9999-12-31', 1)[0] || null;
+  },
+
+  /**
+   * runRecurring — crée toutes les occurrences manquées jusqu'à
+   * aujourd'hui inclus. Appelé après la connexion.
+   * Chaque occurrence a un uuid dérivé du modèle et de la date : deux
+   * appareils synchronisés ne la créent qu'une fois.
+   * Modèle dont la catégorie ou le compte n'existe plus (archivé,
+   * supprimé) : mis en pause avec la raison (paused_reason), au lieu
+   * d'échouer en silence à chaque connexion.
+   * → { created, paused: [{ name, error }], errors: [{ name, error }] }
+   */
+  async runRecurring(userId) {
+    const uid       = Number(userId);
+    const today     = _ds(new Date());
+    const templates = await this.getRecurring(uid);
+    const out       = { created: 0, paused: [], errors: [] };
+
+    for (const t of templates) {
+      if (t.paused) continue;
+      const until = t.end && t.end < today ? t.end : today;
+      const dates = _recurringDates(t, t.last_date, until);
+      if (!dates.length) continue;
+      try {
+        try {
+          await _assertCategory(uid, t.category);
+          await _assertAccount(uid, t.account_id ?? null);
+        } catch (err) {
+          await _put('recurring', { ...t, paused: true, paused_reason: err.message });
+          out.paused.push({ name: t.name, error: err.message });
+          continue;
+        }
+        for (const date of dates) {
+          const expense = await _seal('expenses', _touch({
+            ..._expenseRecord(uid, {
+              name: t.name, amount: t.amount, currency: t.currency, category: t.category,
+              date, hour: t.hour, minute: t.minute, recurring_id: t.id, account_id: t.account_id,
+            }),
+            uuid: await _derivedUuid(t.uuid, date),
+          }));
+          t.last_date = date;
+          const tpl = await _seal('recurring', _touch(t));
+          // Occurrence et avancement du modèle dans la même transaction :
+          // pas de doublon si l'app est fermée au milieu du rattrapage
+          const created = await _transaction(['expenses', 'recurring', 'outbox'], tx => {
+            const res = { created: false };
+            const req = tx.objectStore('expenses').index('ix_user_uuid').get([uid, expense.uuid]);
+            req.onsuccess = () => {
+              if (req.result) return; // déjà créée (autre appareil, synchronisé)
+              tx.objectStore('expenses').add(expense);
+              _queue(tx, 'expenses', expense);
+              res.created = true;
+            };
+            tx.objectStore('recurring').put(tpl);
+            _queue(tx, 'recurring', tpl);
+            return res;
+          });
+          if (created.created) out.created++;
+        }
+      } catch (err) {
+        out.errors.push({ name: t.name, error: err.message });
+      }
+    }
+    return out;
+  },
+
+  /**
+   * periodRange — plage { from, to } d'une semaine (lundi → dimanche)
+   * ou d'un mois, décalée de "offset" unités par rapport à aujourd'hui.
+   */
+  periodRange(unit, offset = 0) {
+    const now = new Date();
+    if (unit === 'week') {
+      const dow = now.getDay() || 7; // lundi = 1, dimanche = 7
+      const mon = new Date(now.getFullYear(), now.getMonth(), now.getDate() - (dow - 1) + offset * 7);
+      const sun = new Date(mon.getFullYear(), mon.getMonth(), mon.getDate() + 6);
+      return { from: _ds(mon), to: _ds(sun) };
+    }
+    const first = new Date(now.getFullYear(), now.getMonth() + offset, 1);
+    const last  = new Date(first.getFullYear(), first.getMonth() + 1, 0);
+    return { from: _ds(first), to: _ds(last) };
+  },
+
+  /* ── Devises et taux de change ───────────────────────────── */
+  // { code, name, symbol, decimals } d'un code, même hors CURRENCIES
+  currencyInfo(code) {
+    const c = String(code || DEFAULT_CURRENCY).toUpperCase();
+    const known = CURRENCIES.find(x => x.code === c);
+    if (known) return known;
+    let decimals = 2;
+    try {
+      decimals = new Intl.NumberFormat('fr-FR', { style: 'currency', currency: c })
+        .resolvedOptions().maximumFractionDigits;
+    } catch { /* code inconnu d'Intl : 2 décimales */ }
+    return { code: c, name: c, symbol: c, decimals };
+  },
+
+  /**
+   * getCurrency — devise de base de l'utilisateur et taux saisis :
+   * { base: 'XOF', rates: { EUR: 655.957, … } } (1 EUR = 655,957 XOF).
+   * Totaux, statistiques et budgets sont exprimés dans la devise de base.
+   */
+  async getCurrency(userId) {
+    return _fx(Number(userId));
+  },
+
+  // rate : valeur d'une unité de code dans la devise de base ;
+  // vide ou 0 → taux supprimé (les opérations dans cette devise
+  // sortent des totaux)
+  async setRate(userId, code, rate) {
+    const uid = Number(userId);
+    const c   = _currencyCode(code);
+    const fx  = await _fx(uid);
+    if (c === fx.base) throw new Error(`${c} est la devise de base (taux 1).`);
+    if (rate !== '' && rate != null && !(+rate >= 0)) throw new Error('Taux invalide.');
+
+    const current = await _findOne('rates', 'ix_user_currency', [uid, c]);
+    if (!(+rate > 0)) {
+      if (current) await _delete('rates', current.id);
+      return null;
+    }
+    const record = { user_id: uid, currency: c, rate: _roundRate(rate), updated_at: Date.now() };
+    if (current) {
+      await _put('rates', { ...current, ...record });
+      return { ...current, ...record };
+    }
+    return { ...record, id: await _add('rates', record) };
+  },
+
+  /**
+   * setBaseCurrency — change la devise de base. Son taux doit être
+   * connu : les autres taux et les budgets sont convertis (base XOF →
+   * EUR à 655,957 : budget 65 595,7 F → 100 €), en une transaction.
+   * Les opérations gardent leur devise. → { base, rates }
+   */
+  async setBaseCurrency(userId, code) {
+    const uid  = Number(userId);
+    const c    = _currencyCode(code);
+    const user = await _get('users', uid);
+    if (!user) throw new Error('Utilisateur introuvable.');
+    const fx = await _fx(uid);
+    if (c === fx.base) return fx;
+    const r = fx.rates[c];
+    if (!(r > 0)) throw new Error(`Saisissez d'abord le taux de ${c} (1 ${c} = ? ${fx.base}).`);
+
+    const rates = { [fx.base]: 1 / r };
+    Object.entries(fx.rates).forEach(([k, v]) => { if (k !== c) rates[k] = v / r; });
+    const budgets = (await this.getBudgets(uid))
+      .map(b => _touch({ ...b, limit: parseFloat((b.limit / r).toFixed(2)) }));
+    const now = Date.now();
+
+    await _transaction(['users', 'rates', 'budgets', 'outbox'], tx => {
+      tx.objectStore('users').put({ ...user, currency: c });
+      // Nouveaux taux écrits une fois les anciens effacés (même curseur)
+      _deleteWhere(tx, 'rates', x => Number(x.user_id) === uid, false, () => {
+        Object.entries(rates).forEach(([k, v]) => {
+          tx.objectStore('rates').add({ user_id: uid, currency: k, rate: _roundRate(v), updated_at: now });
+        });
+      });
+      budgets.forEach(b => { tx.objectStore('budgets').put(b); _queue(tx, 'budgets', b); });
+    });
+    return _fx(uid);
+  },
+
+  // Montant d'une opération dans la devise de base (null : taux manquant)
+  toBase(record, fx) {
+    return _toBase(record, fx);
+  },
+
+  /* ── Comptes et virements ────────────────────────────────── */
+  // Comptes de l'utilisateur, triés par nom
+  async getAccounts(userId, { includeArchived = false } = {}) {
+    const uid = Number(userId);
+    return (await _getAllFromStore('accounts'))
+      .filter(a => Number(a.user_id) === uid && (includeArchived || !a.archived))
+      .sort((a, b) => a.name.localeCompare(b.name, 'fr'));
+  },
+
+  /**
+   * addAccount — { name, kind, currency, opening }
+   * kind : voir ACCOUNT_KINDS ; devise absente → devise de base.
+   * opening : solde à l'ouverture, dans la devise du compte (négatif :
+   * découvert, crédit).
+   */
+  async addAccount(userId, data) {
+    const uid    = Number(userId);
+    const record = _accountRecord(uid, { ...data, currency: data.currency || (await _fx(uid)).base });
+    const mine   = await this.getAccounts(uid, { includeArchived: true });
+    if (mine.some(a => _sameName(a.name, record.name))) throw new Error('Ce compte existe déjà.');
+    const id = await _add('accounts', record);
+    return { ...record, id };
+  },
+
+  // Crée les comptes manquants (import, même nom) → tous les comptes
+  async ensureAccounts(userId, list) {
+    const mine = await this.getAccounts(userId, { includeArchived: true });
+    for (const data of list) {
+      if (!data?.name?.trim() || mine.some(a => _sameName(a.name, data.name))) continue;
+      mine.push(await this.addAccount(userId, data));
+    }
+    return mine;
+  },
+
+  // Devise figée dès qu'une opération, un virement ou un modèle
+  // récurrent utilise le compte
+  async updateAccount(userId, id, patch) {
+    const uid  = Number(userId);
+    const acc  = await _ownAccount(uid, id);
+    const next = { ...acc, ..._accountRecord(uid, { ...acc, ...patch }), id: acc.id,
+                   archived: acc.archived, createdAt: acc.createdAt };
+    const mine = await this.getAccounts(uid, { includeArchived: true });
+    if (mine.some(a => a.id !== acc.id && _sameName(a.name, next.name))) {
+      throw new Error('Ce compte existe déjà.');
+    }
+    if (next.currency !== acc.currency && await _accountUsed(uid, acc.id)) {
+      throw new Error('Ce compte a déjà des opérations : sa devise ne peut plus changer.');
+    }
+    await _put('accounts', next);
+    return next;
+  },
+
+  // Un compte archivé n'est plus proposé à la saisie mais garde son
+  // solde et ses opérations
+  async archiveAccount(userId, id, archived = true) {
+    const acc = await _ownAccount(Number(userId), id);
+    await _put('accounts', { ...acc, archived: !!archived });
+  },
+
+  // Seulement s'il n'a jamais servi (sinon : l'archiver)
+  async deleteAccount(userId, id) {
+    const uid = Number(userId);
+    const acc = await _ownAccount(uid, id);
+    if (await _accountUsed(uid, acc.id)) {
+      throw new Error('Ce compte a des opérations : archivez-le plutôt.');
+    }
+    return _delete('accounts', acc.id);
+  },
+
+  /**
+   * getTransfers — virements d'une période, plus récents en premier.
+   * options : comme getExpenses ; filter.account → virements émis ou
+   * reçus par ce compte.
+   */
+  async getTransfers(userId, period = 'all', { limit, filter } = {}) {
+    return _readUserRange('transfers', userId, _periodBounds(period), { match: _listFilter(filter), limit });
+  },
+
+  /**
+   * addTransfer — { from_id, to_id, amount, date, hour, minute, notes }
+   * Ni dépense ni revenu : seuls les soldes des deux comptes bougent.
+   * Comptes de devises différentes : refusé (saisir une dépense sur
+   * l'un et un revenu sur l'autre).
+   */
+  async addTransfer(userId, data) {
+    const uid    = Number(userId);
+    const record = _transferRecord(uid, data);
+    const [from, to] = await Promise.all([_ownAccount(uid, record.from_id), _ownAccount(uid, record.to_id)]);
+    if (from.archived || to.archived) throw new Error('Compte archivé : réactivez-le d\'abord.');
+    if (from.currency !== to.currency) {
+      throw new Error(`Comptes en devises différentes (${from.currency} → ${to.currency}) : virement impossible.`);
+    }
+    record.currency = from.currency;
+    const id = await _add('transfers', record);
+    return { ...record, id };
+  },
+
+  async deleteTransfer(userId, id) {
+    const t = await _get('transfers', Number(id));
+    if (!t || Number(t.user_id) !== Number(userId)) throw new Error('Virement introuvable.');
+    return _delete('transfers', t.id);
+  },
+
+  /**
+   * accountBalances — solde actuel de chaque compte (archivés compris),
+   * dans sa devise : ouverture + revenus − dépenses ± virements.
+   * Opération dans une autre devise : convertie par les taux ; sans
+   * taux, laissée de côté et comptée dans unconverted.
+   * → [{ ...compte, balance, unconverted }]
+   */
+  async accountBalances(userId) {
+    const uid = Number(userId);
+    const [accounts, ops, fx] = await Promise.all([
+      this.getAccounts(uid, { includeArchived: true }), _accountOps(uid), _fx(uid),
+    ]);
+    const out = new Map(accounts.map(a => [a.id, { ...a, balance: a.opening, unconverted: 0 }]));
+    ops.forEach(op => _accountMoves(op).forEach(([id, sign]) => {
+      const a = out.get(id);
+      if (!a) return;
+      const v = _inCurrency(op, a.currency, fx);
+      if (v === null) a.unconverted++;
+      else a.balance += sign * v;
+    }));
+    return [...out.values()].map(a => ({ ...a, balance: parseFloat(a.balance.toFixed(2)) }));
+  },
+
+  /**
+   * accountLedger — solde d'un compte après chaque opération, depuis
+   * son ouverture (toutes périodes) :
+   * Map 'expense:12' | 'income:3' | 'transfer:7' → solde
+   */
+  async accountLedger(userId, accountId) {
+    const uid = Number(userId);
+    const acc = await _ownAccount(uid, accountId);
+    const [ops, fx] = await Promise.all([_accountOps(uid, acc.id), _fx(uid)]);
+    const out = new Map();
+    let balance = acc.opening;
+    ops.forEach(op => _accountMoves(op).forEach(([id, sign]) => {
+      if (id !== acc.id) return;
+      const v = _inCurrency(op, acc.currency, fx);
+      if (v !== null) balance += sign * v;
+      out.set(`${op.kind}:${op.id}`, parseFloat(balance.toFixed(2)));
+    }));
+    return out;
+  },
+
+  /* ── Groupes : dépenses partagées ────────────────────────── */
+  // Groupes dont l'utilisateur est membre, triés par nom
+  async getGroups(userId) {
+    const uid = Number(userId);
+    return (await _getAllFromStore('groups'))
+      .filter(g => _isMember(g, uid))
+      .sort((a, b) => a.name.localeCompare(b.name, 'fr'));
+  },
+
+  /**
+   * addGroup — { name, currency, members: [{ name, user_id }] }
+   * user_id : profil de cet appareil ; absent → contact (nom seul).
+   * Le créateur est ajouté aux membres s'il n'y figure pas.
+   */
+  async addGroup(userId, data) {
+    const uid  = Number(userId);
+    const user = await _get('users', uid);
+    if (!user) throw new Error('Utilisateur introuvable.');
+    const members = (data.members || []).slice();
+    if (!members.some(m => m.user_id != null && Number(m.user_id) === uid)) {
+      members.unshift({ name: user.username, user_id: uid });
+    }
+    const record = await _groupRecord({ ...data, members, created_by: uid, createdAt: Date.now() });
+    return { ...record, id: await _add('groups', record) };
+  },
+
+  /**
+   * updateGroup — nom, devise et membres (id des membres existants
+   * conservés). Refusé si un membre retiré a des opérations, si la
+   * devise change alors qu'il y en a déjà, ou si l'utilisateur se retire.
+   */
+  async updateGroup(userId, id, patch) {
+    const uid  = Number(userId);
+    const g    = await _ownGroup(uid, id);
+    const next = { ...g, ...(await _groupRecord({ ...g, ...patch, created_by: g.created_by, createdAt: g.createdAt })),
+                   id: g.id };
+    if (!_isMember(next, uid)) throw new Error('Vous ne pouvez pas vous retirer du groupe.');
+
+    const entries = await _groupEntries(g.id);
+    if (entries.length && next.currency !== g.currency) {
+      throw new Error('Devise non modifiable : le groupe a déjà des opérations.');
+    }
+    const used = new Set(entries.flatMap(e => [e.paid_by, ...Object.keys(e.shares)]));
+    const gone = g.members.find(m => used.has(m.id) && !next.members.some(x => x.id === m.id));
+    if (gone) throw new Error(`${gone.name} a des opérations dans le groupe : impossible de le retirer.`);
+    await _put('groups', next);
+    return next;
+  },
+
+  // Le groupe et toutes ses opérations, en une transaction
+  async deleteGroup(userId, id) {
+    const g = await _ownGroup(Number(userId), id);
+    return _transaction(['groups', 'group_entries'], tx => {
+      tx.objectStore('groups').delete(g.id);
+      _deleteWhere(tx, 'group_entries', e => e.group_id === g.id, false);
+      return true;
+    });
+  },
+
+  // Opérations d'un groupe, plus récentes en premier
+  async getGroupEntries(userId, groupId) {
+    const g = await _ownGroup(Number(userId), groupId);
+    return (await _groupEntries(g.id)).sort(_byDateDesc);
+  },
+
+  /**
+   * addGroupEntry — dépense partagée ou remboursement :
+   *   { kind: 'expense', name, amount, date, paid_by, split, values }
+   *     split 'equal'   : values { memberId: 1 } (participants)
+   *           'percent' : values { memberId: % } (total 100)
+   *           'exact'   : values { memberId: montant } (total = amount)
+   *   { kind: 'settlement', from, to, amount, date } : from rembourse to
+   * Les parts (shares : { memberId: montant }) sont calculées ici.
+   */
+  async addGroupEntry(userId, groupId, data) {
+    const uid    = Number(userId);
+    const g      = await _ownGroup(uid, groupId);
+    const record = { ..._groupEntryRecord(g, data), created_by: uid, ts: Date.now() };
+    return { ...record, id: await _add('group_entries', record) };
+  },
+
+  async updateGroupEntry(userId, id, patch) {
+    const { g, e } = await _ownGroupEntry(Number(userId), id);
+    const next = { ...e, ..._groupEntryRecord(g, { ...e, ...patch }), id: e.id };
+    await _put('group_entries', next);
+    return next;
+  },
+
+  async deleteGroupEntry(userId, id) {
+    const { e } = await _ownGroupEntry(Number(userId), id);
+    return _delete('group_entries', e.id);
+  },
+
+  /**
+   * groupBalances — soldes des membres et remboursements proposés :
+   * { group, members: [{ id, name, user_id, paid, share, balance }],
+   *   transfers: [{ from, to, amount }] } (from, to : id de membre)
+   * paid / share : dépenses payées / part des dépenses. balance > 0 :
+   * on lui doit de l'argent (remboursements déjà faits compris).
+   * Calcul en unités entières de la devise : tout tombe juste.
+   */
+  async groupBalances(userId, groupId) {
+    const g    = await _ownGroup(Number(userId), groupId);
+    const unit = 10 ** this.currencyInfo(g.currency).decimals;
+    const acc  = new Map(g.members.map(m => [m.id, { paid: 0, share: 0, balance: 0 }]));
+    (await _groupEntries(g.id)).forEach(e => {
+      const expense = e.kind === 'expense';
+      const payer   = acc.get(e.paid_by);
+      const total   = Math.round(e.amount * unit);
+      payer.balance += total;
+      if (expense) payer.paid += total;
+      Object.entries(e.shares).forEach(([id, v]) => {
+        const m = acc.get(id);
+        const part = Math.round(v * unit);
+        m.balance -= part;
+        if (expense) m.share += part;
+      });
+    });
+    return {
+      group:     g,
+      members:   g.members.map(m => {
+        const a = acc.get(m.id);
+        return { ...m, paid: a.paid / unit, share: a.share / unit, balance: a.balance / unit };
+      }),
+      transfers: _settleUp(g.members.map(m => ({ id: m.id, balance: acc.get(m.id).balance })))
+        .map(t => ({ ...t, amount: t.amount / unit })),
+    };
+  },
+
+  /**
+   * importGroup — groupe d'une sauvegarde : { name, currency,
+   * members: [{ id, name, me }], entries: [...] }. Le membre "me"
+   * devient l'utilisateur, les autres des contacts. Groupe et
+   * opérations écrits en une transaction (une opération invalide
+   * fait tout refuser). → id du groupe
+   */
+  async importGroup(userId, { name, currency, members = [], entries = [] }) {
+    const uid = Number(userId);
+    const g   = await _groupRecord({
+      name, currency, created_by: uid, createdAt: Date.now(),
+      members: members.map(m => ({ id: m.id, name: m.name, user_id: m.me ? uid : null })),
+    });
+    if (!_isMember(g, uid)) throw new Error('Sauvegarde de groupe sans membre « moi ».');
+    const list = entries.map(e => ({ ..._groupEntryRecord(g, e), created_by: uid, ts: Number(e.ts) || Date.now() }));
+
+    return _transaction(['groups', 'group_entries'], tx => {
+      const out = { id: null };
+      const req = tx.objectStore('groups').add(g);
+      req.onsuccess = () => {
+        out.id = req.result;
+        list.forEach(e => tx.objectStore('group_entries').add({ ...e, group_id: req.result }));
+      };
+      return out;
+    }).then(out => out.id);
+  },
+
+  /* ── Statistiques ────────────────────────────────────────── */
+  // Montants convertis en devise de base ; sans taux → ignorés
+  // (periodTotals les compte dans "unconverted")
+  // filter : mêmes filtres que la liste (compte…), facultatif
+  async statsByCategory(userId, period, filter) {
+    const [list, fx] = await Promise.all([this.getExpenses(userId, period, 'Toutes', { filter }), _fx(Number(userId))]);
+    return list.reduce((acc, e) => {
+      const v = _toBase(e, fx);
+      if (v !== null) acc[e.category] = (acc[e.category] || 0) + v;
+      return acc;
+    }, {});
+  },
+
+  async statsByDay(userId, period, filter) {
+    const [list, fx] = await Promise.all([this.getExpenses(userId, period, 'Toutes', { filter }), _fx(Number(userId))]);
+    const map  = {};
+    list.forEach(e => {
+      const v = _toBase(e, fx);
+      if (v !== null) map[e.date] = (map[e.date] || 0) + v;
+    });
+    const dates = Object.keys(map).sort();
+    return {
+      labels: dates.map(d => { const [, m, j] = d.split('-'); return `${j}/${m}`; }),
+      data:   dates.map(d => map[d])
+    };
+  },
+
+  // 12 mois jusqu'au mois en cours — ou jusqu'au mois de fin d'une
+  // plage { from, to } : dépenses et revenus
+  // → { labels, expenses, incomes, data } (data = expenses, compatibilité)
+  async statsByMonth(userId, period, filter) {
+    // Mois de référence : fin de la plage, sinon aujourd'hui
+    const now  = period?.to ? new Date(period.to + 'T00:00:00') : new Date();
+    const MN   = ['Jan','Fév','Mar','Avr','Mai','Jun','Jul','Aoû','Sep','Oct','Nov','Déc'];
+
+    // Générer les 12 derniers mois
+    const keys = Array.from({ length: 12 }, (_, i) => {
+      const d = new Date(now.getFullYear(), now.getMonth() - 11 + i, 1);
+      return `${d.getFullYear()}-${String(d.getMonth() + 1).padStart(2, '0')}`;
+    });
+
+    // Une seule plage de 12 mois par store
+    const bounds = { from: keys[0], to: keys[11] + '\uffff' };
+    const match  = _listFilter(filter);
+    const [allExp, allInc, fx] = await Promise.all([
+      _readUserRange('expenses', userId, bounds, { match }),
+      _readUserRange('incomes',  userId, bounds, { match }),
+      _fx(Number(userId)),
+    ]);
+
+    const sumByMonth = all => {
+      const map = Object.fromEntries(keys.map(k => [k, 0]));
+      all.forEach(x => {
+        const k = String(x.date).slice(0, 7);
+        if (k in map) map[k] += _toBase(x, fx) ?? 0;
+      });
+      return keys.map(k => map[k]);
+    };
+    const expenses = sumByMonth(allExp);
+
+    return {
+      labels:   keys.map(k => { const [y, m] = k.split('-'); return `${MN[+m - 1]} ${y}`; }),
+      expenses,
+      incomes:  sumByMonth(allInc),
+      data:     expenses,
+    };
+  }
+};
+
+/* ── Utilitaires privés ──────────────────────────────────────── */
+function _categoryRecord(userId, { name, color, icon, archived, createdAt }) {
+  const n = String(name ?? '').trim();
+  if (!n)                      throw new Error('Le nom de la catégorie est requis.');
+  if (n.length > 30)           throw new Error('Nom de catégorie trop long (30 max).');
+  if (_sameName(n, 'Toutes'))  throw new Error('Ce nom est réservé.');
+
+  return {
+    user_id:   Number(userId),
+    name:      n,
+    color:     /^#[0-9a-f]{6}$/i.test(color) ? color.toUpperCase() : CATEGORY_FALLBACK_COLOR,
+    icon:      String(icon ?? '').trim().slice(0, 8) || '🏷',
+    archived:  !!archived,
+    createdAt: Number(createdAt) || Date.now(),
+  };
+}
+
+function _sameName(a, b) {
+  return String(a).trim().toLocaleLowerCase('fr') === String(b).trim().toLocaleLowerCase('fr');
+}
+
+async function _ownCategory(uid, id) {
+  const c = await _get('categories', Number(id));
+  if (!c || Number(c.user_id) !== uid) throw new Error('Catégorie introuvable.');
+  return c;
+}
+
+// Refuse une dépense dans une catégorie inconnue ou archivée
+async function _assertCategory(userId, name) {
+  const active = await DB.getCategories(userId);
+  if (!active.some(c => c.name === name)) {
+    throw new Error(`Catégorie inconnue ou archivée : ${name}`);
+  }
+}
+
+// Dans une transaction ouverte sur storeName (et 'outbox') : fromName → toName.
+// track = false : changement venu du serveur, rien à renvoyer.
+// Renvoie { count } rempli au fil du curseur.
+function _reassignCategory(tx, uid, fromName, toName, storeName = 'expenses', track = true) {
+  const out = { count: 0 };
+  const req = tx.objectStore(storeName).openCursor();
+  req.onsuccess = () => {
+    const cur = req.result;
+    if (!cur) return;
+    const e = cur.value;
+    if (Number(e.user_id) === uid && e.category === fromName) {
+      if (track) {
+        const next = _touch({ ...e, category: toName });
+        cur.update(next);
+        _queue(tx, storeName, next);
+      } else {
+        cur.update({ ...e, category: toName });
+      }
+      out.count++;
+    }
+    cur.continue();
+  };
+  return out;
+}
+
+function _recurringRecord(userId, { name, amount, currency, category, hour, minute, freq, interval,
+                                     start, end, paused, last_date, account_id }) {
+  // Mêmes contrôles qu'une dépense, sur la date de début
+  const base = _expenseRecord(userId, { name, amount, currency, category, date: start, hour, minute, account_id });
+  if (!RECURRING_FREQS.includes(freq)) throw new Error('Fréquence invalide.');
+  const n = Math.floor(+interval);
+  if (freq === 'custom' && !(n >= 1 && n <= 366)) throw new Error('Intervalle invalide (1 à 366 jours).');
+  if (end && !_isDate(end)) throw new Error('Date de fin invalide.');
+  if (end && String(end) < base.date) throw new Error('La date de fin précède le début.');
+
+  return {
+    user_id:   base.user_id,
+    name:      base.name,
+    amount:    base.amount,
+    currency:  base.currency,
+    category:  base.category,
+    hour:      base.hour,
+    minute:    base.minute,
+    freq,
+    interval:  freq === 'custom' ? n : 1,
+    start:     base.date,
+    end:       end ? String(end) : null,
+    paused:    !!paused,
+    last_date: last_date || null,   // dernière occurrence générée
+    account_id: base.account_id,
+  };
+}
+
+async function _ownRecurring(uid, id) {
+  const t = await _get('recurring', Number(id));
+  if (!t || Number(t.user_id) !== uid) throw new Error('Récurrence introuvable.');
+  return t;
+}
+
+/**
+ * Dates d'occurrence d'un modèle dans ]after, until] (max = limite).
+ * La n-ième date est calculée depuis le début : une mensualité du 31
+ * tombe le 30 ou le 28/29 sans dériver les mois suivants.
+ */
+function _recurringDates(t, after, until, max = Infinity) {
+  const [y, m, d] = t.start.split('-').map(Number);
+  const dates = [];
+  for (let n = 0; dates.length < max; n++) {
+    let dt;
+    if (t.freq === 'monthly') {
+      const last = new Date(y, m - 1 + n + 1, 0).getDate(); // dernier jour du mois
+      dt = new Date(y, m - 1 + n, Math.min(d, last));
+    } else {
+      const step = t.freq === 'daily' ? 1 : t.freq === 'weekly' ? 7 : t.interval;
+      dt = new Date(y, m - 1, d + n * step);
+    }
+    const ds = _ds(dt);
+    if (ds > until) break;
+    if (!after || ds > after) dates.push(ds);
+  }
+  return dates;
+}
+
+// Dans une transaction ouverte sur storeName : supprime les
+// enregistrements qui vérifient match(record).
+// track : suppressions notées dans l'outbox (ouverte aussi)
+// done(supprimés) : appelé en fin de parcours, dans la transaction
+function _deleteWhere(tx, storeName, match, track = true, done) {
+  const gone = [];
+  const req  = tx.objectStore(storeName).openCursor();
+  req.onsuccess = () => {
+    const cur = req.result;
+    if (!cur) return done?.(gone);
+    if (match(cur.value)) {
+      if (track) _queue(tx, storeName, cur.value, 'delete');
+      gone.push(cur.value);
+      cur.delete();
+    }
+    cur.continue();
+  };
+}
+
+// Première lecture : défauts + catégories présentes dans les dépenses.
+// Vérification et insertion dans la même transaction → pas de doublon
+// si deux lectures arrivent en même temps.
+function _seedCategories(uid) {
+  return _transaction(['categories', 'expenses', 'outbox'], tx => {
+    const out = [];
+    const cats = tx.objectStore('categories');
+    const req  = cats.getAll();
+    req.onsuccess = () => {
+      const existing = req.result.filter(c => Number(c.user_id) === uid);
+      if (existing.length) { out.push(...existing); return; }
+
+      const exp = tx.objectStore('expenses').getAll();
+      exp.onsuccess = () => {
+        const used  = exp.result.filter(e => Number(e.user_id) === uid).map(e => e.category);
+        const extra = [...new Set(used)]
+          .filter(n => n && !DEFAULT_CATEGORIES.some(d => _sameName(d.name, n)))
+          .map(name => ({ name }));
+
+        DEFAULT_CATEGORIES.concat(extra).forEach(d => {
+          const record = _touch(_categoryRecord(uid, d));
+          const add    = cats.add(record);
+          _queue(tx, 'categories', record);
+          add.onsuccess = () => out.push({ ...record, id: add.result });
+        });
+      };
+    };
+    return out;
+  });
+}
+
+// Date 'AAAA-MM-JJ' d'un jour qui existe : 2026-02-30 ou 2026-13-01
+// passent l'expression régulière mais fausseraient tris et périodes
+function _isDate(s) {
+  const m = /^(\d{4})-(\d{2})-(\d{2})$/.exec(String(s ?? ''));
+  if (!m) return false;
+  const d = new Date(0);
+  d.setUTCFullYear(+m[1], +m[2] - 1, +m[3]);
+  return d.getUTCMonth() === +m[2] - 1 && d.getUTCDate() === +m[3];
+}
+
+// Heure (max 23) ou minute (max 59) entière ; absente → 0
+function _clock(value, max, label) {
+  if (value === '' || value == null) return 0;
+  const n = Number(value);
+  if (!Number.isInteger(n) || n < 0 || n > max) throw new Error(`${label} invalide (0 à ${max}).`);
+  return n;
+}
+
+// Validation + normalisation d'une dépense (addExpense, import)
+function _expenseRecord(userId, { name, amount, currency, category, date, hour, minute, ts, notes, recurring_id,
+                                   account_id }) {
+  if (!name?.trim())   throw new Error('Le nom est requis.');
+  if (!(+amount > 0))  throw new Error('Montant invalide (doit être > 0).');
+  if (!date)           throw new Error('La date est requise.');
+  if (!String(category ?? '').trim()) throw new Error('La catégorie est requise.');
+  if (!_isDate(date)) throw new Error('Date invalide (AAAA-MM-JJ).');
+
+  return {
+    // PAS de propriété "id" → autoIncrement la génère
+    user_id:  Number(userId),           // Toujours stocker comme Number
+    name:     String(name).trim(),
+    amount:   parseFloat((+amount).toFixed(2)),
+    currency: _currencyCode(currency),      // devise du montant saisi
+    category: String(category).trim(),
+    date:     String(date),             // 'YYYY-MM-DD'
+    hour:     _clock(hour, 23, 'Heure'),
+    minute:   _clock(minute, 59, 'Minute'),
+    ts:       Number(ts)     || Date.now(), // Pour tri secondaire stable
+    notes:    String(notes ?? '').trim(),   // Note libre (facultative)
+    account_id: _accountId(account_id),     // null : sans compte
+    // Dépense générée par un modèle récurrent
+    ...(recurring_id != null && { recurring_id: Number(recurring_id) }),
+  };
+}
+
+function _incomeRecord(userId, { name, amount, currency, source, date, hour, minute, ts, notes, account_id }) {
+  if (!name?.trim())   throw new Error('Le libellé est requis.');
+  if (!(+amount > 0))  throw new Error('Montant invalide (doit être > 0).');
+  if (!_isDate(date)) throw new Error('Date invalide (AAAA-MM-JJ).');
+
+  return {
+    user_id: Number(userId),
+    name:    String(name).trim(),
+    amount:  parseFloat((+amount).toFixed(2)),
+    currency: _currencyCode(currency),
+    source:  INCOME_SOURCES.some(s => s.name === source) ? source : 'Autre',
+    date:    String(date),
+    hour:    _clock(hour, 23, 'Heure'),
+    minute:  _clock(minute, 59, 'Minute'),
+    ts:      Number(ts)     || Date.now(),
+    notes:   String(notes ?? '').trim(),
+    account_id: _accountId(account_id),
+  };
+}
+
+// Code de devise normalisé ('eur' → 'EUR') ; absent → DEFAULT_CURRENCY
+function _currencyCode(code) {
+  const c = String(code ?? '').trim().toUpperCase();
+  if (!c) return DEFAULT_CURRENCY;
+  if (!/^[A-Z]{3}$/.test(c)) throw new Error('Devise invalide (code à 3 lettres, ex : EUR).');
+  return c;
+}
+
+// Devise de base et taux d'un utilisateur (voir DB.getCurrency).
+// Appelé par chaque total, statistique et alerte de budget : lecture
+// des seuls taux de uid via ix_user_currency
+async function _fx(uid) {
+  const [user, rates] = await Promise.all([_get('users', uid), _userRates(uid)]);
+  return {
+    base:  user?.currency || DEFAULT_CURRENCY,
+    rates: Object.fromEntries(rates.map(r => [r.currency, r.rate])),
+  };
+}
+
+function _userRates(uid) {
+  const id = Number(uid);
+  return openDB().then(db => new Promise((resolve, reject) => {
+    const req = db.transaction('rates', 'readonly')
+                  .objectStore('rates')
+                  .index('ix_user_currency')
+                  .getAll(IDBKeyRange.bound([id, ''], [id, '\uffff']));
+    req.onsuccess = () => resolve(req.result ?? []);
+    req.onerror   = () => reject(req.error);
+  }));
+}
+
+function _toBase(record, fx) {
+  const c = record.currency || DEFAULT_CURRENCY;
+  if (c === fx.base) return +record.amount;
+  const rate = fx.rates[c];
+  return rate > 0 ? +record.amount * rate : null;
+}
+
+// Montant d'une opération dans une devise quelconque, en passant par
+// la devise de base (null : taux manquant)
+function _inCurrency(record, code, fx) {
+  if ((record.currency || DEFAULT_CURRENCY) === code) return +record.amount;
+  const v = _toBase(record, fx);
+  if (v === null || code === fx.base) return v;
+  return fx.rates[code] > 0 ? v / fx.rates[code] : null;
+}
+
+// 10 chiffres significatifs (1 XOF = 0,001524490172 EUR) : l'écart
+// reste négligeable après plusieurs changements de devise de base
+function _roundRate(rate) {
+  return parseFloat((+rate).toPrecision(10));
+}
+
+/* ── Comptes ─────────────────────────────────────────────────── */
+function _accountRecord(userId, { name, kind, currency, opening, archived, createdAt }) {
+  const n = String(name ?? '').trim();
+  if (!n)            throw new Error('Le nom du compte est requis.');
+  if (n.length > 30) throw new Error('Nom de compte trop long (30 max).');
+  if (opening !== '' && opening != null && !Number.isFinite(+opening)) {
+    throw new Error('Solde d\'ouverture invalide.');
+  }
+  const k = ACCOUNT_KINDS.find(x => x.kind === kind) || ACCOUNT_KINDS[ACCOUNT_KINDS.length - 1];
+
+  return {
+    user_id:   Number(userId),
+    name:      n,
+    kind:      k.kind,
+    icon:      k.icon,
+    currency:  _currencyCode(currency),
+    opening:   parseFloat((+opening || 0).toFixed(2)),
+    archived:  !!archived,
+    createdAt: Number(createdAt) || Date.now(),
+  };
+}
+
+// Référence de compte d'une opération : Number, ou null (sans compte)
+function _accountId(id) {
+  if (id == null || id === '') return null;
+  const n = Number(id);
+  if (!Number.isInteger(n) || n <= 0) throw new Error('Compte invalide.');
+  return n;
+}
+
+async function _ownAccount(uid, id) {
+  const a = await _get('accounts', Number(id));
+  if (!a || Number(a.user_id) !== uid) throw new Error('Compte introuvable.');
+  return a;
+}
+
+// Refuse une opération sur un compte inconnu ou archivé (null : permis)
+async function _assertAccount(userId, id) {
+  if (id === null) return;
+  const a = await _get('accounts', id);
+  if (!a || Number(a.user_id) !== Number(userId) || a.archived) {
+    throw new Error('Compte inconnu ou archivé.');
+  }
+}
+
+function _transferRecord(userId, { from_id, to_id, amount, currency, date, hour, minute, ts, notes }) {
+  const from = _accountId(from_id), to = _accountId(to_id);
+  if (from === null || to === null) throw new Error('Choisissez les deux comptes.');
+  if (from === to)    throw new Error('Choisissez deux comptes différents.');
+  if (!(+amount > 0)) throw new Error('Montant invalide (doit être > 0).');
+  if (!_isDate(date)) throw new Error('Date invalide (AAAA-MM-JJ).');
+
+  return {
+    user_id:  Number(userId),
+    from_id:  from,
+    to_id:    to,
+    amount:   parseFloat((+amount).toFixed(2)),
+    currency: _currencyCode(currency),  // celle des deux comptes
+    date:     String(date),
+    hour:     _clock(hour, 23, 'Heure'),
+    minute:   _clock(minute, 59, 'Minute'),
+    ts:       Number(ts)     || Date.now(),
+    notes:    String(notes ?? '').trim(),
+  };
+}
+
+// Dépenses, revenus et virements (kind) de l'utilisateur, ou d'un seul
+// compte, du plus ancien au plus récent
+async function _accountOps(uid, accountId) {
+  const all   = _periodBounds('all');
+  const match = accountId === undefined ? undefined : r => _onAccount(r, accountId);
+  const [exp, inc, tr] = await Promise.all(['expenses', 'incomes', 'transfers']
+    .map(name => _readUserRange(name, uid, all, { match })));
+  return exp.map(e => ({ ...e, kind: 'expense' }))
+    .concat(inc.map(i => ({ ...i, kind: 'income' })), tr.map(t => ({ ...t, kind: 'transfer' })))
+    .sort((a, b) => _byDateDesc(b, a));
+}
+
+// Virement : émis ou reçu par le compte ; opération : rattachée au
+// compte (null : sans compte)
+function _onAccount(r, id) {
+  return 'from_id' in r ? r.from_id === id || r.to_id === id : (r.account_id ?? null) === id;
+}
+
+// Effet d'une opération sur les soldes : [[account_id, ±1], …]
+function _accountMoves(op) {
+  if (op.kind === 'transfer') return [[op.from_id, -1], [op.to_id, 1]];
+  return op.account_id == null ? [] : [[op.account_id, op.kind === 'income' ? 1 : -1]];
+}
+
+async function _accountUsed(uid, id) {
+  const [ops, recurring] = await Promise.all([_accountOps(uid, id), DB.getRecurring(uid)]);
+  return ops.length > 0 || recurring.some(t => t.account_id === id);
+}
+
+/* ── Groupes ─────────────────────────────────────────────────── */
+function _isMember(g, uid) {
+  return g.members.some(m => m.user_id === uid);
+}
+
+async function _ownGroup(uid, id) {
+  const g = await _get('groups', Number(id));
+  if (!g || !_isMember(g, uid)) throw new Error('Groupe introuvable.');
+  return g;
+}
+
+async function _ownGroupEntry(uid, id) {
+  const e = await _get('group_entries', Number(id));
+  if (!e) throw new Error('Opération introuvable.');
+  return { g: await _ownGroup(uid, e.group_id), e };
+}
+
+// Opérations d'un groupe (index ix_group), sans ordre particulier
+function _groupEntries(groupId) {
+  return openDB().then(db => new Promise((resolve, reject) => {
+    const req = db.transaction('group_entries', 'readonly')
+                  .objectStore('group_entries').index('ix_group')
+                  .getAll(IDBKeyRange.only(Number(groupId)));
+    req.onsuccess = () => resolve(req.result ?? []);
+    req.onerror   = () => reject(req.error);
+  }));
+}
+
+// Validation d'un groupe (addGroup, updateGroup, import). Un membre
+// garde son id, référencé par les opérations ; sinon id neuf.
+async function _groupRecord({ name, currency, members, created_by, createdAt }) {
+  const n = String(name ?? '').trim();
+  if (!n)            throw new Error('Le nom du groupe est requis.');
+  if (n.length > 40) throw new Error('Nom de groupe trop long (40 max).');
+
+  const ids  = new Set();
+  const list = (members || []).map(m => {
+    let id = /^[0-9a-f]{8}$/.test(m.id) && !ids.has(m.id) ? m.id : null;
+    while (!id || ids.has(id)) id = _hex(crypto.getRandomValues(new Uint8Array(4)));
+    ids.add(id);
+    return {
+      id,
+      name:    String(m.name ?? '').trim(),
+      user_id: m.user_id == null || m.user_id === '' ? null : Number(m.user_id),
+    };
+  });
+  if (list.length < 2) throw new Error('Un groupe compte au moins deux membres.');
+  if (list.length > GROUP_MEMBERS_MAX) throw new Error(`${GROUP_MEMBERS_MAX} membres au maximum.`);
+
+  const users = await _getAllFromStore('users');
+  list.forEach((m, i) => {
+    const before = list.slice(0, i);
+    if (!m.name)            throw new Error('Chaque membre doit avoir un nom.');
+    if (m.name.length > 30) throw new Error(`Nom trop long : ${m.name} (30 max).`);
+    if (before.some(o => _sameName(o.name, m.name))) throw new Error(`Deux membres s'appellent « ${m.name} ».`);
+    if (m.user_id === null) return;
+    if (!users.some(u => u.id === m.user_id)) throw new Error(`Profil introuvable pour ${m.name}.`);
+    if (before.some(o => o.user_id === m.user_id)) throw new Error(`${m.name} : ce profil est déjà membre.`);
+  });
+
+  return {
+    name:       n,
+    currency:   _currencyCode(currency),
+    members:    list,
+    created_by: Number(created_by) || null,
+    createdAt:  Number(createdAt) || Date.now(),
+  };
+}
+
+// Validation d'une opération de groupe (voir DB.addGroupEntry). Parts
+// calculées en unités entières de la devise : leur somme = le montant.
+function _groupEntryRecord(g, { kind, name, amount, date, paid_by, split, values, from, to, shares }) {
+  const unit  = 10 ** DB.currencyInfo(g.currency).decimals;
+  const total = Math.round(+amount * unit);
+  const ids   = g.members.map(m => m.id);
+  const num   = v => (v / unit).toLocaleString('fr-FR');
+  if (!(total > 0)) throw new Error('Montant invalide (doit être > 0).');
+  if (!_isDate(date)) throw new Error('Date invalide (AAAA-MM-JJ).');
+  const base = { group_id: g.id, amount: total / unit, date: String(date) };
+
+  if (kind === 'settlement') {
+    const src = from ?? paid_by;
+    const dst = to ?? Object.keys(shares || {})[0];
+    if (!ids.includes(src) || !ids.includes(dst)) throw new Error('Membre introuvable dans le groupe.');
+    if (src === dst) throw new Error('Choisissez deux membres différents.');
+    return { ...base, kind, name: String(name ?? '').trim() || 'Remboursement',
+             paid_by: src, split: null, values: null, shares: { [dst]: total / unit } };
+  }
+
+  if (!String(name ?? '').trim())  throw new Error('Le nom est requis.');
+  if (!ids.includes(paid_by))      throw new Error('Indiquez qui a payé.');
+  if (!GROUP_SPLITS.includes(split)) throw new Error('Répartition invalide.');
+  // Participants dans l'ordre des membres ; valeur vide ou 0 → exclu
+  const who  = ids.filter(id => +values?.[id] > 0);
+  const vals = Object.fromEntries(who.map(id => [id, split === 'equal' ? 1 : +values[id]]));
+  if (!who.length) throw new Error('Choisissez au moins un participant.');
+
+  let parts;
+  if (split === 'exact') {
+    parts = who.map(id => Math.round(vals[id] * unit));
+    const sum = parts.reduce((s, v) => s + v, 0);
+    if (sum !== total) throw new Error(`Les parts font ${num(sum)} pour un montant de ${num(total)}.`);
+  } else {
+    const pct = who.reduce((s, id) => s + vals[id], 0);
+    if (split === 'percent' && Math.abs(pct - 100) > 0.01) {
+      throw new Error(`Les pourcentages font ${+pct.toFixed(2)} % au lieu de 100 %.`);
+    }
+    parts = _apportion(total, who.map(id => vals[id]));
+  }
+  return { ...base, kind: 'expense', name: String(name).trim(), paid_by, split, values: vals,
+           shares: Object.fromEntries(who.map((id, i) => [id, parts[i] / unit])) };
+}
+
+// total (entier) réparti au prorata de weights ; les unités restantes
+// vont aux plus grands restes (à égalité : aux premiers)
+function _apportion(total, weights) {
+  const sum   = weights.reduce((s, w) => s + w, 0);
+  const exact = weights.map(w => total * w / sum);
+  const out   = exact.map(Math.floor);
+  let left    = total - out.reduce((s, v) => s + v, 0);
+  exact.map((v, i) => ({ i, rest: v - out[i] }))
+    .sort((a, b) => b.rest - a.rest || a.i - b.i)
+    .forEach(x => { if (left > 0) { out[x.i]++; left--; } });
+  return out;
+}
+
+// Virements qui soldent tous les comptes (soldes en unités entières) :
+// d'abord chaque dette égale à une créance (un virement suffit), puis
+// le plus gros débiteur paie le plus gros créancier. Au plus n − 1
+// virements ; le vrai minimum est un problème combinatoire.
+function _settleUp(balances) {
+  const debtors   = balances.filter(b => b.balance < 0).map(b => ({ id: b.id, left: -b.balance }));
+  const creditors = balances.filter(b => b.balance > 0).map(b => ({ id: b.id, left: b.balance }));
+  const out  = [];
+  const pay  = (d, c, amount) => { out.push({ from: d.id, to: c.id, amount }); d.left -= amount; c.left -= amount; };
+  const open = list => list.filter(x => x.left > 0).sort((a, b) => b.left - a.left);
+
+  debtors.forEach(d => {
+    const c = creditors.find(x => x.left === d.left);
+    if (c) pay(d, c, d.left);
+  });
+  for (let ds = open(debtors), cs = open(creditors); ds.length && cs.length; ds = open(debtors), cs = open(creditors)) {
+    pay(ds[0], cs[0], Math.min(ds[0].left, cs[0].left));
+  }
+  return out;
+}
+
+// Dans une transaction ouverte sur groups et group_entries (deleteUser) :
+// l'utilisateur devient un contact de ses groupes ; un groupe sans
+// autre profil de l'appareil disparaît avec ses opérations
+function _leaveGroups(tx, uid) {
+  const dropped = new Set();
+  const req = tx.objectStore('groups').openCursor();
+  req.onsuccess = () => {
+    const cur = req.result;
+    if (!cur) {
+      if (dropped.size) _deleteWhere(tx, 'group_entries', e => dropped.has(e.group_id), false);
+      return;
+    }
+    const g = cur.value;
+    if (_isMember(g, uid)) {
+      if (g.members.some(m => m.user_id !== null && m.user_id !== uid)) {
+        cur.update({ ...g, members: g.members.map(m => (m.user_id === uid ? { ...m, user_id: null } : m)) });
+      } else {
+        dropped.add(g.id);
+        cur.delete();
+      }
+    }
+    cur.continue();
+  };
+}
+
+// Validation d'une photo (addAttachment, import). Pas de chiffrement ici.
+function _attachmentRecord(userId, expenseId, { blob, thumb, width, height } = {}) {
+  const isImage = b => b instanceof Blob && /^image\//.test(b.type);
+  if (!isImage(blob) || !isImage(thumb)) throw new Error('Image invalide.');
+  if (blob.size > ATTACHMENT_MAX_BYTES) {
+    throw new Error(`Photo trop lourde (${ATTACHMENT_MAX_BYTES / 1024 / 1024} Mo au maximum).`);
+  }
+  return {
+    user_id:    Number(userId),
+    expense_id: Number(expenseId),
+    type:       blob.type,
+    blob,
+    thumb,
+    width:      Number(width)  || 0,
+    height:     Number(height) || 0,
+    size:       blob.size,
+    createdAt:  Date.now(),
+  };
+}
+
+// Photos brutes (éventuellement chiffrées) d'une dépense, ou de toutes
+// les dépenses de l'utilisateur si expenseId est absent
+function _readAttachments(uid, expenseId) {
+  const range = expenseId === undefined
+    ? IDBKeyRange.bound([uid, -Infinity], [uid, Infinity])
+    : IDBKeyRange.only([uid, expenseId]);
+  return openDB().then(db => new Promise((resolve, reject) => {
+    const req = db.transaction('attachments', 'readonly')
+                  .objectStore('attachments').index('ix_user_expense').getAll(range);
+    req.onsuccess = () => resolve((req.result ?? []).sort((a, b) => a.createdAt - b.createdAt || a.id - b.id));
+    req.onerror   = () => reject(req.error);
+  }));
+}
+
+// Première photo (ordre d'ajout) et nombre de photos de chaque dépense
+// expenseIds : Map expense_id → { first, count }, sans les dépenses
+// sans photo. Une lecture d'index par dépense, jamais toute la galerie
+function _readFirstAttachments(uid, expenseIds) {
+  const ids = [...new Set(expenseIds.map(Number))];
+  const out = new Map();
+  if (!ids.length) return Promise.resolve(out);
+  return openDB().then(db => new Promise((resolve, reject) => {
+    const tx    = db.transaction('attachments', 'readonly');
+    const index = tx.objectStore('attachments').index('ix_user_expense');
+    ids.forEach(id => {
+      const range = IDBKeyRange.only([uid, id]);
+      const first = index.openCursor(range);
+      first.onsuccess = () => {
+        const cur = first.result;
+        if (!cur) return;
+        const count = index.count(range);
+        count.onsuccess = () => out.set(id, { first: cur.value, count: count.result });
+      };
+    });
+    tx.oncomplete = () => resolve(out);
+    tx.onerror    = () => reject(tx.error);
+  }));
+}
+
+// Dans une transaction ouverte sur 'attachments' : photos des dépenses
+// expenseIds (toutes celles de l'utilisateur si absent).
+// done() : appelé quand tous les parcours sont finis, dans la transaction
+function _deleteAttachments(tx, uid, expenseIds, done) {
+  const index = tx.objectStore('attachments').index('ix_user_expense');
+  uid = Number(uid);
+  const ranges = expenseIds
+    ? expenseIds.map(id => IDBKeyRange.only([uid, Number(id)]))
+    : [IDBKeyRange.bound([uid, -Infinity], [uid, Infinity])];
+  let pending = ranges.length;
+  if (!pending) return done?.();
+  ranges.forEach(range => {
+    const req = index.openCursor(range);
+    req.onsuccess = () => {
+      const cur = req.result;
+      if (!cur) { if (--pending === 0) done?.(); return; }
+      cur.delete();
+      cur.continue();
+    };
+  });
+}
+
+// Filtres avancés de la liste → prédicat sur un enregistrement (null si aucun)
+// filter : { q, min, max, hourFrom, hourTo, account } — valeurs vides ignorées
+//   q        : mots cherchés dans le nom et la note, sans accents ni casse
+//   min, max : montant, bornes incluses
+//   hourFrom, hourTo : heure, bornes incluses ; 22 → 2 passe minuit
+//   account  : id du compte ('none' : opérations sans compte) ; un
+//              virement passe s'il part de ce compte ou y arrive
+function _listFilter(filter) {
+  if (!filter) return null;
+  const num   = v => (v === '' || v == null || Number.isNaN(+v) ? null : +v);
+  const words = _fold(filter.q ?? '').split(/\s+/).filter(Boolean);
+  const min   = num(filter.min), max = num(filter.max);
+  const h1    = num(filter.hourFrom), h2 = num(filter.hourTo);
+  const acc   = filter.account === 'none' ? null : num(filter.account) ?? undefined;
+  if (!words.length && min === null && max === null && h1 === null && h2 === null && acc === undefined) return null;
+
+  return r => {
+    if (acc !== undefined && !_onAccount(r, acc)) return false;
+    if (min !== null && r.amount < min) return false;
+    if (max !== null && r.amount > max) return false;
+    if (h1 !== null && h2 !== null && h1 > h2) {
+      if (r.hour < h1 && r.hour > h2) return false;
+    } else {
+      if (h1 !== null && r.hour < h1) return false;
+      if (h2 !== null && r.hour > h2) return false;
+    }
+    if (!words.length) return true;
+    const text = _fold(`${r.name ?? ''} ${r.notes ?? ''}`);
+    return words.every(w => text.includes(w));
+  };
+}
+
+// Minuscules sans accents : "Café" → "cafe"
+function _fold(s) {
+  return String(s).normalize('NFD').replace(/[\u0300-\u036f]/g, '').toLocaleLowerCase('fr');
+}
+
+// Période → bornes { from, to } incluses sur 'YYYY-MM-DD'
+// period : nom ('today', 'week'…) ou plage explicite { from, to }
+// '' et '\uffff' encadrent toute date : 'all' garde aussi les dates
+// anciennes mal formées, comme le filtre JS d'avant v11.
+function _periodBounds(period) {
+  if (period && typeof period === 'object') {
+    return { from: period.from || '0000-01-01', to: period.to || '9999-12-31' };
+  }
+  const now   = new Date();
+  const today = _ds(now);
+  switch (period) {
+    case 'today':  return { from: today, to: today };
+    case '3days':  return { from: _ds(new Date(+now - 2 * 864e5)), to: '\uffff' };
+    case 'week': {
+      const dow = now.getDay() || 7; // lundi = 1, dimanche = 7
+      return { from: _ds(new Date(+now - (dow - 1) * 864e5)), to: '\uffff' };
+    }
+    // Préfixe 'YYYY-MM' / 'YYYY' : toutes les dates qui commencent ainsi
+    case 'month':  return { from: today.slice(0, 7), to: today.slice(0, 7) + '\uffff' };
+    case 'year':   return { from: today.slice(0, 4), to: today.slice(0, 4) + '\uffff' };
+    default:       return { from: '', to: '\uffff' }; // 'all'
+  }
+}
+
+// Tri décroissant (plus récent en premier)
+function _byDateDesc(a, b) {
+  return String(b.date).localeCompare(String(a.date)) ||
+    (Number(b.hour)   - Number(a.hour))   ||
+    (Number(b.minute) - Number(a.minute)) ||
+    (Number(b.ts)     - Number(a.ts));
+}
+
+// Date → 'YYYY-MM-DD'
+function _ds(d) {
+  return `${d.getFullYear()}-${String(d.getMonth()+1).padStart(2,'0')}-${String(d.getDate()).padStart(2,'0')}`;
+}
+
+/* ── Synchronisation : format d'échange et fusion ────────────── */
+// Enregistrements de l'utilisateur dans les stores synchronisés,
+// déchiffrés : { categories: [...], …, incomes: [...] }
+async function _syncLocal(uid) {
+  const out = {};
+  for (const name of SYNC_STORES) {
+    out[name] = SEALED_FIELDS[name]
+      ? await _readUserRange(name, uid, _periodBounds('all'))
+      : (await _getAllFromStore(name)).filter(r => Number(r.user_id) === uid);
+  }
+  return out;
+}
+
+// Enregistrement local → données échangées : sans id ni user_id (propres
+// à l'appareil), références par uuid (budget → catégorie, null = global ;
+// dépense → modèle récurrent ; opération, modèle → compte ; virement →
+// ses deux comptes). null : référence perdue.
+function _toWire(storeName, record, local) {
+  const { id, user_id, enc, uuid, updated_at, ...data } = record;
+  const accountUuid = aid => local.accounts.find(a => a.id === aid)?.uuid;
+  if (['expenses', 'incomes', 'recurring'].includes(storeName)) {
+    delete data.account_id;
+    data.account_uuid = record.account_id == null ? null : accountUuid(record.account_id) ?? null;
+  }
+  if (storeName === 'transfers') {
+    delete data.from_id;
+    delete data.to_id;
+    data.from_uuid = accountUuid(record.from_id);
+    data.to_uuid   = accountUuid(record.to_id);
+    if (!data.from_uuid || !data.to_uuid) return null;
+  }
+  if (storeName === 'budgets') {
+    delete data.category_id;
+    data.category_uuid = record.category_id === null
+      ? null
+      : local.categories.find(c => c.id === record.category_id)?.uuid;
+    if (data.category_uuid === undefined) return null;
+  }
+  if (storeName === 'expenses' && record.recurring_id != null) {
+    delete data.recurring_id;
+    data.recurring_uuid = local.recurring.find(t => t.id === record.recurring_id)?.uuid ?? null;
+  }
+  return data;
+}
+
+// Inverse de _toWire, avec les contrôles de saisie habituels.
+// null : référence introuvable sur cet appareil (ignoré)
+function _fromWire(storeName, uid, { uuid, updated_at, data }, local) {
+  const meta = { uuid: String(uuid), updated_at: Number(updated_at) || 0 };
+  // Compte inconnu ici (supprimé ailleurs…) : opération sans compte
+  const account    = u => (u ? local.accounts.find(a => a.uuid === u) : null);
+  const account_id = account(data.account_uuid)?.id ?? null;
+  switch (storeName) {
+    case 'categories': return { ..._categoryRecord(uid, data), ...meta };
+    case 'accounts':   return { ..._accountRecord(uid, data), ...meta };
+    case 'recurring':  return { ..._recurringRecord(uid, { ...data, account_id }), ...meta };
+    case 'incomes':    return { ..._incomeRecord(uid, { ...data, account_id }), ...meta };
+    case 'expenses': {
+      const t = data.recurring_uuid && local.recurring.find(r => r.uuid === data.recurring_uuid);
+      return { ..._expenseRecord(uid, { ...data, recurring_id: t ? t.id : null, account_id }), ...meta };
+    }
+    case 'transfers': {
+      const from = account(data.from_uuid), to = account(data.to_uuid);
+      if (!from || !to) return null;
+      return { ..._transferRecord(uid, { ...data, from_id: from.id, to_id: to.id }), ...meta };
+    }
+    case 'budgets': {
+      const cat = data.category_uuid == null ? null : local.categories.find(c => c.uuid === data.category_uuid);
+      if (cat === undefined || !(+data.limit > 0)) return null;
+      return { user_id: uid, category_id: cat ? cat.id : null, limit: parseFloat((+data.limit).toFixed(2)), ...meta };
+    }
+  }
+  return null;
+}
+
+/**
+ * Applique les changements reçus pour un store, en une transaction.
+ * Même uuid : le plus récent (updated_at) gagne ; égalité → local gardé.
+ * Doublons d'uuid différents (créés hors ligne sur deux appareils) :
+ *   - catégories de même nom : la plus ancienne (createdAt) reste,
+ *     dépenses et budgets de l'autre lui sont rattachés ;
+ *   - budgets d'une même catégorie : le plus récent reste.
+ * Un perdant local est supprimé ET la suppression envoyée : chaque
+ * appareil tranche de la même façon et tous convergent.
+ */
+async function _applyRemote(uid, storeName, changes, key) {
+  const local = await _syncLocal(uid);
+  const mine  = local[storeName].slice(); // état après les changements déjà vus
+  const ops   = [];
+
+  for (const c of changes) {
+    const cur = mine.find(r => r.uuid === c.uuid);
+    if (cur && Number(cur.updated_at) >= Number(c.updated_at)) continue;
+    if (c.deleted) {
+      if (cur) { ops.push({ del: cur }); mine.splice(mine.indexOf(cur), 1); }
+      continue;
+    }
+    let rec;
+    try {
+      rec = _fromWire(storeName, uid, c, local);
+    } catch (err) {
+      console.warn(`Sync : ${storeName} ${c.uuid} ignoré —`, err.message);
+      continue;
+    }
+    if (!rec) continue;
+
+    const rival = _syncRival(storeName, rec, mine);
+    if (rival && _syncKeepsLocal(storeName, rival, rec)) continue;
+    if (rival) { ops.push({ del: rival, track: true }); mine.splice(mine.indexOf(rival), 1); }
+    if (cur) { rec.id = cur.id; mine.splice(mine.indexOf(cur), 1); }
+    mine.push(rec);
+    ops.push({ put: rec, prev: cur, replaces: rival });
+  }
+  if (!ops.length) return 0;
+
+  // Chiffrement avant la transaction (elle ne peut pas attendre)
+  const records = await Promise.all(ops.map(op => (op.put && key ? _seal(storeName, op.put, key) : op.put)));
+  await _transaction([...SYNC_STORES, 'attachments', 'outbox'], tx => {
+    const store = tx.objectStore(storeName);
+    ops.forEach((op, i) => {
+      if (op.del) {
+        store.delete(op.del.id);
+        if (op.track) _queue(tx, storeName, op.del, 'delete');
+        // Dépense supprimée ailleurs : ses photos (locales) aussi
+        if (storeName === 'expenses') _deleteAttachments(tx, uid, [op.del.id]);
+        return;
+      }
+      const req = store.put(records[i]);
+      if (storeName !== 'categories') return;
+      // Renommage distant : ses dépenses arrivent aussi, celles d'ici suivent
+      if (op.prev && op.prev.name !== op.put.name) {
+        _reassignCategory(tx, uid, op.prev.name, op.put.name, 'expenses', false);
+        _reassignCategory(tx, uid, op.prev.name, op.put.name, 'recurring', false);
+      }
+      if (op.replaces) {
+        const loser = op.replaces;
+        if (loser.name !== op.put.name) {
+          _reassignCategory(tx, uid, loser.name, op.put.name);
+          _reassignCategory(tx, uid, loser.name, op.put.name, 'recurring');
+        }
+        req.onsuccess = () => _moveBudgets(tx, uid, loser.id, req.result);
+      }
+    });
+  });
+  return ops.filter(op => !op.track).length;
+}
+
+// Doublon local (autre uuid) d'un enregistrement reçu
+function _syncRival(storeName, rec, mine) {
+  if (storeName === 'categories') return mine.find(c => c.uuid !== rec.uuid && _sameName(c.name, rec.name));
+  if (storeName === 'budgets')    return mine.find(b => b.uuid !== rec.uuid && b.category_id === rec.category_id);
+  return null;
+}
+
+// true : l'enregistrement local l'emporte sur le doublon reçu
+// (à égalité, le plus petit uuid : même choix sur tous les appareils)
+function _syncKeepsLocal(storeName, local, remote) {
+  const d = storeName === 'categories'
+    ? Number(local.createdAt) - Number(remote.createdAt)    // plus ancienne gardée
+    : Number(remote.updated_at) - Number(local.updated_at); // plus récent gardé
+  return d ? d < 0 : local.uuid < remote.uuid;
+}
+
+// Dans une transaction ouverte sur budgets et outbox : budgets de la
+// catégorie fromId rattachés à toId (supprimés si toId en a déjà un)
+function _moveBudgets(tx, uid, fromId, toId) {
+  const store = tx.objectStore('budgets');
+  const req   = store.getAll();
+  req.onsuccess = () => {
+    const mine  = req.result.filter(b => Number(b.user_id) === uid);
+    const taken = mine.some(b => b.category_id === toId);
+    mine.filter(b => b.category_id === fromId).forEach(b => {
+      if (taken) {
+        store.delete(b.id);
+        _queue(tx, 'budgets', b, 'delete');
+      } else {
+        const next = _touch({ ...b, category_id: toId });
+        store.put(next);
+        _queue(tx, 'budgets', next);
+      }
+    });
+  };
+}
+
+/* ── PIN : dérivation, vérification, verrouillage ────────────── */
+function _assertPin(pin) {
+  if (!/^\d{4,6}$/.test(String(pin ?? ''))) throw new Error('Le PIN doit être 4 à 6 chiffres.');
+}
+
+// Champs PIN d'un enregistrement users (sel neuf à chaque appel)
+async function _pinRecord(pin) {
+  const salt = _hex(crypto.getRandomValues(new Uint8Array(16)));
+  return {
+    pinHash:        await _pbkdf2(pin, salt, PIN_ITERATIONS),
+    pinSalt:        salt,
+    pinKdf:         PIN_KDF,
+    pinIterations:  PIN_ITERATIONS,
+    failedAttempts: 0,
+    lockedUntil:    0,
+  };
+}
+
+// Sel de la clé de chiffrement : distinct de pinSalt, sinon pinHash
+// (stocké en clair) serait la clé elle-même
+function _encFields() {
+  return {
+    encSalt:       _hex(crypto.getRandomValues(new Uint8Array(16))),
+    encIterations: PIN_ITERATIONS,
+  };
+}
+
+// Vérifie le PIN d'un enregistrement users et tient le compteur d'échecs.
+// Succès : compteur remis à zéro, hash ancien format remplacé.
+async function _checkPin(user, pin) {
+  const wait = (user.lockedUntil || 0) - Date.now();
+  if (wait > 0) throw new Error(`Trop d'essais. Réessayez dans ${_fmtWait(wait)}.`);
+
+  const ok = user.pinKdf === PIN_KDF
+    ? await _pbkdf2(pin, user.pinSalt, user.pinIterations) === user.pinHash
+    : await _legacyHash(pin) === user.pinHash;
+
+  // Relecture : un autre onglet a pu compter un échec entre-temps
+  const fresh = await _get('users', user.id);
+  if (!ok) {
+    const failed = (fresh.failedAttempts || 0) + 1;
+    const over   = failed - PIN_FREE_TRIES;
+    const lock   = over >= 0 ? Math.min(PIN_LOCK_BASE * 2 ** over, PIN_LOCK_MAX) : 0;
+    await _put('users', { ...fresh, failedAttempts: failed, lockedUntil: lock ? Date.now() + lock : 0 });
+    throw new Error(lock
+      ? `Code PIN incorrect. Réessayez dans ${_fmtWait(lock)}.`
+      : `Code PIN incorrect (${-over} essai${-over > 1 ? 's' : ''} restant${-over > 1 ? 's' : ''}).`);
+  }
+
+  const upgrade = fresh.pinKdf !== PIN_KDF || fresh.pinIterations < PIN_ITERATIONS;
+  if (upgrade || fresh.failedAttempts || fresh.lockedUntil) {
+    await _put('users', {
+      ...fresh,
+      ...(upgrade ? await _pinRecord(pin) : {}),
+      failedAttempts: 0,
+      lockedUntil:    0,
+    });
+  }
+}
+
+async function _pbkdf2(pin, saltHex, iterations) {
+  const key = await crypto.subtle.importKey(
+    'raw', new TextEncoder().encode(String(pin)), 'PBKDF2', false, ['deriveBits']
+  );
+  const bits = await crypto.subtle.deriveBits(
+    { name: 'PBKDF2', hash: 'SHA-256', salt: _unhex(saltHex), iterations }, key, 256
+  );
+  return _hex(new Uint8Array(bits));
+}
+
+/* ── Chiffrement au repos : AES-GCM, clé dérivée du PIN ──────── */
+// Clé de l'utilisateur ; null s'il n'a pas activé le chiffrement
+async function _keyFor(userId) {
+  const uid = Number(userId);
+  if (_keys.has(uid)) return _keys.get(uid);
+  const user = await _get('users', uid);
+  if (user?.encrypted) throw new Error(LOCKED_MSG);
+  return null;
+}
+
+// Champs SEALED_FIELDS remplacés par enc = { iv, data }.
+// key absente → celle de l'utilisateur (aucune : enregistrement inchangé)
+// Photos : image et vignette chiffrées séparément (voir _sealAttachment)
+async function _seal(storeName, record, key) {
+  const fields = SEALED_FIELDS[storeName];
+  if ((!fields && storeName !== 'attachments') || !record) return record;
+  key = key ?? await _keyFor(record.user_id);
+  if (!key) return record;
+  if (!fields) return _sealAttachment(record, key);
+
+  const out = { ...record }, secret = {};
+  fields.forEach(f => { secret[f] = out[f]; delete out[f]; });
+  const iv   = crypto.getRandomValues(new Uint8Array(12));
+  const data = await crypto.subtle.encrypt(
+    { name: 'AES-GCM', iv, additionalData: _aad(storeName, out.user_id) },
+    key, new TextEncoder().encode(JSON.stringify(secret))
+  );
+  out.enc = { iv, data };
+  return out;
+}
+
+async function _unseal(storeName, record, key) {
+  if (!record?.enc || (!SEALED_FIELDS[storeName] && storeName !== 'attachments')) return record;
+  key = key ?? _keys.get(Number(record.user_id));
+  if (!key) throw new Error(LOCKED_MSG);
+  if (storeName === 'attachments') {
+    const { enc, ...rest } = record;
+    return { ...rest, blob: await _openBlob(enc.blob, rest.user_id, key), thumb: await _openBlob(enc.thumb, rest.user_id, key) };
+  }
+
+  const { enc, ...rest } = record;
+  let plain;
+  try {
+    plain = await crypto.subtle.decrypt(
+      { name: 'AES-GCM', iv: enc.iv, additionalData: _aad(storeName, rest.user_id) },
+      key, enc.data
+    );
+  } catch {
+    throw new Error('Déchiffrement impossible (clé incorrecte ou donnée altérée).');
+  }
+  return { ...rest, ...JSON.parse(new TextDecoder().decode(plain)) };
+}
+
+// Photo : blob et thumb remplacés par enc = { blob, thumb }, chacun
+// { iv, data, type } (octets bruts de l'image, pas de JSON)
+async function _sealAttachment(record, key) {
+  const { blob, thumb, ...out } = record;
+  const seal = async b => {
+    const iv   = crypto.getRandomValues(new Uint8Array(12));
+    const data = await crypto.subtle.encrypt(
+      { name: 'AES-GCM', iv, additionalData: _aad('attachments', out.user_id) },
+      key, await b.arrayBuffer()
+    );
+    return { iv, data, type: b.type };
+  };
+  out.enc = { blob: await seal(blob), thumb: await seal(thumb) };
+  return out;
+}
+
+async function _openBlob(part, userId, key) {
+  let plain;
+  try {
+    plain = await crypto.subtle.decrypt(
+      { name: 'AES-GCM', iv: part.iv, additionalData: _aad('attachments', userId) },
+      key, part.data
+    );
+  } catch {
+    throw new Error('Déchiffrement impossible (clé incorrecte ou donnée altérée).');
+  }
+  return new Blob([plain], { type: part.type });
+}
+
+// Vignette seule d'une photo brute (liste : l'image entière n'est pas déchiffrée)
+async function _unsealThumb(record, key) {
+  if (!record.enc) return record.thumb;
+  if (!key) throw new Error(LOCKED_MSG);
+  return _openBlob(record.enc.thumb, record.user_id, key);
+}
+
+// Données associées : un bloc chiffré ne peut pas changer de store ni d'utilisateur
+function _aad(storeName, userId) {
+  return new TextEncoder().encode(`${storeName}|${Number(userId)}`);
+}
+
+async function _deriveKey(pin, saltHex, iterations) {
+  const base = await crypto.subtle.importKey(
+    'raw', new TextEncoder().encode(String(pin)), 'PBKDF2', false, ['deriveKey']
+  );
+  return crypto.subtle.deriveKey(
+    { name: 'PBKDF2', hash: 'SHA-256', salt: _unhex(saltHex), iterations },
+    base, { name: 'AES-GCM', length: 256 }, false, ['encrypt', 'decrypt']
+  );
+}
+
+// Réécrit dépenses, revenus, virements et photos d'un utilisateur avec
+// une nouvelle clé (null → en clair). userPatch est écrit dans la MÊME
+// transaction : le PIN et les données ne peuvent pas se désynchroniser.
+async function _rekey(uid, key, userPatch) {
+  const stores = [...Object.keys(SEALED_FIELDS), 'attachments'];
+  const lists  = await Promise.all(stores.map(s => (s === 'attachments'
+    ? DB.getAllAttachments(uid)
+    : _readUserRange(s, uid, _periodBounds('all')))));
+  const sealed = await Promise.all(lists.map((list, i) =>
+    Promise.all(list.map(r => (key ? _seal(stores[i], r, key) : r)))
+  ));
+  const user = await _get('users', uid);
+  await _transaction(['users', ...stores], tx => {
+    tx.objectStore('users').put({ ...user, ...userPatch });
+    stores.forEach((s, i) => sealed[i].forEach(r => tx.objectStore(s).put(r)));
+  });
+  if (key) _keys.set(uid, key);
+  else     _keys.delete(uid);
+  return sealed.reduce((n, list) => n + list.length, 0);
+}
+
+// Hash des comptes créés avant PBKDF2 (SHA-256, sel global) :
+// ne sert plus qu'à les reconnaître une dernière fois
+function _legacyHash(pin) {
+  return _sha256('bp_v5_salt_' + String(pin));
+}
+
+async function _sha256(text) {
+  const buf = await crypto.subtle.digest('SHA-256', new TextEncoder().encode(text));
+  return _hex(new Uint8Array(buf));
+}
+
+// Taille approximative d'un enregistrement (octets) : JSON UTF-8 +
+// données binaires (iv, blocs chiffrés, photos)
+function _sizeOf(record) {
+  let binary = 0;
+  const json = JSON.stringify(record, (k, v) => {
+    if (ArrayBuffer.isView(v) || Object.prototype.toString.call(v) === '[object ArrayBuffer]') { binary += v.byteLength; return undefined; }
+    if (v instanceof Blob) { binary += v.size; return undefined; }
+    return v;
+  });
+  return new TextEncoder().encode(json).length + binary;
+}
+
+// Sessions non expirées d'un enregistrement users
+function _liveSessions(user) {
+  const now = Date.now();
+  return (user.sessions || []).filter(x => x.expires > now);
+}
+
+function _hex(bytes) {
+  return [...bytes].map(b => b.toString(16).padStart(2, '0')).join('');
+}
+
+function _unhex(hex) {
+  return new Uint8Array(hex.match(/../g).map(h => parseInt(h, 16)));
+}
+
+// Identifiant de synchronisation aléatoire (format UUID v4)
+function _uuid() {
+  if (crypto.randomUUID) return crypto.randomUUID();
+  return _fmtUuid(crypto.getRandomValues(new Uint8Array(16)), 4);
+}
+
+// uuid déterministe : mêmes parties → même uuid sur tous les appareils
+async function _derivedUuid(...parts) {
+  return _fmtUuid(_unhex((await _sha256(parts.join('|'))).slice(0, 32)), 5);
+}
+
+function _fmtUuid(bytes, version) {
+  bytes[6] = (bytes[6] & 0x0f) | (version << 4);
+  bytes[8] = (bytes[8] & 0x3f) | 0x80;
+  const h = _hex(bytes);
+  return `${h.slice(0, 8)}-${h.slice(8, 12)}-${h.slice(12, 16)}-${h.slice(16, 20)}-${h.slice(20)}`;
+}
+
+// Durée d'attente lisible : "45 s", "2 min"
+function _fmtWait(ms) {
+  const sec = Math.ceil(ms / 1000);
+  return sec < 60 ? `${sec} s` : `${Math.ceil(sec / 60)} min`;
 }
\ No newline at end of file
@@ -0,0 +1,136 @@
+/**
+ * insights.js — Analyse du mois : tendances, rythme, anomalies
+ *
+ *   Insights.compare(current, previous)   → [{ category, current, previous, delta, change }]
+ *   Insights.pace({ spent, fixed, from, to, today })
+ *                                         → { elapsed, days, average, projected }
+ *   Insights.unusual(expenses, history, { value })
+ *                                         → [{ expense, amount, typical, ratio }]
+ *   Insights.topNames(expenses, { value }) → [{ name, total, count }]
+ *
+ * Entrées : résultats de DB.statsByCategory / statsByDay (montants déjà
+ * en devise de base) et listes de DB.getExpenses ; value(e) convertit
+ * une dépense en devise de base (null sans taux → ignorée).
+ * Calculs purs, en mémoire : ni DOM ni base de données.
+ */
+'use strict';
+
+const INSIGHT_MIN_SAMPLES  = 5;   // dépenses passées minimum pour juger "inhabituel"
+const INSIGHT_UNUSUAL      = 3;   // inhabituelle : au moins 3 fois le montant typique
+const INSIGHT_CHANGE_FLOOR = 0.1; // variation ignorée sous 10 %
+
+const Insights = {
+
+  /**
+   * compare — évolution par catégorie entre deux périodes
+   * ({ catégorie: montant }). change : ratio (+0.25 = +25 %), null si
+   * la catégorie est nouvelle. Les plus grands écarts d'abord ;
+   * variations de moins de INSIGHT_CHANGE_FLOOR écartées.
+   */
+  compare(current, previous, { limit = 5 } = {}) {
+    const cats = new Set([...Object.keys(current || {}), ...Object.keys(previous || {})]);
+    return [...cats]
+      .map(category => {
+        const cur  = current?.[category]  || 0;
+        const prev = previous?.[category] || 0;
+        return { category, current: cur, previous: prev, delta: cur - prev, change: prev > 0 ? (cur - prev) / prev : null };
+      })
+      .filter(x => x.change === null ? x.current > 0 : Math.abs(x.change) >= INSIGHT_CHANGE_FLOOR)
+      .sort((a, b) => Math.abs(b.delta) - Math.abs(a.delta))
+      .slice(0, limit);
+  },
+
+  /**
+   * pace — moyenne par jour écoulé et total projeté en fin de période.
+   * fixed : part des dépenses récurrentes (loyer, abonnements…) comptée
+   * une fois, pas reportée sur les jours restants : un loyer payé le 1er
+   * ne fait pas croire à 30 loyers.
+   */
+  pace({ spent, fixed = 0, from, to, today = new Date() }) {
+    const days    = _inDays(from, to) + 1;
+    const elapsed = Math.min(days, Math.max(0, _inDays(from, _inDs(today)) + 1));
+    if (!elapsed) return { elapsed, days, average: 0, projected: 0 };
+    const variable = Math.max(0, spent - fixed);
+    return {
+      elapsed,
+      days,
+      average:   spent / elapsed,
+      projected: spent + variable / elapsed * (days - elapsed),
+    };
+  },
+
+  /**
+   * unusual — dépenses de la période bien au-dessus du montant typique
+   * (médiane) de leur catégorie dans history. Catégorie avec moins de
+   * INSIGHT_MIN_SAMPLES dépenses passées : pas d'avis. Les dépenses
+   * récurrentes sont attendues, donc jamais signalées.
+   */
+  unusual(expenses, history, { value = e => +e.amount, limit = 3 } = {}) {
+    const byCat = new Map();
+    history.forEach(e => {
+      const v = value(e);
+      if (v === null || !(v > 0)) return;
+      if (!byCat.has(e.category)) byCat.set(e.category, []);
+      byCat.get(e.category).push(v);
+    });
+    const typical = new Map();
+    byCat.forEach((list, cat) => {
+      if (list.length >= INSIGHT_MIN_SAMPLES) typical.set(cat, _inMedian(list));
+    });
+
+    return expenses
+      .filter(e => !e.recurring_id && typical.has(e.category))
+      .map(e => {
+        const amount = value(e);
+        const t      = typical.get(e.category);
+        return { expense: e, amount, typical: t, ratio: amount === null ? 0 : amount / t };
+      })
+      .filter(x => x.ratio >= INSIGHT_UNUSUAL)
+      .sort((a, b) => b.ratio - a.ratio)
+      .slice(0, limit);
+  },
+
+  /**
+   * topNames — désignations (marchands, personnes…) où part le plus
+   * d'argent. "Taxi " et "taxi" sont regroupés ; le nom affiché est la
+   * graphie la plus récente.
+   */
+  topNames(expenses, { value = e => +e.amount, limit = 5 } = {}) {
+    const map = new Map();
+    expenses.slice().sort((a, b) => String(a.date).localeCompare(String(b.date))).forEach(e => {
+      const key = _inKey(e.name);
+      const v   = value(e);
+      if (!key || v === null) return;
+      const cur = map.get(key) || { name: '', total: 0, count: 0 };
+      cur.name   = String(e.name).trim();
+      cur.total += v;
+      cur.count += 1;
+      map.set(key, cur);
+    });
+    return [...map.values()]
+      .sort((a, b) => b.total - a.total || b.count - a.count)
+      .slice(0, limit);
+  },
+};
+
+/* ── Utilitaires privés ──────────────────────────────────────── */
+function _inKey(name) {
+  return String(name ?? '').normalize('NFD').replace(/[\u0300-\u036f]/g, '')
+    .toLocaleLowerCase('fr').replace(/\s+/g, ' ').trim();
+}
+
+function _inMedian(list) {
+  const s = list.slice().sort((a, b) => a - b);
+  const m = Math.floor(s.length / 2);
+  return s.length % 2 ? s[m] : (s[m - 1] + s[m]) / 2;
+}
+
+// Jours entre deux dates "AAAA-MM-JJ" (UTC : pas de décalage d'heure d'été)
+function _inDays(from, to) {
+  const t = s => { const [y, m, d] = String(s).split('-').map(Number); return Date.UTC(y, m - 1, d); };
+  return Math.round((t(to) - t(from)) / 86400000);
+}
+
+function _inDs(d) {
+  return `${d.getFullYear()}-${String(d.getMonth() + 1).padStart(2, '0')}-${String(d.getDate()).padStart(2, '0')}`;
+}
@@ -0,0 +1,385 @@
+/**
+ * momo.js — Import des SMS et relevés Mobile Money
+ *
+ *   MoMo.parseText(sms, { today })   → { rows, unknown }
+ *   MoMo.parseCSV(text, { today })   → { rows, unknown }
+ *   MoMo.markDuplicates(rows, existing)
+ *   MoMo.accountFor('Wave', accounts) → compte « Wave » ou null
+ *
+ * Une ligne (row) :
+ *   { operator, type, kind, amount, fee, currency, counterparty, name,
+ *     date, hour, minute, ref, guessedDate, raw }
+ *   type : 'transfer' | 'payment' | 'airtime' | 'withdrawal' | 'deposit' | 'received'
+ *   kind : 'expense' ou 'income' (sens de l'argent pour le porte-monnaie)
+ *   currency : null pour le franc CFA écrit "F" / "FCFA" (devise du
+ *   compte ou de base, comme la saisie rapide)
+ * unknown : messages ou lignes non reconnus, montrés tels quels.
+ *
+ * Parseurs (MOMO_PARSERS) : un par opérateur, reconnu à son nom dans le
+ * texte (match). Ses règles (rules) passent avant les formulations
+ * communes (MOMO_RULES). MoMo.register({ id, name, match, rules })
+ * en ajoute un : rules = [{ type, re }], re avec {AMOUNT} et {WHO}.
+ * Aucune dépendance au DOM ni à la base : rien ne quitte le téléphone.
+ */
+'use strict';
+
+// Montant : "5000", "5 000", "5.000", "12,50", devise avant ou après
+const MOMO_CUR    = 'F\\s?CFA|CFA|XOF|XAF|GNF|GHS|NGN|EUR|USD|F(?![a-z])';
+const MOMO_AMOUNT = `(?:(?<pre>XOF|XAF|GNF|GHS|NGN|EUR|USD)\\s*)?(?<amount>\\d{1,3}(?:[ .,\\u00a0\\u202f]\\d{3})+(?:[.,]\\d{1,2})?|\\d+(?:[.,]\\d{1,2})?)\\s*(?<cur>${MOMO_CUR})?`;
+// Contrepartie : jusqu'au point, à la virgule, à la date ou au statut
+const MOMO_WHO    = '(?<who>[^.,;\\n]+?(?:\\([^)]*\\))?)(?=\\s*(?:[.,;\\n]|$|\\s+le\\s+\\d|\\s+(?:a|à)\\s+\\d|\\s+on\\s+\\d|\\s+(?:r[eé]ussi|effectu[eé]|a\\s+[eé]t[eé]|est\\s|successful)))';
+
+// Formulations communes (français d'abord, puis anglais) ; la première
+// qui correspond l'emporte : "transfert reçu" avant "transfert"
+const MOMO_RULES = [
+  { type: 'received',   re: '(?:vous avez re[cç]u(?: un transfert(?: d\'argent)?)?(?: de)?|transfert re[cç]u(?: de)?|r[eé]ception(?: d\'un transfert)? de)\\s*{AMOUNT}\\s*(?:de la part de|de|du|depuis)\\s+(?:le\\s+)?{WHO}' },
+  { type: 'airtime',    re: '(?:achat de (?:cr[eé]dit|forfait|pass)|recharge(?:ment)?(?: de cr[eé]dit)?|airtime)[^\\d]{0,25}{AMOUNT}' },
+  { type: 'transfer',   re: '(?:vous avez (?:envoy[eé]|transf[eé]r[eé])|transfert(?: d\'argent)? de|envoi(?: d\'argent)? de)\\s*{AMOUNT}\\s*(?:vers|à|a|au|pour)\\s+(?:le\\s+)?{WHO}' },
+  { type: 'payment',    re: '(?:vous avez pay[eé]|(?:votre )?paiement(?: marchand)?(?: de)?|achat de|facture de)\\s*{AMOUNT}\\s*(?:à|a|au|chez|pour|aupr[eè]s de)\\s+(?:la\\s+|le\\s+)?{WHO}' },
+  { type: 'withdrawal', re: '(?:retrait(?: d\'argent)?(?: de)?|vous avez retir[eé])\\s*{AMOUNT}' },
+  { type: 'deposit',    re: '(?:d[eé]p[oô]t(?: d\'argent)?(?: de)?|vous avez d[eé]pos[eé])\\s*{AMOUNT}' },
+  { type: 'received',   re: 'you have received\\s*{AMOUNT}\\s*from\\s+{WHO}' },
+  { type: 'transfer',   re: 'you have (?:sent|transferred)\\s*{AMOUNT}\\s*to\\s+{WHO}' },
+  { type: 'payment',    re: 'payment (?:made )?(?:of|for)\\s*{AMOUNT}\\s*to\\s+{WHO}' },
+  { type: 'withdrawal', re: '(?:cash ?out|withdrawal) of\\s*{AMOUNT}' },
+];
+
+// Opérateurs courants ; rules : formulations propres (facultatif)
+const MOMO_PARSERS = [
+  { id: 'orange', name: 'Orange Money', match: /orange\s*money|\bOM\b|#144/i, rules: [] },
+  { id: 'mtn',    name: 'MTN MoMo',     match: /\bMTN\b|\bmomo\b|y'?ello/i, rules: [
+    // "Y'ello! Transaction de 5000 FCFA vers JEAN (225…) reussie"
+    { type: 'transfer', re: 'transaction de\\s*{AMOUNT}\\s*vers\\s+{WHO}' },
+  ] },
+  { id: 'wave',   name: 'Wave',         match: /\bwave\b/i, rules: [] },
+  { id: 'moov',   name: 'Moov Money',   match: /\bmoov\b|flooz/i, rules: [] },
+];
+const MOMO_OTHER = 'Mobile Money'; // opérateur non nommé dans le texte
+
+// Désignation par défaut quand la contrepartie manque
+const MOMO_TYPE_LABELS = {
+  transfer:   'Transfert envoyé',
+  payment:    'Paiement',
+  airtime:    'Crédit téléphone',
+  withdrawal: 'Retrait',
+  deposit:    'Dépôt',
+  received:   'Transfert reçu',
+};
+const MOMO_INCOME_TYPES = ['received', 'deposit'];
+
+// Début d'un nouveau SMS quand plusieurs sont collés sans ligne vide
+const MOMO_START = /^(?:y'?ello\b|vous avez|votre|transfert|transaction|paiement|retrait|d[eé]p[oô]t|achat|recharge|envoi|r[eé]ception|you have|payment|cash)/i;
+
+// En-têtes de relevé CSV reconnus (minuscules sans accents)
+const MOMO_CSV_COLUMNS = {
+  date:   ['date', 'date operation', 'date de l\'operation', 'date transaction', 'date de transaction', 'date/heure', 'horodatage', 'datetime'],
+  time:   ['heure', 'time', 'heure operation'],
+  amount: ['montant', 'amount', 'valeur', 'montant (fcfa)', 'montant transaction'],
+  debit:  ['debit', 'sortie', 'montant debit', 'debit (fcfa)'],
+  credit: ['credit', 'entree', 'montant credit', 'credit (fcfa)'],
+  fee:    ['frais', 'fees', 'fee', 'commission', 'frais (fcfa)'],
+  type:   ['type', 'type operation', 'type d\'operation', 'operation', 'nature', 'transaction type', 'service'],
+  who:    ['beneficiaire', 'contrepartie', 'destinataire', 'expediteur', 'correspondant', 'partenaire', 'marchand',
+           'nom', 'counterparty', 'description', 'libelle', 'details', 'motif'],
+  ref:    ['reference', 'ref', 'id', 'id transaction', 'transaction id', 'numero de transaction', 'n° transaction'],
+  status: ['statut', 'status', 'etat'],
+};
+
+const MoMo = {
+
+  parsers: MOMO_PARSERS,
+
+  /**
+   * register — ajoute un opérateur (ou complète un existant, même id) :
+   * { id, name, match: RegExp, rules: [{ type, re }] }
+   */
+  register(parser) {
+    const old = MOMO_PARSERS.findIndex(p => p.id === parser.id);
+    if (old >= 0) MOMO_PARSERS.splice(old, 1, parser);
+    else          MOMO_PARSERS.push(parser);
+  },
+
+  /**
+   * parseText — SMS collés (un ou plusieurs, séparés par une ligne vide
+   * ou par le début d'un nouveau message). today : date à défaut de
+   * date dans le SMS (guessedDate: true)
+   */
+  parseText(text, { today = new Date() } = {}) {
+    const rows = [], unknown = [];
+    _mmSplit(text).forEach(msg => {
+      const row = _mmParseSMS(msg, today);
+      if (row) rows.push(row);
+      else     unknown.push(msg);
+    });
+    return { rows, unknown };
+  },
+
+  /**
+   * parseCSV — relevé exporté par l'opérateur (";", "," ou tabulation).
+   * Colonnes reconnues par leur en-tête (MOMO_CSV_COLUMNS) ; sens de
+   * l'argent : colonnes débit / crédit, signe du montant ou type
+   * d'opération. Lignes échouées ou annulées (statut) ignorées.
+   */
+  parseCSV(text, { today = new Date() } = {}) {
+    const lines = _mmCSVRows(String(text ?? '').replace(/^\uFEFF/, '')).filter(r => r.some(c => c.trim()));
+    if (!lines.length) throw new Error('Relevé vide.');
+    const col = _mmColumns(lines[0]);
+    if (col.date < 0 || (col.amount < 0 && col.debit < 0 && col.credit < 0)) {
+      throw new Error('Relevé non reconnu : colonnes « date » et « montant » (ou débit / crédit) attendues.');
+    }
+    const operator = MOMO_PARSERS.find(p => p.match.test(text))?.name ?? MOMO_OTHER;
+    const cell = (r, c) => (col[c] >= 0 ? String(r[col[c]] ?? '').trim() : '');
+    const rows = [], unknown = [];
+
+    lines.slice(1).forEach((r, i) => {
+      const raw = r.join(' · ');
+      if (/[eé]chou|annul|failed|cancel|rejet/i.test(cell(r, 'status'))) return;
+      const when  = _mmDate(cell(r, 'date'), today);
+      const time  = _mmTime(cell(r, 'time')) || _mmTime(cell(r, 'date').replace(/^\d{4}-\d{2}-\d{2}|^\d{1,2}[/.-]\d{1,2}[/.-]\d{2,4}/, ''));
+      const debit = _mmAmount(cell(r, 'debit')), credit = _mmAmount(cell(r, 'credit'));
+      let amount  = _mmAmount(cell(r, 'amount'));
+      const label = `${cell(r, 'type')} ${cell(r, 'who')}`;
+      let type    = _mmTypeOf(label);
+      if (debit)       { amount = debit;  if (MOMO_INCOME_TYPES.includes(type)) type = 'transfer'; }
+      else if (credit) { amount = credit; if (!MOMO_INCOME_TYPES.includes(type)) type = 'received'; }
+      else if (amount < 0 && MOMO_INCOME_TYPES.includes(type)) type = 'transfer';
+      if (!when || when.guessed || !amount) {
+        unknown.push(`Ligne ${i + 2} : ${raw}`);
+        return;
+      }
+      const who = _mmWho(cell(r, 'who'));
+      rows.push(_mmRow({
+        operator, type, amount: Math.abs(amount), fee: Math.abs(_mmAmount(cell(r, 'fee')) || 0),
+        currency: null, counterparty: who, date: when.date, time, ref: cell(r, 'ref') || null,
+        guessedDate: false, raw,
+      }));
+    });
+    return { rows, unknown };
+  },
+
+  /**
+   * markDuplicates — row.duplicate : 'existing' (déjà saisie : même
+   * référence dans la note, ou même sens, date et montant, frais compris
+   * ou non, et même heure si connue) ou 'batch' (collée deux fois).
+   * existing : [{ kind, date, hour, amount, notes }]. Chaque opération
+   * existante n'absorbe qu'une ligne : deux taxis du même prix le même
+   * jour restent deux dépenses.
+   */
+  markDuplicates(rows, existing) {
+    const used = new Set();
+    const seen = [];
+    rows.forEach(r => {
+      r.duplicate = null;
+      if (seen.some(s => (r.ref && s.ref === r.ref) || s.raw === r.raw)) {
+        r.duplicate = 'batch';
+        return;
+      }
+      seen.push(r);
+      const i = existing.findIndex((e, i) => !used.has(i) && (
+        (r.ref && String(e.notes ?? '').includes(r.ref)) ||
+        (e.kind === r.kind && e.date === r.date
+          && (+e.amount === r.amount || +e.amount === _mmRound(r.amount + r.fee))
+          && (r.hour === null || +e.hour === r.hour))));
+      if (i >= 0) { used.add(i); r.duplicate = 'existing'; }
+    });
+    return rows;
+  },
+
+  // Compte dont le nom évoque l'opérateur ("Orange Money" → "Orange",
+  // "Mon OM"…) ou null
+  accountFor(operator, accounts) {
+    const parser = MOMO_PARSERS.find(p => p.name === operator);
+    if (!parser) return null;
+    const word = _mmFold(parser.name).split(' ')[0];
+    return accounts.find(a => _mmFold(a.name).includes(word) || parser.match.test(a.name)) || null;
+  },
+};
+
+/* ── Utilitaires privés ──────────────────────────────────────── */
+// Un message par bloc : ligne vide, ou ligne qui commence un nouveau SMS
+function _mmSplit(text) {
+  const blocks = [];
+  let cur = [];
+  const flush = () => { if (cur.length) blocks.push(cur.join(' ')); cur = []; };
+  String(text ?? '').split(/\r?\n/).forEach(line => {
+    const l = line.trim();
+    if (!l) return flush();
+    if (cur.length && MOMO_START.test(l)) flush();
+    cur.push(l);
+  });
+  flush();
+  return blocks;
+}
+
+function _mmParseSMS(msg, today) {
+  const text     = msg.replace(/[\u00a0\u202f]/g, ' ');
+  const parser   = MOMO_PARSERS.find(p => p.match.test(text));
+  const specific = parser ? parser.rules || [] : MOMO_PARSERS.flatMap(p => p.rules || []);
+  for (const rule of specific.concat(MOMO_RULES)) {
+    const m = _mmRegex(rule.re).exec(text);
+    if (!m) continue;
+    const amount = _mmAmount(m.groups.amount);
+    if (!(amount > 0)) continue;
+    const when = _mmDate(text, today);
+    return _mmRow({
+      operator:     parser?.name ?? MOMO_OTHER,
+      type:         rule.type,
+      amount,
+      fee:          _mmFee(text),
+      currency:     _mmCurrency(m.groups.pre || m.groups.cur),
+      counterparty: _mmWho(m.groups.who),
+      date:         when.date,
+      time:         _mmTime(text.slice(when.index ?? 0)) || _mmTime(text),
+      ref:          _mmRef(text),
+      guessedDate:  when.guessed,
+      raw:          msg,
+    });
+  }
+  return null;
+}
+
+function _mmRow({ time, ...r }) {
+  return {
+    ...r,
+    kind:   MOMO_INCOME_TYPES.includes(r.type) ? 'income' : 'expense',
+    name:   r.counterparty || MOMO_TYPE_LABELS[r.type],
+    hour:   time ? time.hour : null,
+    minute: time ? time.minute : null,
+    duplicate: null,
+  };
+}
+
+const _mmCache = new Map();
+function _mmRegex(src) {
+  if (!_mmCache.has(src)) {
+    _mmCache.set(src, new RegExp(src.replace('{AMOUNT}', MOMO_AMOUNT).replace('{WHO}', MOMO_WHO), 'i'));
+  }
+  return _mmCache.get(src);
+}
+
+// "5 000" · "5.000" · "5,000" → 5000 ; "12,50" → 12.5 ; "-1500" → -1500
+function _mmAmount(s) {
+  let v = String(s ?? '').replace(/[\s\u00a0\u202f]/g, '').replace(/[^\d.,-]/g, '');
+  if (!/\d/.test(v)) return 0;
+  const neg = v.startsWith('-');
+  v = v.replace(/-/g, '');
+  if (/^\d{1,3}([.,]\d{3})+$/.test(v))   v = v.replace(/[.,]/g, '');          // séparateurs de milliers
+  else if (/[.,]\d{3}[.,]\d{1,2}$/.test(v)) v = v.replace(/[.,](?=\d{3})/g, '').replace(',', '.');
+  else                                    v = v.replace(',', '.');
+  const n = parseFloat(v);
+  return Number.isFinite(n) ? _mmRound(neg ? -n : n) : 0;
+}
+
+function _mmRound(n) { return parseFloat(n.toFixed(2)); }
+
+function _mmCurrency(code) {
+  const c = String(code ?? '').replace(/\s/g, '').toUpperCase();
+  return !c || c === 'F' || c === 'FCFA' || c === 'CFA' ? null : c;
+}
+
+function _mmFee(text) {
+  const m = _mmRegex('(?:frais(?: de (?:transfert|retrait|service))?|commission|fees?(?: charged| paid)?)\\s*[:=]?\\s*{AMOUNT}').exec(text);
+  return m ? Math.abs(_mmAmount(m.groups.amount)) : 0;
+}
+
+function _mmRef(text) {
+  const m = /(?:r[eé]f(?:[eé]rence)?|id(?: de (?:la )?transaction)?|trans(?:action)?\s?id|txn\s?id|financial transaction id)\s*[:.#]?\s*([A-Z0-9][A-Z0-9.\-_/]{4,})/i.exec(text);
+  return m ? m[1].replace(/[.]+$/, '') : null;
+}
+
+// "0707070707 (KOUASSI AMAN)" → "Kouassi Aman" ; "JEAN (2250505…)" → "Jean"
+function _mmWho(s) {
+  let who = String(s ?? '').trim().replace(/^(?:le|la|l'|l’)\s*/i, '').replace(/^agent\s+/i, '');
+  const paren = /^(.*?)\s*\(([^)]*)\)\s*$/.exec(who);
+  if (paren) {
+    const outside = paren[1].trim(), inside = paren[2].trim();
+    const phone   = v => /^[+\d\s]*$/.test(v);
+    who = phone(outside) && inside && !phone(inside) ? inside : outside || inside;
+  }
+  who = who.replace(/\s+/g, ' ').trim();
+  // Nom en capitales (SMS) → "Kouassi Aman" ; sigle d'un seul mot gardé (CIE, SODECI)
+  if (/[A-Z]{2}/.test(who) && who === who.toUpperCase() && (who.includes(' ') || who.length > 6)) {
+    who = who.toLowerCase().replace(/(^|[\s'-])(\p{L})/gu, (m, sep, c) => sep + c.toUpperCase());
+  }
+  return who || null;
+}
+
+// Type d'opération d'après un libellé de relevé
+function _mmTypeOf(label) {
+  const l = _mmFold(label);
+  if (/retrait|cash ?out|withdraw/.test(l))                              return 'withdrawal';
+  if (/depot|cash ?in|deposit/.test(l))                                  return 'deposit';
+  if (/recu|reception|received|credit recu|entrant|incoming/.test(l))    return 'received';
+  if (/credit tel|credit d'appel|recharge|airtime|forfait|pass /.test(l)) return 'airtime';
+  if (/paiement|achat|payment|marchand|merchant|facture|bill/.test(l))   return 'payment';
+  return 'transfer';
+}
+
+// Première date du texte (JJ/MM/AAAA, JJ-MM-AA, AAAA-MM-JJ) ; aucune →
+// today, signalée (guessed) pour vérification
+function _mmDate(text, today) {
+  const s = String(text ?? '');
+  let m = /(\d{4})-(\d{2})-(\d{2})/.exec(s);
+  let y, mo, d;
+  if (m) [y, mo, d] = [+m[1], +m[2], +m[3]];
+  else if ((m = /(\d{1,2})[/.-](\d{1,2})[/.-](\d{4}|\d{2})(?!\d)/.exec(s))) {
+    [d, mo, y] = [+m[1], +m[2], m[3].length === 2 ? 2000 + +m[3] : +m[3]];
+  }
+  const dt = m && new Date(y, mo - 1, d);
+  if (dt && dt.getFullYear() === y && dt.getMonth() === mo - 1 && dt.getDate() === d) {
+    return { date: _mmDs(dt), index: m.index, guessed: false };
+  }
+  return { date: _mmDs(today), index: null, guessed: true };
+}
+
+// "14:32", "14:32:10", "14h32" → { hour, minute } ou null
+function _mmTime(text) {
+  const m = /(?:^|[^\d])(\d{1,2})\s?[:hH]\s?(\d{2})(?::\d{2})?(?!\d)/.exec(String(text ?? ''));
+  if (!m || +m[1] > 23 || +m[2] > 59) return null;
+  return { hour: +m[1], minute: +m[2] };
+}
+
+function _mmDs(d) {
+  return `${d.getFullYear()}-${String(d.getMonth() + 1).padStart(2, '0')}-${String(d.getDate()).padStart(2, '0')}`;
+}
+
+function _mmFold(s) {
+  return String(s ?? '').normalize('NFD').replace(/[\u0300-\u036f]/g, '').toLowerCase().trim();
+}
+
+// Colonne de chaque champ : en-tête exact d'abord, puis en-tête qui
+// commence par un alias ("Montant (FCFA)")
+function _mmColumns(header) {
+  const head = header.map(_mmFold);
+  const col  = {};
+  const free = i => !Object.values(col).includes(i);
+  Object.entries(MOMO_CSV_COLUMNS).forEach(([field, aliases]) => {
+    col[field] = head.findIndex((h, i) => free(i) && aliases.includes(h));
+  });
+  Object.entries(MOMO_CSV_COLUMNS).forEach(([field, aliases]) => {
+    if (col[field] < 0) col[field] = head.findIndex((h, i) => free(i) && aliases.some(a => h.startsWith(a + ' ')));
+  });
+  return col;
+}
+
+// Découpe CSV : séparateur le plus fréquent de l'en-tête, guillemets doublés
+function _mmCSVRows(text) {
+  const first = text.split('\n')[0];
+  const sep   = [';', '\t', ','].map(c => [c, first.split(c).length]).sort((a, b) => b[1] - a[1])[0][0];
+  const rows  = [];
+  let row = [], cell = '', quoted = false;
+  for (let i = 0; i < text.length; i++) {
+    const ch = text[i];
+    if (quoted) {
+      if (ch === '"' && text[i + 1] === '"') { cell += '"'; i++; }
+      else if (ch === '"') quoted = false;
+      else cell += ch;
+    } else if (ch === '"') quoted = true;
+    else if (ch === sep)   { row.push(cell); cell = ''; }
+    else if (ch === '\n')  { row.push(cell); rows.push(row); row = []; cell = ''; }
+    else if (ch !== '\r')  cell += ch;
+  }
+  row.push(cell);
+  rows.push(row);
+  return rows;
+}
@@ -0,0 +1,219 @@
+/**
+ * quickadd.js — Saisie rapide : une phrase → champs d'une dépense
+ *
+ *   QuickAdd.parse('taxi 1500 hier 18h', { categories, today })
+ *   → { name: 'Taxi', amount: 1500, currency: null, category: null,
+ *       date: '2026-10-18', hour: 18, minute: 0 }
+ *
+ * Reconnaît, dans n'importe quel ordre :
+ *   - montant  : 1500 · 1 500 · 1.500 · 1.500.000 · 2,5k · 3 mille · 1500f / fcfa / francs
+ *                (plusieurs nombres : celui avec devise ou unité, sinon le dernier)
+ *   - devise   : 12,50 € · $20 · 20 dollars · 5000 naira · 30 eur
+ *                (francs CFA : devise du formulaire, currency null)
+ *   - date     : aujourd'hui, hier, avant-hier, lundi… (le dernier),
+ *                il y a 3 jours, 12/10, 12/10/2026, le 12
+ *   - heure    : 18h · 18h30 · 18:30 · 18 h 30 · 18 heures · midi · minuit
+ *   - catégorie: nom d'une catégorie de l'utilisateur (sans accents ni casse)
+ * Le reste forme la désignation. Champ non reconnu → null (le formulaire
+ * garde sa valeur). Aucune dépendance au DOM ni à la base : la même
+ * phrase et le même "today" donnent toujours le même résultat.
+ */
+'use strict';
+
+const QUICK_WEEKDAYS = ['dimanche', 'lundi', 'mardi', 'mercredi', 'jeudi', 'vendredi', 'samedi'];
+// Devise écrite avec le montant → code (null : devise du formulaire)
+const QUICK_CURRENCY = {
+  f: null, fr: null, frs: null, fcfa: null, cfa: null, franc: null, francs: null,
+  xof: 'XOF', xaf: 'XAF',
+  eur: 'EUR', euro: 'EUR', euros: 'EUR', '€': 'EUR',
+  usd: 'USD', dollar: 'USD', dollars: 'USD', '$': 'USD',
+  ngn: 'NGN', naira: 'NGN', nairas: 'NGN', '₦': 'NGN',
+};
+// Nombre avec devise collée facultative : "1500", "1.500", "$20", "2,5k", "1500f"
+const QUICK_SUFFIX   = 'f|fr|frs|f\\.?cfa|cfa|xof|xaf|eur|usd|ngn|€|\\$|₦';
+const QUICK_NUMBER   = new RegExp(`^([€$₦])?(\\d{1,3}(?:\\.\\d{3})+(?:,\\d+)?|\\d+(?:[.,]\\d+)?)(k)?(${QUICK_SUFFIX})?$`);
+const QUICK_GROUP    = new RegExp(`^(\\d{3})(${QUICK_SUFFIX})?$`); // "500" ou "500f" après "1"
+// Mots de liaison retirés de la désignation quand ils précèdent un
+// élément reconnu ("à 18h", "pour 1500", "le 12") ou la terminent
+const QUICK_LINKS    = ['a', 'à', 'le', 'la', 'les', 'pour', 'de', 'du', 'des', 'en', 'et', 'vers', 'ce', 'cet', 'cette', 'il', 'y', 'au'];
+
+const QuickAdd = {
+
+  /**
+   * parse — text : phrase tapée ou dictée
+   * options.categories : noms des catégories proposées
+   * options.today      : Date de référence (défaut : maintenant)
+   * → { name, amount, currency, category, date, hour, minute } (null si absent)
+   */
+  parse(text, { categories = [], today = new Date() } = {}) {
+    const words = String(text ?? '').trim().split(/\s+/).filter(Boolean);
+    const keys  = words.map(_qaFold);
+    const used  = new Array(words.length).fill(false);
+    const out   = { name: null, amount: null, currency: null, category: null, date: null, hour: null, minute: null };
+
+    // Catégorie d'abord : ses mots ne doivent pas finir dans la désignation
+    out.category = _qaCategory(keys, used, categories);
+    const time = _qaTime(keys, used);
+    if (time) { out.hour = time.hour; out.minute = time.minute; }
+    out.date   = _qaDate(keys, used, today);
+    const amount = _qaAmount(keys, used);
+    if (amount) { out.amount = amount.value; out.currency = amount.currency; }
+
+    // Liaisons devant un élément reconnu, puis en bordure de la désignation
+    for (let i = words.length - 1; i > 0; i--) {
+      if (used[i] && !used[i - 1] && QUICK_LINKS.includes(keys[i - 1])) used[i - 1] = true;
+    }
+    const rest = words.filter((w, i) => !used[i]);
+    while (rest.length && QUICK_LINKS.includes(_qaFold(rest[rest.length - 1]))) rest.pop();
+    while (rest.length && QUICK_LINKS.includes(_qaFold(rest[0]))) rest.shift();
+    const name = rest.join(' ').replace(/[,;.:]+$/, '');
+    if (name) out.name = name.charAt(0).toLocaleUpperCase('fr') + name.slice(1);
+    return out;
+  },
+};
+
+/* ── Utilitaires privés ──────────────────────────────────────── */
+// Minuscules sans accents ni ponctuation finale ("Hier," → "hier")
+function _qaFold(s) {
+  return String(s).normalize('NFD').replace(/[\u0300-\u036f]/g, '')
+    .toLocaleLowerCase('fr').replace(/[,;.!?]+$/, '');
+}
+
+// Nom de catégorie (un ou plusieurs mots) présent dans la phrase ;
+// le plus long l'emporte ("Santé famille" avant "Santé")
+function _qaCategory(keys, used, categories) {
+  const list = categories
+    .map(name => ({ name, parts: _qaFold(name).split(/\s+/).filter(Boolean) }))
+    .filter(c => c.parts.length)
+    .sort((a, b) => b.parts.length - a.parts.length);
+  for (const c of list) {
+    for (let i = 0; i + c.parts.length <= keys.length; i++) {
+      if (c.parts.every((p, j) => !used[i + j] && keys[i + j] === p)) {
+        c.parts.forEach((p, j) => { used[i + j] = true; });
+        return c.name;
+      }
+    }
+  }
+  return null;
+}
+
+// Heure : "18h", "18h30", "18:30", "18 h 30", "18 heures", "midi", "minuit"
+function _qaTime(keys, used) {
+  for (let i = 0; i < keys.length; i++) {
+    if (used[i]) continue;
+    const k = keys[i];
+    if (k === 'midi' || k === 'minuit') {
+      used[i] = true;
+      return { hour: k === 'midi' ? 12 : 0, minute: 0 };
+    }
+    let m = /^(\d{1,2})(?:h|:)(\d{2})?$/.exec(k);
+    let span = 1;
+    if (!m && /^\d{1,2}$/.test(k) && /^(h|heures?)$/.test(keys[i + 1] ?? '')) {
+      m = [k, k, /^\d{2}$/.test(keys[i + 2] ?? '') ? keys[i + 2] : undefined];
+      span = m[2] === undefined ? 2 : 3;
+    }
+    if (!m) continue;
+    const hour = +m[1], minute = m[2] === undefined ? 0 : +m[2];
+    if (hour > 23 || minute > 59) continue;
+    for (let j = 0; j < span; j++) used[i + j] = true;
+    return { hour, minute };
+  }
+  return null;
+}
+
+// Date relative ou explicite → 'YYYY-MM-DD'
+function _qaDate(keys, used, today) {
+  const base  = new Date(today.getFullYear(), today.getMonth(), today.getDate());
+  const shift = n => { const d = new Date(base); d.setDate(d.getDate() - n); return _qaDs(d); };
+  const take  = (i, n, value) => { for (let j = 0; j < n; j++) used[i + j] = true; return value; };
+
+  for (let i = 0; i < keys.length; i++) {
+    if (used[i]) continue;
+    const k = keys[i], next = keys[i + 1] ?? '';
+
+    if (k === "aujourd'hui" || k === 'aujourd’hui' || k === 'auj') return take(i, 1, shift(0));
+    if (k === 'hier')        return take(i, 1, shift(1));
+    if (k === 'avant-hier')  return take(i, 1, shift(2));
+    if (k === 'avant' && next === 'hier') return take(i, 2, shift(2));
+
+    const wd = QUICK_WEEKDAYS.indexOf(k);
+    if (wd >= 0) {
+      // Dernier jour de ce nom (aujourd'hui compris) ; "lundi dernier" aussi
+      const n = (base.getDay() - wd + 7) % 7;
+      return take(i, /^dernier$/.test(next) ? 2 : 1, shift(n));
+    }
+
+    // "il y a 3 jours" (le "il y a" est retiré avec les liaisons)
+    if (k === 'a' && keys[i - 1] === 'y' && /^\d{1,3}$/.test(next) && /^jours?$/.test(keys[i + 2] ?? '')) {
+      return take(i, 3, shift(+next));
+    }
+
+    // 12/10, 12/10/26, 12/10/2026, 12-10
+    let m = /^(\d{1,2})[/-](\d{1,2})(?:[/-](\d{2}|\d{4}))?$/.exec(k);
+    if (m) {
+      const y = m[3] ? (m[3].length === 2 ? 2000 + +m[3] : +m[3]) : base.getFullYear();
+      const d = _qaValidDate(y, +m[2], +m[1]);
+      if (d) return take(i, 1, d);
+    }
+    // "le 12" : jour du mois en cours (ou du mois précédent s'il est à venir)
+    if (k === 'le' && /^\d{1,2}$/.test(next) && !/^(h|heures?)$/.test(keys[i + 2] ?? '')) {
+      let y = base.getFullYear(), mo = base.getMonth() + 1;
+      if (+next > base.getDate()) { mo--; if (!mo) { mo = 12; y--; } }
+      const d = _qaValidDate(y, mo, +next);
+      if (d) return take(i, 2, d);
+    }
+  }
+  return null;
+}
+
+// Montant : milliers séparés par espace ou point (1 500, 1.500.000),
+// décimales à la virgule, suffixe k / mille et devise facultatifs.
+// Plusieurs nombres ("2 pains 500") : celui qui porte une devise ou
+// une unité, sinon le dernier — le premier est souvent une quantité.
+// → { value, currency } ou null
+function _qaAmount(keys, used) {
+  const has   = k => Object.prototype.hasOwnProperty.call(QUICK_CURRENCY, k);
+  const found = [];
+  for (let i = 0; i < keys.length; i++) {
+    if (used[i]) continue;
+    const m = QUICK_NUMBER.exec(keys[i]);
+    if (!m) continue;
+    let span = 1;
+    let raw  = m[2];
+    let suf  = m[4];
+    let cur  = m[1] || (suf && suf.replace('.', ''));
+    // "1 500", "12 000 000", "1 500f" : groupes de trois chiffres qui
+    // suivent, le dernier avec sa devise collée
+    if (!m[3] && !suf && /^\d{1,3}$/.test(raw)) {
+      let g;
+      while (!suf && !used[i + span] && (g = QUICK_GROUP.exec(keys[i + span] ?? ''))) {
+        raw += g[1];
+        span++;
+        if ((suf = g[2])) cur = suf.replace('.', '');
+      }
+    }
+    let value = /^\d{1,3}(\.\d{3})+(,\d+)?$/.test(raw)
+      ? +raw.replace(/\./g, '').replace(',', '.') // 1.500 : séparateur de milliers
+      : +raw.replace(',', '.');
+    const unit = keys[i + span] ?? '';
+    let marked = !!(m[1] || m[3] || cur);
+    if (m[3]) value *= 1000;
+    else if (!suf && (unit === 'mille' || unit === 'k')) { value *= 1000; span++; marked = true; }
+    if (!suf && has(keys[i + span] ?? '')) { cur = keys[i + span++]; marked = true; }
+    if (value > 0) found.push({ i, span, value, cur, marked });
+    i += span - 1;
+  }
+  const best = found.find(f => f.marked) || found[found.length - 1];
+  if (!best) return null;
+  for (let j = 0; j < best.span; j++) used[best.i + j] = true;
+  return { value: parseFloat(best.value.toFixed(2)), currency: best.cur ? QUICK_CURRENCY[best.cur] : null };
+}
+
+function _qaValidDate(y, m, d) {
+  const dt = new Date(y, m - 1, d);
+  return dt.getFullYear() === y && dt.getMonth() === m - 1 && dt.getDate() === d ? _qaDs(dt) : null;
+}
+
+function _qaDs(d) {
+  return `${d.getFullYear()}-${String(d.getMonth() + 1).padStart(2, '0')}-${String(d.getDate()).padStart(2, '0')}`;
+}
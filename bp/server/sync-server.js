@@ -0,0 +1,148 @@
+/**
+ * sync-server.js — Serveur de synchronisation Budget Pro (auto-hébergé)
+ *
+ * Aucune dépendance : Node.js 18+ suffit.
+ *   node server/sync-server.js                 → http://localhost:8787/
+ *   PORT=9000 SYNC_DATA=/srv/bp SYNC_TOKEN=secret node server/sync-server.js
+ *
+ * Dans l'app : carte 🔄 Synchronisation → adresse http://IP-DU-PC:8787/
+ * (https obligatoire si l'app elle-même est servie en https, ex. GitHub
+ * Pages : placer le serveur derrière un proxy https).
+ *
+ * Un fichier JSON par compte dans SYNC_DATA. Chaque enregistrement
+ * (store + uuid) garde sa version la plus récente (updated_at) et un
+ * numéro de séquence : un appareil reçoit tout ce qui a une séquence
+ * supérieure à son curseur "since". Protocole : voir sync.js.
+ */
+'use strict';
+
+const http = require('http');
+const fs   = require('fs');
+const path = require('path');
+
+const PORT      = Number(process.env.PORT) || 8787;
+const DATA_DIR  = process.env.SYNC_DATA || path.join(__dirname, 'data');
+const TOKEN     = process.env.SYNC_TOKEN || '';
+const MAX_BODY  = 20 * 1024 * 1024;
+const STORES    = ['categories', 'accounts', 'recurring', 'budgets', 'expenses', 'incomes', 'transfers'];
+
+/* ── Comptes : un fichier JSON chacun ────────────────────────── */
+function _file(account) {
+  return path.join(DATA_DIR, account + '.json');
+}
+
+function _load(account) {
+  try {
+    return JSON.parse(fs.readFileSync(_file(account), 'utf8'));
+  } catch (err) {
+    if (err.code === 'ENOENT') return { seq: 0, records: {} };
+    throw err;
+  }
+}
+
+// Écriture atomique : fichier temporaire puis renommage
+function _save(account, state) {
+  fs.mkdirSync(DATA_DIR, { recursive: true });
+  const tmp = _file(account) + '.tmp';
+  fs.writeFileSync(tmp, JSON.stringify(state));
+  fs.renameSync(tmp, _file(account));
+}
+
+/* ── Fusion : le dernier écrit (updated_at) gagne ────────────── */
+// À égalité, la version déjà présente est gardée
+function _merge(state, changes) {
+  let accepted = 0;
+  changes.forEach(c => {
+    if (!STORES.includes(c.store) || typeof c.uuid !== 'string' || !c.uuid) return;
+    const key = c.store + '|' + c.uuid;
+    const cur = state.records[key];
+    const at  = Number(c.updated_at) || 0;
+    if (cur && cur.updated_at >= at) return;
+    const deleted = c.op === 'delete';
+    state.records[key] = {
+      store: c.store, uuid: c.uuid, updated_at: at, deleted,
+      data: deleted ? null : c.data, seq: ++state.seq,
+    };
+    accepted++;
+  });
+  return accepted;
+}
+
+// Un changement est un objet simple ({ store, uuid, ... }), jamais null,
+// un nombre ou une liste
+function _isChange(c) {
+  return c !== null && typeof c === 'object' && !Array.isArray(c);
+}
+
+function _since(state, since) {
+  return Object.values(state.records)
+    .filter(r => r.seq > since)
+    .sort((a, b) => a.seq - b.seq)
+    .map(({ store, uuid, updated_at, deleted, data }) => ({ store, uuid, updated_at, deleted, data }));
+}
+
+/* ── HTTP ────────────────────────────────────────────────────── */
+function _send(res, status, body) {
+  res.writeHead(status, {
+    'Content-Type':                 'application/json; charset=utf-8',
+    'Access-Control-Allow-Origin':  '*',
+    'Access-Control-Allow-Methods': 'POST, OPTIONS',
+    'Access-Control-Allow-Headers': 'Content-Type, Authorization',
+  });
+  res.end(body === undefined ? '' : JSON.stringify(body));
+}
+
+function _readBody(req) {
+  return new Promise((resolve, reject) => {
+    let size = 0;
+    const chunks = [];
+    req.on('data', chunk => {
+      size += chunk.length;
+      if (size > MAX_BODY) { reject(Object.assign(new Error('Requête trop volumineuse'), { status: 413 })); req.destroy(); return; }
+      chunks.push(chunk);
+    });
+    req.on('end', () => resolve(Buffer.concat(chunks).toString('utf8')));
+    req.on('error', reject);
+  });
+}
+
+async function _handle(req, res) {
+  if (req.method === 'OPTIONS') return _send(res, 204);
+  if (req.method !== 'POST')    return _send(res, 405, { error: 'POST attendu' });
+  if (TOKEN && req.headers.authorization !== 'Bearer ' + TOKEN) {
+    return _send(res, 401, { error: 'Jeton invalide' });
+  }
+
+  let body;
+  try {
+    body = JSON.parse(await _readBody(req));
+  } catch (err) {
+    return _send(res, err.status || 400, { error: err.status ? err.message : 'JSON invalide' });
+  }
+  const account = String(body?.account ?? '');
+  if (!/^[a-z0-9._-]{2,64}$/.test(account) || account.startsWith('.')) {
+    return _send(res, 400, { error: 'Compte invalide' });
+  }
+  if (!Array.isArray(body.changes) || !body.changes.every(_isChange)) {
+    return _send(res, 400, { error: 'changes attendu : liste d\'objets' });
+  }
+
+  // Node traite les requêtes une à une : lecture, fusion et écriture
+  // synchrones ne peuvent pas s'entremêler
+  const state    = _load(account);
+  const accepted = _merge(state, body.changes);
+  if (accepted) _save(account, state);
+  const changes  = _since(state, Number(body.since) || 0);
+  console.log(`${new Date().toISOString()} ${account} : ${accepted}/${body.changes.length} reçus, ${changes.length} renvoyés`);
+  _send(res, 200, { cursor: state.seq, changes });
+}
+
+http.createServer((req, res) => {
+  _handle(req, res).catch(err => {
+    console.error(err);
+    _send(res, 500, { error: 'Erreur interne' });
+  });
+}).listen(PORT, () => {
+  console.log(`Synchronisation Budget Pro : http://localhost:${PORT}/ (données : ${DATA_DIR})`);
+  if (!TOKEN) console.log('Aucun SYNC_TOKEN : toute personne qui joint ce port peut lire les comptes.');
+});
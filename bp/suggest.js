@@ -0,0 +1,130 @@
+/**
+ * suggest.js — Suggestions apprises de l'historique des dépenses
+ *
+ *   const index = Suggest.build(expenses, { today });
+ *   Suggest.forName(index, 'taxi')  → { category: 'Transport', amount: 1500, currency: 'XOF',
+ *                                       count: 42, share: 0.95 }
+ *   Suggest.complete(index, 'ta')   → ['Taxi', 'Taxi moto', 'Tailleur']
+ *
+ * Les désignations sont comparées sans accents, casse ni espaces en
+ * trop ("Taxi " = "taxi"). Les saisies récentes pèsent plus lourd
+ * (demi-vie SUGGEST_RECENCY_DAYS) : une habitude qui change est suivie.
+ * Désignation jamais vue → on se rabat sur son premier mot ("taxi
+ * moto gare" → "taxi"), à condition qu'il ait servi plusieurs fois.
+ * Le montant habituel est pris dans la devise de la dernière saisie.
+ * Tout se calcule en mémoire à partir des dépenses passées : rien
+ * n'est stocké, aucun réseau.
+ */
+'use strict';
+
+const SUGGEST_RECENCY_DAYS = 180; // demi-vie du poids d'une saisie
+const SUGGEST_AMOUNTS      = 20;  // montants récents gardés par désignation
+const SUGGEST_WORD_MIN     = 2;   // saisies minimum pour le repli sur le 1er mot
+
+const Suggest = {
+
+  /**
+   * build — index des désignations à partir des dépenses
+   * ({ name, amount, currency, category, date }), dans n'importe quel ordre.
+   */
+  build(expenses, { today = new Date() } = {}) {
+    const now    = Date.UTC(today.getFullYear(), today.getMonth(), today.getDate());
+    const byName = new Map();
+    const byWord = new Map();
+
+    expenses.slice().sort((a, b) => String(a.date).localeCompare(String(b.date)) || (a.ts || 0) - (b.ts || 0))
+      .forEach(e => {
+        const key = _sgKey(e.name);
+        if (!key) return;
+        const [y, m, d] = String(e.date).split('-').map(Number);
+        const age    = Math.max(0, (now - Date.UTC(y, m - 1, d)) / 86400000) || 0;
+        const weight = Math.pow(0.5, age / SUGGEST_RECENCY_DAYS);
+        _sgLearn(byName, key, e, weight);
+        _sgLearn(byWord, key.split(' ')[0], e, weight);
+      });
+    return { byName, byWord };
+  },
+
+  /**
+   * forName — catégorie et montant habituels d'une désignation, ou null.
+   * allowed : catégories proposables (actives) ; les autres sont ignorées.
+   * share   : part de la catégorie retenue (0 à 1, pondérée)
+   */
+  forName(index, name, allowed) {
+    const key = _sgKey(name);
+    if (!index || !key) return null;
+    let entry = index.byName.get(key);
+    if (!entry) {
+      entry = index.byWord.get(key.split(' ')[0]);
+      if (!entry || entry.count < SUGGEST_WORD_MIN) return null;
+    }
+    let best = null, total = 0;
+    entry.cats.forEach((w, cat) => {
+      if (allowed && !allowed.includes(cat)) return;
+      total += w;
+      if (!best || w > best.w) best = { cat, w };
+    });
+    return {
+      category: best ? best.cat : null,
+      amount:   _sgUsualAmount(entry.amounts.filter(a => a.currency === entry.currency).map(a => a.amount)),
+      currency: entry.currency,
+      count:    entry.count,
+      share:    best ? best.w / total : 0,
+    };
+  },
+
+  /**
+   * complete — désignations connues qui commencent par text (ou dont
+   * un mot commence par text), les plus fréquentes d'abord
+   */
+  complete(index, text, limit = 6) {
+    const key = _sgKey(text);
+    if (!index || !key) return [];
+    const out = [];
+    index.byName.forEach((entry, k) => {
+      if (k === key) return; // déjà tapée en entier
+      const rank = k.startsWith(key) ? 2 : k.split(' ').some(w => w.startsWith(key)) ? 1 : 0;
+      if (rank) out.push({ name: entry.name, rank, weight: entry.weight });
+    });
+    return out
+      .sort((a, b) => b.rank - a.rank || b.weight - a.weight)
+      .slice(0, limit)
+      .map(x => x.name);
+  },
+};
+
+/* ── Utilitaires privés ──────────────────────────────────────── */
+function _sgKey(name) {
+  return String(name ?? '').normalize('NFD').replace(/[\u0300-\u036f]/g, '')
+    .toLocaleLowerCase('fr').replace(/\s+/g, ' ').trim();
+}
+
+// Entrées parcourues de la plus ancienne à la plus récente : name,
+// currency et amounts reflètent les dernières saisies
+function _sgLearn(map, key, e, weight) {
+  let entry = map.get(key);
+  if (!entry) map.set(key, entry = { name: '', currency: null, count: 0, weight: 0, cats: new Map(), amounts: [] });
+  entry.name     = String(e.name).trim();
+  entry.currency = e.currency ?? null;
+  entry.count   += 1;
+  entry.weight  += weight;
+  entry.cats.set(e.category, (entry.cats.get(e.category) || 0) + weight);
+  entry.amounts.push({ amount: +e.amount, currency: entry.currency });
+  if (entry.amounts.length > SUGGEST_AMOUNTS) entry.amounts.shift();
+}
+
+// Montant le plus fréquent parmi les récents (à égalité : le plus
+// récent) ; tous différents → médiane
+function _sgUsualAmount(amounts) {
+  if (!amounts.length) return null;
+  const counts = new Map();
+  amounts.forEach(a => counts.set(a, (counts.get(a) || 0) + 1));
+  let best = null;
+  for (let i = amounts.length - 1; i >= 0; i--) {
+    const a = amounts[i];
+    if (best === null || counts.get(a) > counts.get(best)) best = a;
+  }
+  if (counts.get(best) > 1 || amounts.length === 1) return best;
+  const sorted = amounts.slice().sort((a, b) => a - b);
+  return sorted[Math.floor(sorted.length / 2)];
+}
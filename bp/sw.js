@@ -1,5 +1,91 @@
-const CACHE = 'bp-v1';
-const ASSETS = ['./index.html','./style.css','./db.js','./app.js','./manifest.json','./icons/icon-192.png','./icons/icon-512.png','https://cdn.jsdelivr.net/npm/chart.js@4.4.0/dist/chart.umd.min.js'];
-self.addEventListener('install', e => { e.waitUntil(caches.open(CACHE).then(c => c.addAll(ASSETS)).then(() => self.skipWaiting())); });
-self.addEventListener('activate', e => { e.waitUntil(caches.keys().then(ks => Promise.all(ks.filter(k=>k!==CACHE).map(k=>caches.delete(k)))).then(()=>self.clients.claim())); });
-self.addEventListener('fetch', e => { e.respondWith(caches.match(e.request).then(r => r || fetch(e.request).then(res => { caches.open(CACHE).then(c => c.put(e.request, res.clone())); return res; })).catch(() => caches.match('./index.html'))); });
+/**
+ * sw.js — Service worker Budget Pro (mode hors ligne)
+ *
+ * BUILD : empreinte des fichiers de ASSETS, recalculée avant chaque
+ * livraison par `node tools/stamp-sw.js`. sw.js change donc à chaque
+ * version → le navigateur installe le nouveau worker, qui attend ;
+ * l'app propose alors « Nouvelle version disponible — recharger ».
+ *
+ * Stratégies :
+ *   - fichiers de l'app : réponse immédiate depuis le cache, mise à
+ *     jour du cache en arrière-plan (stale-while-revalidate)
+ *   - Chart.js (CDN) : cache séparé, rempli sans bloquer l'installation
+ *     (CDN injoignable → l'app s'installe quand même, sans graphiques)
+ *   - requêtes autres que GET (synchronisation…) : jamais interceptées
+ */
+'use strict';
+
+const BUILD     = 'c4bc07fb30';
+const APP_CACHE = 'bp-app-' + BUILD;
+// L'URL contient la version de Chart.js : ce cache survit aux livraisons
+const CDN_CACHE = 'bp-cdn-1';
+
+const ASSETS = [
+  './index.html', './style.css', './db.js', './backup.js', './sync.js',
+  './quickadd.js', './suggest.js', './momo.js', './insights.js', './app.js',
+  './manifest.json', './icons/icon-192.png', './icons/icon-512.png',
+];
+const CDN_ASSETS = ['https://cdn.jsdelivr.net/npm/chart.js@4.4.0/dist/chart.umd.min.js'];
+
+self.addEventListener('install', e => {
+  e.waitUntil(Promise.all([
+    caches.open(APP_CACHE).then(c => c.addAll(ASSETS)),
+    caches.open(CDN_CACHE).then(c => c.addAll(CDN_ASSETS)).catch(() => {}),
+  ]));
+  // Pas de skipWaiting ici : c'est l'utilisateur qui déclenche (message)
+});
+
+self.addEventListener('message', e => {
+  if (e.data?.type === 'SKIP_WAITING') self.skipWaiting();
+});
+
+self.addEventListener('activate', e => {
+  e.waitUntil(caches.keys()
+    .then(ks => Promise.all(ks
+      .filter(k => k.startsWith('bp-') && k !== APP_CACHE && k !== CDN_CACHE)
+      .map(k => caches.delete(k))))
+    .then(() => self.clients.claim()));
+});
+
+self.addEventListener('fetch', e => {
+  const req = e.request;
+  if (req.method !== 'GET') return;
+  const url = new URL(req.url);
+
+  if (CDN_ASSETS.includes(url.href)) {
+    e.respondWith(_cacheFirst(req));
+  } else if (url.origin === self.location.origin) {
+    e.respondWith(_staleWhileRevalidate(e));
+  }
+});
+
+/* ── Stratégies ──────────────────────────────────────────────── */
+async function _cacheFirst(req) {
+  const cache = await caches.open(CDN_CACHE);
+  const hit   = await cache.match(req);
+  if (hit) return hit;
+  const res = await fetch(req);
+  if (res.ok || res.type === 'opaque') cache.put(req, res.clone());
+  return res;
+}
+
+// Navigation (./, ./index.html?…) → index.html du cache
+async function _staleWhileRevalidate(e) {
+  const req   = e.request;
+  const key   = req.mode === 'navigate' ? './index.html' : req;
+  const cache = await caches.open(APP_CACHE);
+  const hit   = await cache.match(key, { ignoreSearch: true });
+
+  const network = fetch(req)
+    .then(res => {
+      if (res.ok && res.type === 'basic') return cache.put(key, res.clone()).then(() => res);
+      return res;
+    })
+    .catch(() => null);
+
+  if (hit) {
+    e.waitUntil(network); // le cache se met à jour après la réponse
+    return hit;
+  }
+  return (await network) || Response.error();
+}
@@ -0,0 +1,110 @@
+/**
+ * sync.js — Synchronisation facultative avec un serveur auto-hébergé
+ *
+ * L'appareil reste la référence : tout fonctionne hors ligne, chaque
+ * écriture est notée dans l'outbox (db.js) et part au passage suivant
+ * (connexion, retour du réseau, bouton « Synchroniser »).
+ *
+ * Un passage = une requête POST sur l'adresse du serveur :
+ *   → { account, since, changes: [{ store, uuid, op, updated_at, data }] }
+ *   ← { cursor, changes: [{ store, uuid, deleted, updated_at, data }] }
+ * Le serveur (server/sync-server.js) garde pour chaque uuid la version
+ * la plus récente (updated_at : le dernier écrit gagne) et renvoie tout
+ * ce qui a changé depuis "since". L'appareil applique la même règle.
+ * Les données voyagent déchiffrées : le chiffrement au repos ne protège
+ * que cet appareil (utiliser https et un jeton).
+ */
+'use strict';
+
+const SYNC_TIMEOUT  = 30 * 1000;
+const SYNC_PROTOCOL = 1;
+
+let _syncRunning = null; // passage en cours (un seul à la fois)
+
+const Sync = {
+
+  /**
+   * status — état affiché dans la barre de navigation :
+   * { enabled, pending, lastSync, account }
+   */
+  async status(userId) {
+    const cfg = await DB.syncConfig(userId);
+    if (!cfg) return { enabled: false, pending: 0, lastSync: null, account: null };
+    return {
+      enabled:  true,
+      pending:  await DB.syncPending(userId),
+      lastSync: cfg.lastSync,
+      account:  cfg.account,
+    };
+  },
+
+  /**
+   * run — envoie l'outbox puis applique les changements reçus.
+   * → { sent, received } ; null si la synchronisation est désactivée.
+   * Les appels simultanés partagent le passage en cours.
+   */
+  run(userId) {
+    if (!_syncRunning) {
+      _syncRunning = _syncPass(userId).finally(() => { _syncRunning = null; });
+    }
+    return _syncRunning;
+  },
+
+  isRunning() {
+    return !!_syncRunning;
+  },
+};
+
+/* ── Utilitaires privés ──────────────────────────────────────── */
+async function _syncPass(userId) {
+  const cfg = await DB.syncConfig(userId);
+  if (!cfg) {
+    await DB.syncDiscard(userId);
+    return null;
+  }
+  if (!navigator.onLine) throw new Error('Hors ligne : synchronisation au retour du réseau.');
+
+  const { ids, changes } = await DB.syncOutbox(userId);
+  const res = await _syncPost(cfg, {
+    protocol: SYNC_PROTOCOL,
+    account:  cfg.account,
+    since:    cfg.cursor || 0,
+    changes,
+  });
+  if (!Array.isArray(res?.changes) || !Number.isFinite(res.cursor)) {
+    throw new Error('Réponse du serveur invalide.');
+  }
+
+  // Acquitté avant d'appliquer : un échec plus loin ne renvoie rien
+  // deux fois, et le curseur n'avance qu'une fois tout appliqué.
+  await DB.syncAck(userId, ids);
+  const received = await DB.syncApply(userId, res.changes);
+  await DB.syncDone(userId, cfg, res.cursor);
+  return { sent: changes.length, received };
+}
+
+async function _syncPost(cfg, body) {
+  const ctrl  = new AbortController();
+  const timer = setTimeout(() => ctrl.abort(), SYNC_TIMEOUT);
+  let res;
+  try {
+    res = await fetch(cfg.url, {
+      method:  'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        ...(cfg.token && { Authorization: 'Bearer ' + cfg.token }),
+      },
+      body:   JSON.stringify(body),
+      signal: ctrl.signal,
+    });
+  } catch (err) {
+    throw new Error(err.name === 'AbortError'
+      ? 'Le serveur ne répond pas.'
+      : 'Serveur injoignable.');
+  } finally {
+    clearTimeout(timer);
+  }
+  if (res.status === 401 || res.status === 403) throw new Error('Jeton refusé par le serveur.');
+  if (!res.ok) throw new Error(`Erreur du serveur (${res.status}).`);
+  return res.json().catch(() => null);
+}
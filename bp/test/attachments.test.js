@@ -0,0 +1,76 @@
+/**
+ * Photos de justificatifs : suppression en cascade, import en mode
+ * remplacement, vignettes de la liste.
+ */
+'use strict';
+
+const test   = require('node:test');
+const assert = require('node:assert');
+const { load } = require('./load');
+
+async function setup() {
+  const ctx = load(['db.js']);
+  const DB  = ctx.get('DB');
+  const u   = await DB.createUser('alice', '1234');
+  return { ctx, DB, uid: u.id };
+}
+
+const photo = (n = 1) => ({
+  blob:  new Blob([new Uint8Array(n)], { type: 'image/jpeg' }),
+  thumb: new Blob([new Uint8Array(1)], { type: 'image/jpeg' }),
+  width: 10, height: 10,
+});
+const taxi = (date, extra) => ({ name: 'Taxi', amount: 1500, category: 'Transport', date, ...extra });
+
+async function withPhotos(DB, uid, date, n) {
+  const id = await DB.addExpense(uid, taxi(date));
+  for (let i = 0; i < n; i++) await DB.addAttachment(uid, id, photo());
+  return id;
+}
+
+test('suppression d\'une dépense : ses photos partent avec elle, pas les autres', async () => {
+  const { ctx, DB, uid } = await setup();
+  const a = await withPhotos(DB, uid, '2026-10-01', 3);
+  const b = await withPhotos(DB, uid, '2026-10-02', 2);
+
+  await DB.deleteExpense(uid, a);
+  const left = await ctx._getAllFromStore('attachments');
+  assert.strictEqual(left.length, 2);
+  assert.ok(left.every(x => x.expense_id === b));
+});
+
+test('import en remplacement : anciennes photos supprimées, nouvelles gardées', async () => {
+  const { ctx, DB, uid } = await setup();
+  await withPhotos(DB, uid, '2026-10-01', 6);
+  await withPhotos(DB, uid, '2026-10-02', 6);
+
+  const n = await DB.importRecords(uid, {
+    expenses: [
+      taxi('2026-09-01', { photos: [photo(), photo(), photo()] }),
+      taxi('2026-09-02', { photos: [photo(), photo(), photo()] }),
+    ],
+  }, 'replace');
+  assert.strictEqual(n, 2);
+
+  const expenses = await DB.getExpenses(uid);
+  assert.deepStrictEqual(Array.from(expenses, e => e.date), ['2026-09-02', '2026-09-01']);
+  const all = await ctx._getAllFromStore('attachments');
+  assert.strictEqual(all.length, 6);
+  for (const e of expenses) assert.strictEqual(all.filter(x => x.expense_id === e.id).length, 3);
+});
+
+test('vignettes : première photo et nombre, pour les seules dépenses demandées', async () => {
+  const { DB, uid } = await setup();
+  const a = await withPhotos(DB, uid, '2026-10-01', 3);
+  const b = await withPhotos(DB, uid, '2026-10-02', 1);
+  const c = await DB.addExpense(uid, taxi('2026-10-03'));
+  const [first] = await DB.getAttachments(uid, a);
+
+  const thumbs = await DB.attachmentThumbs(uid, [a, c]);
+  assert.strictEqual(thumbs.size, 1);
+  assert.strictEqual(thumbs.get(a).id, first.id);
+  assert.strictEqual(thumbs.get(a).count, 3);
+  assert.ok(thumbs.get(a).thumb instanceof Blob);
+  assert.ok(!thumbs.has(b));
+  assert.strictEqual((await DB.attachmentThumbs(uid, [])).size, 0);
+});
@@ -0,0 +1,36 @@
+/**
+ * load.js — Charge les scripts de l'app (globaux, sans modules) dans
+ * un contexte isolé, avec une IndexedDB en mémoire (fake-indexeddb).
+ *
+ *   const ctx = load(['db.js']);
+ *   const DB  = ctx.get('DB');          // const / let de haut niveau
+ *   ctx._readUserRange(...)             // fonctions : globales du contexte
+ */
+'use strict';
+
+const fs   = require('fs');
+const path = require('path');
+const vm   = require('vm');
+const { IDBFactory, IDBKeyRange } = require('fake-indexeddb');
+
+const ROOT = path.join(__dirname, '..');
+
+function load(files, { indexedDB = new IDBFactory() } = {}) {
+  const ctx = vm.createContext({
+    indexedDB, IDBKeyRange, crypto: globalThis.crypto, TextEncoder, TextDecoder,
+    structuredClone, console, setTimeout, clearTimeout, Blob, navigator: { onLine: true },
+  });
+  for (const f of files) {
+    vm.runInContext(fs.readFileSync(path.join(ROOT, f), 'utf8'), ctx, { filename: f });
+  }
+  ctx.get = expr => vm.runInContext(expr, ctx);
+  return ctx;
+}
+
+// Date locale → 'YYYY-MM-DD', décalée de days jours
+function ds(days = 0, from = new Date()) {
+  const d = new Date(from.getFullYear(), from.getMonth(), from.getDate() + days);
+  return `${d.getFullYear()}-${String(d.getMonth() + 1).padStart(2, '0')}-${String(d.getDate()).padStart(2, '0')}`;
+}
+
+module.exports = { load, ds, IDBFactory };
@@ -0,0 +1,92 @@
+/**
+ * Montée de version : toutes les étapes s'appliquent, même quand
+ * plusieurs réécrivent le même store dans une seule transaction
+ * (v6, v11, v14… sur expenses).
+ */
+'use strict';
+
+const test   = require('node:test');
+const assert = require('node:assert');
+const { load, IDBFactory } = require('./load');
+
+// Base telle que l'écrivait la v5 : types non normalisés
+function createV5(idb, expenses) {
+  return new Promise((resolve, reject) => {
+    const req = idb.open('BudgetProDB', 5);
+    req.onupgradeneeded = () => {
+      const db = req.result;
+      db.createObjectStore('users', { keyPath: 'id', autoIncrement: true })
+        .createIndex('ix_username', 'username', { unique: true });
+      const store = db.createObjectStore('expenses', { keyPath: 'id', autoIncrement: true });
+      expenses.forEach(e => store.add(e));
+    };
+    req.onsuccess = () => { req.result.close(); resolve(); };
+    req.onerror   = () => reject(req.error);
+  });
+}
+
+// Base v14 réduite à users + rates : taux non indexés, user_id parfois
+// en texte
+function createV14(idb, users, rates) {
+  return new Promise((resolve, reject) => {
+    const req = idb.open('BudgetProDB', 14);
+    req.onupgradeneeded = () => {
+      const db = req.result;
+      const u  = db.createObjectStore('users', { keyPath: 'id', autoIncrement: true });
+      u.createIndex('ix_username', 'username', { unique: true });
+      users.forEach(x => u.add(x));
+      const r = db.createObjectStore('rates', { keyPath: 'id', autoIncrement: true });
+      rates.forEach(x => r.add(x));
+    };
+    req.onsuccess = () => { req.result.close(); resolve(); };
+    req.onerror   = () => reject(req.error);
+  });
+}
+
+test('v5 → version courante : normalisation v6 conservée', async () => {
+  const idb = new IDBFactory();
+  await createV5(idb, [
+    { user_id: '1', name: '  Pain ', amount: '500.456', category: '', date: '2026-10-02', hour: '8' },
+    { user_id: 1, name: 'Taxi', amount: 1500, category: 'Transport', date: '2026-10-03', hour: 9, minute: 30, ts: 5 },
+  ]);
+  const ctx = load(['db.js'], { indexedDB: idb });
+  const [pain, taxi] = await ctx._getAllFromStore('expenses');
+
+  // v6
+  assert.strictEqual(pain.user_id, 1);
+  assert.strictEqual(pain.name, 'Pain');
+  assert.strictEqual(pain.amount, 500.46);
+  assert.strictEqual(pain.category, 'Alimentation');
+  assert.strictEqual(pain.hour, 8);
+  assert.strictEqual(pain.minute, 0);
+  // Étapes suivantes sur le même store
+  assert.strictEqual(pain.currency, ctx.get('DEFAULT_CURRENCY'));
+  assert.ok(pain.uuid);
+  assert.strictEqual(taxi.minute, 30);
+
+  // Index v11 rempli : lecture par plage
+  const DB = ctx.get('DB');
+  assert.strictEqual((await DB.getExpenses(1, { from: '2026-10-01', to: '2026-10-31' })).length, 2);
+});
+
+test('v17 : taux indexés par utilisateur, chacun ne lit que les siens', async () => {
+  const idb = new IDBFactory();
+  await createV14(idb, [{ username: 'alice', currency: 'XOF' }, { username: 'bob', currency: 'EUR' }], [
+    { user_id: '1', currency: 'EUR', rate: 655.957 },
+    { user_id: 1,   currency: 'USD', rate: 600 },
+    { user_id: 2,   currency: 'XOF', rate: 0.001524 },
+  ]);
+  const ctx = load(['db.js'], { indexedDB: idb });
+  const DB  = ctx.get('DB');
+
+  const alice = await DB.getCurrency(1);
+  assert.strictEqual(alice.base, 'XOF');
+  assert.deepStrictEqual({ ...alice.rates }, { EUR: 655.957, USD: 600 });
+  assert.deepStrictEqual({ ...(await DB.getCurrency('2')).rates }, { XOF: 0.001524 });
+
+  // Taux existant retrouvé par l'index : modifié, pas dupliqué
+  await DB.setRate(1, 'EUR', 656);
+  await DB.setRate(1, 'USD', '');
+  assert.deepStrictEqual({ ...(await DB.getCurrency(1)).rates }, { EUR: 656 });
+  assert.strictEqual((await ctx._getAllFromStore('rates')).length, 2);
+});
@@ -0,0 +1,178 @@
+/**
+ * momo.js — SMS et relevés Mobile Money, avec un "today" fixe
+ * (lundi 19 octobre 2026).
+ */
+'use strict';
+
+const test   = require('node:test');
+const assert = require('node:assert');
+const { load } = require('./load');
+
+const MoMo  = load(['momo.js']).get('MoMo');
+const TODAY = new Date(2026, 9, 19, 10, 0);
+const sms   = text => MoMo.parseText(text, { today: TODAY });
+const one   = text => {
+  const { rows, unknown } = sms(text);
+  assert.strictEqual(rows.length, 1, `${text} → ${unknown.join(' | ')}`);
+  return rows[0];
+};
+const csv   = text => MoMo.parseCSV(text, { today: TODAY });
+
+test('montants : espaces, points, virgules, devise avant ou après', () => {
+  const cases = {
+    'Vous avez envoye 5 000 FCFA a JEAN le 18/10/2026':       [5000, null],
+    'Vous avez envoye 5.000 FCFA a JEAN le 18/10/2026':       [5000, null],
+    'Vous avez envoye 5000F a JEAN le 18/10/2026':            [5000, null],
+    'Vous avez envoye 1 250 000 FCFA a JEAN le 18/10/2026':   [1250000, null],
+    'Vous avez envoye 12,50 EUR a JEAN le 18/10/2026':        [12.5, 'EUR'],
+    'Vous avez envoye XOF 7 500 a JEAN le 18/10/2026':        [7500, 'XOF'],
+    'You have sent 20.00 USD to JOHN DOE on 18/10/2026':      [20, 'USD'],
+  };
+  for (const [text, [amount, currency]] of Object.entries(cases)) {
+    const r = one(text);
+    assert.strictEqual(r.amount, amount, text);
+    assert.strictEqual(r.currency, currency, text);
+  }
+});
+
+test('type, sens, frais, date, heure et référence', () => {
+  const r = one('Orange Money: Vous avez envoye 10 000 FCFA a KOUASSI AMAN (0707070707) le 18/10/2026 a 14:32. '
+    + 'Frais: 100 FCFA. Ref: CI261018.1432.A12345');
+  assert.strictEqual(r.operator, 'Orange Money');
+  assert.strictEqual(r.type, 'transfer');
+  assert.strictEqual(r.kind, 'expense');
+  assert.strictEqual(r.amount, 10000);
+  assert.strictEqual(r.fee, 100);
+  assert.strictEqual(r.counterparty, 'Kouassi Aman');
+  assert.strictEqual(r.date, '2026-10-18');
+  assert.strictEqual(r.hour, 14);
+  assert.strictEqual(r.minute, 32);
+  assert.strictEqual(r.ref, 'CI261018.1432.A12345');
+  assert.strictEqual(r.guessedDate, false);
+
+  const fee = text => one(text).fee;
+  assert.strictEqual(fee('Retrait de 20 000 FCFA le 18/10/2026. Frais de retrait : 1 500 FCFA'), 1500);
+  assert.strictEqual(fee('Wave: paiement de 3 000F a SODECI le 18/10/2026. Commission 30F'), 30);
+  assert.strictEqual(fee('Vous avez envoye 5000 FCFA a JEAN le 18/10/2026'), 0);
+});
+
+test('contrepartie : "NOM (0707…)", "0707… (NOM)", sigle gardé', () => {
+  const who = text => one(text).counterparty;
+  assert.strictEqual(who('Vous avez recu 5000 FCFA de KONE AWA (2250505050505) le 18/10/2026'), 'Kone Awa');
+  assert.strictEqual(who('Vous avez recu 5000 FCFA de 0707070707 (YAO PAUL) le 18/10/2026'), 'Yao Paul');
+  assert.strictEqual(who('Paiement de 12 000 FCFA a CIE le 18/10/2026'), 'CIE');
+  assert.strictEqual(who("Y'ello! Transaction de 5000 FCFA vers JEAN (225…) reussie le 18/10/2026"), 'JEAN');
+
+  // Sans contrepartie : libellé du type
+  const r = one('Retrait de 20 000 FCFA le 18/10/2026');
+  assert.strictEqual(r.counterparty, null);
+  assert.strictEqual(r.name, 'Retrait');
+});
+
+test('règles : chaque type reconnu, revenus et dépenses', () => {
+  const cases = {
+    'Vous avez recu 5000 FCFA de JEAN le 18/10/2026':                    ['received', 'income'],
+    'Transfert recu de 5000 FCFA de JEAN le 18/10/2026':                 ['received', 'income'],
+    'Achat de credit 1000 FCFA le 18/10/2026':                           ['airtime', 'expense'],
+    'Vous avez paye 3000 FCFA a BOUTIQUE ALIMA le 18/10/2026':           ['payment', 'expense'],
+    'Retrait de 20000 FCFA le 18/10/2026':                               ['withdrawal', 'expense'],
+    'Depot de 50000 FCFA le 18/10/2026':                                 ['deposit', 'income'],
+    'You have received 20 USD from JOHN DOE on 18/10/2026':              ['received', 'income'],
+    'Payment of 15 USD to NETFLIX on 18/10/2026':                        ['payment', 'expense'],
+    'MTN MoMo: Transaction de 5000 FCFA vers JEAN (225…) reussie':       ['transfer', 'expense'],
+  };
+  for (const [text, [type, kind]] of Object.entries(cases)) {
+    const r = one(text);
+    assert.strictEqual(r.type, type, text);
+    assert.strictEqual(r.kind, kind, text);
+  }
+});
+
+test('plusieurs SMS collés, date absente, message inconnu', () => {
+  const { rows, unknown } = sms([
+    'Vous avez envoye 5000 FCFA a JEAN le 18/10/2026',
+    'Vous avez recu 2000 FCFA de AWA',
+    '',
+    'Bonjour, votre forfait expire demain',
+  ].join('\n'));
+  assert.strictEqual(rows.length, 2);
+  assert.strictEqual(rows[1].date, '2026-10-19');
+  assert.strictEqual(rows[1].guessedDate, true);
+  assert.deepStrictEqual(Array.from(unknown), ['Bonjour, votre forfait expire demain']);
+});
+
+test('relevé CSV : colonnes débit / crédit, statut, frais', () => {
+  const { rows, unknown } = csv([
+    'Date;Type;Bénéficiaire;Débit (FCFA);Crédit (FCFA);Frais;Statut;Référence',
+    '18/10/2026 14:32;Transfert;KONE AWA (0505050505);5 000;;50;Réussi;TX1',
+    '17/10/2026 09:00;Transfert;JEAN;;12 500;;Réussi;TX2',
+    '16/10/2026;Paiement;CIE;8.000;;;Échoué;TX3',
+    '15/10/2026;Retrait;;20 000;;;Annulé;TX4',
+    'pas une date;Transfert;X;1000;;;Réussi;TX5',
+  ].join('\n'));
+  assert.strictEqual(rows.length, 2);
+  assert.strictEqual(unknown.length, 1);
+
+  const [sent, got] = rows;
+  assert.strictEqual(sent.type, 'transfer');
+  assert.strictEqual(sent.kind, 'expense');
+  assert.strictEqual(sent.amount, 5000);
+  assert.strictEqual(sent.fee, 50);
+  assert.strictEqual(sent.counterparty, 'Kone Awa');
+  assert.strictEqual(sent.date, '2026-10-18');
+  assert.strictEqual(sent.hour, 14);
+  assert.strictEqual(sent.ref, 'TX1');
+
+  assert.strictEqual(got.type, 'received');
+  assert.strictEqual(got.kind, 'income');
+  assert.strictEqual(got.amount, 12500);
+  assert.strictEqual(got.hour, 9);
+  assert.strictEqual(got.fee, 0);
+});
+
+test('relevé CSV : montant signé, séparateur virgule, en-têtes absents', () => {
+  const { rows } = csv([
+    'date,montant,type,description',
+    '2026-10-18,-1500,Transfert recu,JEAN',
+    '2026-10-17,2500,Depot,',
+  ].join('\n'));
+  assert.deepStrictEqual(Array.from(rows, r => [r.type, r.kind, r.amount]),
+    [['transfer', 'expense', 1500], ['deposit', 'income', 2500]]);
+
+  assert.throws(() => csv('nom;valeur\nx;1'), /Relevé non reconnu/);
+  assert.throws(() => csv(''), /Relevé vide/);
+});
+
+test('doublons : référence, frais compris, heure, collé deux fois', () => {
+  const rows = sms([
+    'Vous avez envoye 5000 FCFA a JEAN le 18/10/2026 a 14:32. Frais: 100 FCFA. Ref: AB12345',
+    'Vous avez envoye 3000 FCFA a AWA le 18/10/2026 a 09:15. Frais: 50 FCFA',
+    'Vous avez envoye 2000 FCFA a PAUL le 18/10/2026 a 10:00',
+    'Vous avez envoye 2000 FCFA a PAUL le 18/10/2026 a 11:00',
+    'Vous avez envoye 7000 FCFA a YAO le 18/10/2026. Ref: ZZ99999',
+    'Vous avez envoye 7000 FCFA a YAO le 18/10/2026. Ref: ZZ99999',
+  ].join('\n')).rows;
+  const existing = [
+    { kind: 'expense', date: '2026-10-01', hour: 8,  amount: 1,    notes: 'Orange Money · réf. AB12345' },
+    { kind: 'expense', date: '2026-10-18', hour: 9,  amount: 3050, notes: '' },
+    { kind: 'expense', date: '2026-10-18', hour: 10, amount: 2000, notes: '' },
+    { kind: 'income',  date: '2026-10-18', hour: 11, amount: 2000, notes: '' },
+  ];
+  MoMo.markDuplicates(rows, existing);
+  assert.deepStrictEqual(Array.from(rows, r => r.duplicate),
+    ['existing', 'existing', 'existing', null, null, 'batch']);
+
+  // Une opération existante n'absorbe qu'une ligne
+  const twice = sms('Vous avez envoye 2000 FCFA a PAUL le 18/10/2026\nVous avez envoye 2000 FCFA a AWA le 18/10/2026').rows;
+  assert.strictEqual(twice.length, 2);
+  MoMo.markDuplicates(twice, [{ kind: 'expense', date: '2026-10-18', hour: 0, amount: 2000 }]);
+  assert.deepStrictEqual(Array.from(twice, r => r.duplicate), ['existing', null]);
+});
+
+test('accountFor : compte au nom de l\'opérateur', () => {
+  const accounts = [{ id: 1, name: 'Espèces' }, { id: 2, name: 'Mon OM' }, { id: 3, name: 'Wave perso' }];
+  assert.strictEqual(MoMo.accountFor('Wave', accounts).id, 3);
+  assert.strictEqual(MoMo.accountFor('Orange Money', accounts).id, 2);
+  assert.strictEqual(MoMo.accountFor('Moov Money', accounts), null);
+  assert.strictEqual(MoMo.accountFor('Mobile Money', accounts), null);
+});
@@ -0,0 +1,133 @@
+/**
+ * quickadd.js — analyse d'une phrase, avec un "today" fixe
+ * (lundi 19 octobre 2026).
+ */
+'use strict';
+
+const test   = require('node:test');
+const assert = require('node:assert');
+const { load } = require('./load');
+
+const QuickAdd = load(['quickadd.js']).get('QuickAdd');
+const TODAY    = new Date(2026, 9, 19, 10, 0);
+const CATS     = ['Alimentation', 'Transport', 'Santé', 'Santé famille', 'Frais de scolarité'];
+const parse    = (text, today = TODAY) => ({ ...QuickAdd.parse(text, { categories: CATS, today }) });
+
+test('montants', () => {
+  const cases = {
+    'taxi 1500':              [1500, null],
+    'taxi 1 500':             [1500, null],
+    'loyer 12 000 000':       [12000000, null],
+    'taxi 1.500':             [1500, null],
+    'loyer 1.500.000':        [1500000, null],
+    'riz 2,5k':               [2500, null],
+    'riz 2,5 k':              [2500, null],
+    'pagne 3 mille':          [3000, null],
+    'pain 500f':              [500, null],
+    'pain 500 fcfa':          [500, null],
+    'pain 500 francs':        [500, null],
+    'livre 12,50 €':          [12.5, 'EUR'],
+    'livre 12.50':            [12.5, null],
+    'app $20':                [20, 'USD'],
+    'app 20 dollars':         [20, 'USD'],
+    'jus 5000 naira':         [5000, 'NGN'],
+    'hôtel 30 eur':           [30, 'EUR'],
+    'essence 20000xof':       [20000, 'XOF'],
+  };
+  for (const [text, [amount, currency]] of Object.entries(cases)) {
+    const r = parse(text);
+    assert.strictEqual(r.amount, amount, text);
+    assert.strictEqual(r.currency, currency, text);
+  }
+  assert.strictEqual(parse('loyer 1.500.000').name, 'Loyer');
+  assert.strictEqual(parse('taxi').amount, null);
+});
+
+test('plusieurs nombres : devise ou unité, sinon le dernier', () => {
+  let r = parse('2 pains 500');
+  assert.strictEqual(r.amount, 500);
+  assert.strictEqual(r.name, '2 pains');
+  r = parse('3 pagnes 2 mille');
+  assert.strictEqual(r.amount, 2000);
+  assert.strictEqual(r.name, '3 pagnes');
+  r = parse('500f 2 pains');
+  assert.strictEqual(r.amount, 500);
+  assert.strictEqual(r.name, '2 pains');
+  r = parse('2 cafés 1 500');
+  assert.strictEqual(r.amount, 1500);
+});
+
+test('dates relatives', () => {
+  const cases = {
+    "taxi 1500 aujourd'hui": '2026-10-19',
+    'taxi 1500 hier':        '2026-10-18',
+    'taxi 1500 avant-hier':  '2026-10-17',
+    'taxi 1500 avant hier':  '2026-10-17',
+    'taxi 1500 lundi':       '2026-10-19', // aujourd'hui compris
+    'taxi 1500 dimanche':    '2026-10-18',
+    'taxi 1500 mardi':       '2026-10-13',
+    'taxi 1500 vendredi dernier': '2026-10-16',
+    'taxi 1500 il y a 3 jours':   '2026-10-16',
+    'taxi 1500 le 12':       '2026-10-12',
+    'taxi 1500 le 25':       '2026-09-25', // à venir → mois précédent
+    'taxi 1500 12/10':       '2026-10-12',
+    'taxi 1500 3/9/25':      '2025-09-03',
+  };
+  for (const [text, date] of Object.entries(cases)) {
+    const r = parse(text);
+    assert.strictEqual(r.date, date, text);
+    assert.strictEqual(r.amount, 1500, text);
+    assert.strictEqual(r.name, 'Taxi', text);
+  }
+  assert.strictEqual(parse('taxi 1500').date, null);
+});
+
+test('dates : changement de mois et d\'année', () => {
+  assert.strictEqual(parse('pain 200 il y a 3 jours', new Date(2026, 9, 2)).date, '2026-09-29');
+  assert.strictEqual(parse('pain 200 hier', new Date(2026, 2, 1)).date, '2026-02-28');
+  assert.strictEqual(parse('pain 200 le 12', new Date(2026, 0, 5)).date, '2025-12-12');
+  // 31 absent du mois précédent → pas de date
+  assert.strictEqual(parse('pain 200 le 31', new Date(2026, 9, 5)).date, null);
+});
+
+test('heures', () => {
+  const cases = {
+    'taxi 1500 18h':        [18, 0],
+    'taxi 1500 18h30':      [18, 30],
+    'taxi 1500 18:30':      [18, 30],
+    'taxi 1500 18 h 30':    [18, 30],
+    'taxi 1500 à 18 heures': [18, 0],
+    'taxi 1500 midi':       [12, 0],
+    'taxi 1500 minuit':     [0, 0],
+  };
+  for (const [text, [hour, minute]] of Object.entries(cases)) {
+    const r = parse(text);
+    assert.deepStrictEqual([r.hour, r.minute, r.amount, r.name], [hour, minute, 1500, 'Taxi'], text);
+  }
+  assert.strictEqual(parse('taxi 1500 25h').hour, null);
+  // "le 12 h" : une heure, pas une date
+  const r = parse('taxi 1500 le 12 h');
+  assert.strictEqual(r.date, null);
+  assert.strictEqual(r.hour, 12);
+});
+
+test('catégories de plusieurs mots', () => {
+  let r = parse('consultation santé famille 8000');
+  assert.strictEqual(r.category, 'Santé famille');
+  assert.strictEqual(r.name, 'Consultation');
+  r = parse('pharmacie sante 2000');
+  assert.strictEqual(r.category, 'Santé');
+  r = parse('inscription frais de scolarité 50 000 hier');
+  assert.deepStrictEqual([r.category, r.amount, r.date, r.name], ['Frais de scolarité', 50000, '2026-10-18', 'Inscription']);
+  assert.strictEqual(parse('cadeau 5000').category, null);
+});
+
+test('phrase complète, dans le désordre', () => {
+  assert.deepStrictEqual(parse('Hier à 18h30 taxi transport pour 1 500f'), {
+    name: 'Taxi', amount: 1500, currency: null, category: 'Transport',
+    date: '2026-10-18', hour: 18, minute: 30,
+  });
+  assert.deepStrictEqual(parse(''), {
+    name: null, amount: null, currency: null, category: null, date: null, hour: null, minute: null,
+  });
+});
@@ -0,0 +1,139 @@
+/**
+ * Lectures par plage (index ix_user_date, v11) : mêmes résultats que
+ * l'ancien chemin getAll() + filtre JS, pour chaque période, catégorie
+ * et limite.
+ */
+'use strict';
+
+const test   = require('node:test');
+const assert = require('node:assert');
+const { load, ds } = require('./load');
+
+// Filtre de période d'avant v11 (db.js, user-008), recopié tel quel
+function legacyPeriod(period) {
+  if (period && typeof period === 'object') {
+    const from = period.from || '0000-01-01';
+    const to   = period.to   || '9999-12-31';
+    return d => d >= from && d <= to;
+  }
+  const now   = new Date();
+  const today = ds(0, now);
+  switch (period) {
+    case 'today':  return d => d === today;
+    case '3days':  { const from = ds(-2, now); return d => d >= from; }
+    case 'week': {
+      const dow = now.getDay() || 7;
+      const mon = ds(-(dow - 1), now);
+      return d => d >= mon;
+    }
+    case 'month':  return d => d.slice(0, 7) === today.slice(0, 7);
+    case 'year':   return d => d.slice(0, 4) === today.slice(0, 4);
+    default:       return () => true;
+  }
+}
+
+// getExpenses d'avant v11 : tout le store, filtré et trié en JS
+function legacyGetExpenses(all, userId, period, category, limit) {
+  const inPeriod = legacyPeriod(period);
+  const list = all
+    .filter(e => Number(e.user_id) === Number(userId))
+    .filter(e => inPeriod(String(e.date)))
+    .filter(e => !category || category === 'Toutes' || e.category === category)
+    .sort((a, b) => String(b.date).localeCompare(String(a.date)) ||
+      (b.hour - a.hour) || (b.minute - a.minute) || (b.ts - a.ts));
+  return limit ? list.slice(0, limit) : list;
+}
+
+const PERIODS = ['today', '3days', 'week', 'month', 'year', 'all',
+  { from: ds(-40), to: ds(-5) }, { from: ds(-10) }, { to: ds(-1) }, { from: ds(3), to: ds(-3) }];
+const CATEGORIES = ['Toutes', 'Transport', 'Loisirs', 'Inconnue'];
+const LIMITS = [undefined, 1, 3, 10, 500];
+
+test('getExpenses et _readUserRange = ancien getAll + filtre', async () => {
+  const ctx = load(['db.js']);
+  const DB  = ctx.get('DB');
+  const a   = await DB.createUser('alice', '1234');
+  const b   = await DB.createUser('bruno', '1234');
+
+  // Jours passés et à venir, plusieurs par jour (tri par heure, minute, ts)
+  const cats = ['Alimentation', 'Transport', 'Loisirs'];
+  let n = 0;
+  for (const offset of [0, 0, 0, -1, -2, -3, -6, -8, -15, -31, -45, -200, -400, 2, 30]) {
+    for (const uid of [a.id, b.id]) {
+      n++;
+      await DB.addExpense(uid, {
+        name: `Dépense ${n}`, amount: n * 100, category: cats[n % 3],
+        date: ds(offset), hour: (n * 7) % 24, minute: (n * 13) % 60,
+      });
+    }
+  }
+
+  const all = await ctx._getAllFromStore('expenses');
+  assert.strictEqual(all.length, n);
+  const ids = list => Array.from(list, e => e.id); // tableau de ce contexte-ci
+
+  for (const period of PERIODS) {
+    const bounds = ctx._periodBounds(period);
+    for (const category of CATEGORIES) {
+      for (const limit of LIMITS) {
+        const expected = ids(legacyGetExpenses(all, a.id, period, category, limit));
+        const label    = `${JSON.stringify(period)} / ${category} / ${limit}`;
+        assert.deepStrictEqual(ids(await DB.getExpenses(a.id, period, category, { limit })), expected, label);
+        const match = category === 'Toutes' ? undefined : e => e.category === category;
+        assert.deepStrictEqual(ids(await ctx._readUserRange('expenses', a.id, bounds, { match, limit })), expected, label);
+      }
+    }
+  }
+});
+
+test('userId en chaîne ou invalide', async () => {
+  const ctx = load(['db.js']);
+  const DB  = ctx.get('DB');
+  const u   = await DB.createUser('alice', '1234');
+  await DB.addExpense(u.id, { name: 'Taxi', amount: 1500, category: 'Transport', date: ds(0) });
+  assert.strictEqual((await DB.getExpenses(String(u.id))).length, 1);
+  assert.strictEqual((await DB.getExpenses('abc')).length, 0);
+  assert.strictEqual((await DB.getExpenses(u.id + 1)).length, 0);
+});
+
+test('periodTotals = somme des listes complètes, chiffrées ou non', async () => {
+  const ctx = load(['db.js']);
+  const DB  = ctx.get('DB');
+  const u   = await DB.createUser('alice', '1234');
+  const o   = await DB.createUser('bruno', '1234');
+  await DB.setRate(u.id, 'EUR', 655.957);
+  const cats = ['Alimentation', 'Transport', 'Loisirs'];
+  for (let n = 1; n <= 24; n++) {
+    const date = ds([0, -1, -3, -10, -40, -400][n % 6]);
+    for (const uid of [u.id, o.id]) {
+      await DB.addExpense(uid, { name: `Taxi ${n}`, amount: n * 100 + 0.25, category: cats[n % 3], date,
+        currency: n % 5 === 0 ? 'EUR' : n % 7 === 0 ? 'USD' : undefined });
+      if (n % 4 === 0) await DB.addIncome(uid, { name: `Vente ${n}`, amount: n * 1000, date });
+    }
+  }
+
+  const check = async label => {
+    const fx = await DB.getCurrency(u.id);
+    for (const period of PERIODS) {
+      for (const category of CATEGORIES) {
+        for (const filter of [null, { q: 'taxi 1' }, { min: '500', max: '1500' }]) {
+          const exp = await DB.getExpenses(u.id, period, category, { filter });
+          const inc = category === 'Toutes' ? await DB.getIncomes(u.id, period, { filter }) : [];
+          const sum = list => list.reduce((s, x) => s + (DB.toBase(x, fx) ?? 0), 0);
+          const t   = await DB.periodTotals(u.id, period, category, filter);
+          const at  = `${label} ${JSON.stringify(period)} / ${category} / ${JSON.stringify(filter)}`;
+          assert.ok(Math.abs(t.expense - sum(exp)) < 1e-6, at);
+          assert.ok(Math.abs(t.income - sum(inc)) < 1e-6, at);
+          assert.strictEqual(t.count, exp.length + inc.length, at);
+          const missing = exp.concat(inc).filter(x => DB.toBase(x, fx) === null);
+          assert.strictEqual(t.unconverted, missing.length, at);
+          assert.deepStrictEqual(Array.from(t.missing), [...new Set(missing.map(x => x.currency))].sort(), at);
+        }
+      }
+    }
+  };
+  await check('clair');
+  await DB.setEncryption(u.id, '1234', true);
+  assert.ok((await ctx._getAllFromStore('expenses')).some(e => e.enc));
+  await check('chiffré');
+});
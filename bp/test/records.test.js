@@ -0,0 +1,73 @@
+/**
+ * Validation des opérations : date réelle, heure 0–23, minute 0–59,
+ * à la saisie comme à l'import.
+ */
+'use strict';
+
+const test   = require('node:test');
+const assert = require('node:assert');
+const { load } = require('./load');
+
+async function setup() {
+  const ctx = load(['db.js', 'backup.js']);
+  const DB  = ctx.get('DB');
+  const u   = await DB.createUser('alice', '1234');
+  return { ctx, DB, uid: u.id };
+}
+
+const taxi = extra => ({ name: 'Taxi', amount: 1500, category: 'Transport', date: '2026-10-03', ...extra });
+
+test('dates impossibles refusées, 29 février bissextile accepté', async () => {
+  const { DB } = await setup();
+  for (const date of ['2026-02-30', '2026-02-29', '2026-13-01', '2026-00-10', '2026-04-31', '2026-10-00', '2026-1-05']) {
+    assert.throws(() => DB.validateExpense(taxi({ date })), /Date invalide/, date);
+  }
+  assert.strictEqual(DB.validateExpense(taxi({ date: '2028-02-29' })).date, '2028-02-29');
+  assert.strictEqual(DB.validateExpense(taxi({ date: '2026-12-31' })).date, '2026-12-31');
+});
+
+test('heure 0–23 et minute 0–59, absentes → 0', async () => {
+  const { DB } = await setup();
+  for (const hour of [24, -1, 7.5, 'x', '25']) {
+    assert.throws(() => DB.validateExpense(taxi({ hour })), /Heure invalide/, String(hour));
+  }
+  for (const minute of [60, -5, 'midi']) {
+    assert.throws(() => DB.validateExpense(taxi({ minute })), /Minute invalide/, String(minute));
+  }
+  const e = DB.validateExpense(taxi({ hour: '08', minute: '59' }));
+  assert.strictEqual(e.hour, 8);
+  assert.strictEqual(e.minute, 59);
+  const none = DB.validateExpense(taxi({ hour: '', minute: null }));
+  assert.strictEqual(none.hour, 0);
+  assert.strictEqual(none.minute, 0);
+});
+
+test('revenus, virements et modèles récurrents : mêmes contrôles', async () => {
+  const { DB, uid } = await setup();
+  await assert.rejects(DB.addIncome(uid, { name: 'Salaire', amount: 1000, date: '2026-02-31' }), /Date invalide/);
+  await assert.rejects(DB.addIncome(uid, { name: 'Salaire', amount: 1000, date: '2026-02-28', hour: 24 }), /Heure invalide/);
+
+  const a = await DB.addAccount(uid, { name: 'Caisse', kind: 'cash' });
+  const b = await DB.addAccount(uid, { name: 'Wave', kind: 'mobile' });
+  const tr = { from_id: a.id, to_id: b.id, amount: 500 };
+  await assert.rejects(DB.addTransfer(uid, { ...tr, date: '2026-06-31' }), /Date invalide/);
+  await assert.rejects(DB.addTransfer(uid, { ...tr, date: '2026-06-30', minute: 75 }), /Minute invalide/);
+
+  await assert.rejects(DB.addRecurring(uid, { ...taxi(), freq: 'monthly', start: '2026-10-03', end: '2026-11-31' }),
+    /Date de fin invalide/);
+});
+
+test('import CSV : lignes impossibles classées invalides', async () => {
+  const { ctx, uid } = await setup();
+  const Backup = ctx.get('Backup');
+  const parsed = ctx._parseCSV([
+    'date;heure;minute;designation;categorie;montant',
+    '2026-10-03;8;30;Taxi;Transport;1500',
+    '2026-02-30;8;30;Taxi;Transport;1500',
+    '2026-10-04;31;0;Taxi;Transport;1500',
+    '2026-10-05;9;60;Taxi;Transport;1500',
+  ].join('\n'));
+  const res = await Backup.preview(uid, parsed);
+  assert.strictEqual(res.valid.length, 1);
+  assert.deepStrictEqual(Array.from(res.invalid, x => x.line), [3, 4, 5]);
+});
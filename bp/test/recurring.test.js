@@ -0,0 +1,77 @@
+/**
+ * runRecurring — rattrapage des occurrences, sans doublon, et mise en
+ * pause d'un modèle devenu invalide.
+ */
+'use strict';
+
+const test   = require('node:test');
+const assert = require('node:assert');
+const { load, ds } = require('./load');
+
+async function setup() {
+  const ctx = load(['db.js']);
+  const DB  = ctx.get('DB');
+  const u   = await DB.createUser('alice', '1234');
+  return { ctx, DB, uid: u.id };
+}
+
+test('rattrapage : une dépense par jour manqué, modèle avancé', async () => {
+  const { ctx, DB, uid } = await setup();
+  const t = await DB.addRecurring(uid, { name: 'Pain', amount: 200, category: 'Alimentation', freq: 'daily', start: ds(-4) });
+
+  let rec = await DB.runRecurring(uid);
+  assert.strictEqual(rec.created, 5);
+  assert.strictEqual(rec.errors.length, 0);
+  const [tpl] = await DB.getRecurring(uid);
+  assert.strictEqual(tpl.last_date, ds(0));
+  // Chaque occurrence et chaque avancement partent à la synchronisation
+  const outbox = await ctx._getAllFromStore('outbox');
+  assert.strictEqual(outbox.filter(o => o.store === 'expenses').length, 5);
+
+  // Relancé : rien de plus
+  rec = await DB.runRecurring(uid);
+  assert.strictEqual(rec.created, 0);
+
+  // Avancement perdu (app fermée, autre appareil…) : l'uuid dérivé
+  // retrouve les occurrences existantes
+  await ctx._put('recurring', { ...tpl, last_date: null });
+  rec = await DB.runRecurring(uid);
+  assert.strictEqual(rec.created, 0);
+  assert.strictEqual((await DB.getExpenses(uid)).filter(e => e.recurring_id === t.id).length, 5);
+});
+
+test('catégorie archivée : modèle mis en pause avec la raison', async () => {
+  const { DB, uid } = await setup();
+  await DB.addRecurring(uid, { name: 'Cinéma', amount: 3000, category: 'Loisirs', freq: 'weekly', start: ds(-14) });
+  const loisirs = (await DB.getCategories(uid)).find(c => c.name === 'Loisirs');
+  await DB.archiveCategory(uid, loisirs.id);
+
+  let rec = await DB.runRecurring(uid);
+  assert.strictEqual(rec.created, 0);
+  assert.strictEqual(rec.errors.length, 0);
+  assert.strictEqual(rec.paused.length, 1);
+  assert.match(rec.paused[0].error, /Loisirs/);
+  let [tpl] = await DB.getRecurring(uid);
+  assert.strictEqual(tpl.paused, true);
+  assert.match(tpl.paused_reason, /archivée/);
+
+  // Plus d'erreur aux connexions suivantes
+  rec = await DB.runRecurring(uid);
+  assert.strictEqual(rec.paused.length, 0);
+
+  // Catégorie corrigée puis reprise : raison effacée
+  await DB.updateRecurring(uid, tpl.id, { category: 'Alimentation' });
+  tpl = await DB.pauseRecurring(uid, tpl.id, false);
+  assert.strictEqual(tpl.paused, false);
+  assert.strictEqual(tpl.paused_reason, null);
+});
+
+test('modèle sans occurrence due : pas de mise en pause', async () => {
+  const { DB, uid } = await setup();
+  await DB.addRecurring(uid, { name: 'Loyer', amount: 50000, category: 'Loisirs', freq: 'monthly', start: ds(5) });
+  const loisirs = (await DB.getCategories(uid)).find(c => c.name === 'Loisirs');
+  await DB.archiveCategory(uid, loisirs.id);
+  const rec = await DB.runRecurring(uid);
+  assert.strictEqual(rec.paused.length, 0);
+  assert.strictEqual((await DB.getRecurring(uid))[0].paused, false);
+});
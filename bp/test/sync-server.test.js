@@ -0,0 +1,59 @@
+/**
+ * sync-server.js — requêtes mal formées refusées en 400, pas en 500.
+ */
+'use strict';
+
+const test   = require('node:test');
+const assert = require('node:assert');
+const fs     = require('fs');
+const os     = require('os');
+const path   = require('path');
+const { spawn } = require('child_process');
+
+const PORT = 18000 + Math.floor(Math.random() * 1000);
+const URL_ = `http://127.0.0.1:${PORT}/`;
+
+let server, dataDir;
+
+test.before(async () => {
+  dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'bp-sync-'));
+  server  = spawn(process.execPath, [path.join(__dirname, '..', 'server', 'sync-server.js')], {
+    env: { ...process.env, PORT: String(PORT), SYNC_DATA: dataDir, SYNC_TOKEN: '' },
+    stdio: ['ignore', 'pipe', 'inherit'],
+  });
+  await new Promise((resolve, reject) => {
+    server.stdout.once('data', resolve);
+    server.once('exit', code => reject(new Error('serveur arrêté : ' + code)));
+  });
+});
+
+test.after(() => {
+  server.kill();
+  fs.rmSync(dataDir, { recursive: true, force: true });
+});
+
+async function post(body) {
+  const res = await fetch(URL_, { method: 'POST', body: JSON.stringify(body) });
+  return { status: res.status, body: await res.json() };
+}
+
+test('changes : liste d\'objets exigée', async () => {
+  for (const changes of [[null], [1], ['x'], [[]], [{ store: 'expenses', uuid: 'a' }, null], 'x', null]) {
+    const r = await post({ account: 'alice', changes });
+    assert.strictEqual(r.status, 400, JSON.stringify(changes));
+  }
+  // Rien n'a été écrit
+  assert.deepStrictEqual(fs.readdirSync(dataDir), []);
+});
+
+test('changes valides : fusionnés puis renvoyés', async () => {
+  const change = { store: 'expenses', uuid: 'u1', op: 'put', updated_at: 5, data: { amount: 100 } };
+  let r = await post({ account: 'alice', since: 0, changes: [change, { store: 'inconnu', uuid: 'u2' }] });
+  assert.strictEqual(r.status, 200);
+  assert.strictEqual(r.body.cursor, 1);
+  assert.strictEqual(r.body.changes.length, 1);
+  assert.strictEqual(r.body.changes[0].uuid, 'u1');
+
+  r = await post({ account: 'alice', since: 1, changes: [] });
+  assert.strictEqual(r.body.changes.length, 0);
+});
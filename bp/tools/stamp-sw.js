@@ -0,0 +1,38 @@
+/**
+ * stamp-sw.js — Recalcule BUILD dans sw.js avant une livraison
+ *
+ *   node tools/stamp-sw.js
+ *
+ * BUILD = empreinte SHA-256 (10 caractères) des fichiers listés dans
+ * ASSETS : elle ne change que si l'un d'eux a changé. Un sw.js modifié
+ * déclenche chez les clients l'installation du nouveau cache et le
+ * bandeau « Nouvelle version disponible ».
+ */
+'use strict';
+
+const fs     = require('fs');
+const path   = require('path');
+const crypto = require('crypto');
+
+const ROOT = path.join(__dirname, '..');
+const SW   = path.join(ROOT, 'sw.js');
+
+const src    = fs.readFileSync(SW, 'utf8');
+const list   = src.match(/const ASSETS = \[([\s\S]*?)\];/);
+if (!list) throw new Error('ASSETS introuvable dans sw.js');
+const assets = [...list[1].matchAll(/'([^']+)'/g)].map(m => m[1]);
+
+const hash = crypto.createHash('sha256');
+assets.forEach(a => {
+  hash.update(a + '\0');
+  hash.update(fs.readFileSync(path.join(ROOT, a)));
+});
+const build = hash.digest('hex').slice(0, 10);
+
+const out = src.replace(/const BUILD\s*= '[^']*';/, m => m.replace(/'[^']*'/, `'${build}'`));
+if (out === src) {
+  console.log(`sw.js déjà à jour (BUILD ${build})`);
+} else {
+  fs.writeFileSync(SW, out);
+  console.log(`sw.js : BUILD ${build}`);
+}